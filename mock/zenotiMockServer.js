@@ -0,0 +1,347 @@
+// Local stand-in for the Zenoti and Google Places APIs, driven by the JSON
+// fixtures in mock/fixtures. Point ZENOTI_BASE_URL and GOOGLE_PLACES_BASE_URL
+// at it for local development (`npm run mock:zenoti`) and the e2e tests.
+//
+// Test hooks live under /__mock:
+//   POST /__mock/faults   { method, path, status, times, headers, body } - fail matching calls
+//   GET  /__mock/requests - calls received so far
+//   POST /__mock/reset    - reload fixtures and clear state
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const loadFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+
+const loadFixtures = () => ({
+  guests: loadFixture('guests'),
+  bookings: loadFixture('bookings'),
+  slots: loadFixture('slots'),
+  futureDays: loadFixture('future_days'),
+  categories: loadFixture('categories'),
+  services: loadFixture('services'),
+  places: loadFixture('places')
+});
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const todayUTC = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next;
+};
+
+const digitsOnly = (value) => String(value || '').replace(/\D/g, '');
+
+const createMockZenotiServer = ({ apiKey = 'mock-api-key' } = {}) => {
+  const app = express();
+  app.use(express.json());
+
+  let fixtures = loadFixtures();
+  let bookings = new Map();
+  let guests = [];
+  let faults = [];
+  let requests = [];
+
+  const reset = () => {
+    fixtures = loadFixtures();
+    bookings = new Map(fixtures.bookings.map(booking => [booking.id, { ...booking, reservation: null, confirmed: false }]));
+    guests = fixtures.guests.map(guest => ({ ...guest }));
+    faults = [];
+    requests = [];
+  };
+  reset();
+
+  // Control endpoints
+  app.post('/__mock/faults', (req, res) => {
+    const { method = 'ANY', path: pathPattern, status = 500, times = 1, headers = {}, body = null } = req.body || {};
+    faults.push({ method: method.toUpperCase(), pathPattern, status, remaining: times, headers, body });
+    res.json({ success: true, faults: faults.length });
+  });
+
+  app.get('/__mock/requests', (req, res) => {
+    res.json({ requests });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  // Request log and fault injection for everything below
+  app.use((req, res, next) => {
+    requests.push({
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      body: req.body,
+      requestId: req.headers['x-request-id'] || null
+    });
+
+    const fault = faults.find(entry =>
+      entry.remaining > 0
+      && (entry.method === 'ANY' || entry.method === req.method)
+      && new RegExp(entry.pathPattern).test(req.path)
+    );
+
+    if (fault) {
+      fault.remaining -= 1;
+      res.status(fault.status).set(fault.headers).json(fault.body || { Message: `Injected ${fault.status}` });
+      return;
+    }
+
+    next();
+  });
+
+  // Google Places
+  app.get('/maps/api/place/autocomplete/json', (req, res) => {
+    const input = String(req.query.input || '').toLowerCase();
+    const predictions = fixtures.places.predictions.filter(prediction =>
+      prediction.description.toLowerCase().includes(input)
+    );
+    res.json({ status: predictions.length > 0 ? 'OK' : 'ZERO_RESULTS', predictions });
+  });
+
+  app.get('/maps/api/place/details/json', (req, res) => {
+    const result = fixtures.places.details[req.query.place_id];
+    if (!result) {
+      res.json({ status: 'NOT_FOUND' });
+      return;
+    }
+    res.json({ status: 'OK', result });
+  });
+
+  // Everything else is Zenoti and needs the API key
+  app.use((req, res, next) => {
+    if (req.headers.authorization !== `apikey ${apiKey}`) {
+      res.status(401).json({ Message: 'Authorization has been denied for this request.' });
+      return;
+    }
+    next();
+  });
+
+  app.get('/centers', (req, res) => {
+    res.json({ centers: [] });
+  });
+
+  app.get('/centers/:centerId/categories', (req, res) => {
+    res.json({ categories: fixtures.categories });
+  });
+
+  app.get('/centers/:centerId/services', (req, res) => {
+    const page = Number(req.query.page || 1);
+    const size = Number(req.query.size || 10);
+    const filtered = req.query.category_id
+      ? fixtures.services.filter(service => service.category_id === req.query.category_id)
+      : fixtures.services;
+
+    res.json({
+      services: filtered.slice((page - 1) * size, page * size),
+      page_info: { total: filtered.length, page }
+    });
+  });
+
+  app.get('/guests/search', (req, res) => {
+    const email = String(req.query.email || '').toLowerCase();
+    const phone = digitsOnly(req.query.phone);
+    const matches = guests.filter(guest => {
+      const info = guest.personal_info || {};
+      return (email && String(info.email || '').toLowerCase() === email)
+        || (phone && digitsOnly(info.mobile_phone?.number) === phone);
+    });
+    res.json({ guests: matches, page_Info: { total: matches.length } });
+  });
+
+  app.post('/guests', (req, res) => {
+    const { center_id: centerId, personal_info: personalInfo } = req.body || {};
+    if (!centerId || !personalInfo?.first_name || !personalInfo?.email) {
+      res.status(400).json({ code: 'InvalidGuest', Message: 'center_id, first_name and email are required' });
+      return;
+    }
+
+    const guest = { id: crypto.randomUUID(), center_id: centerId, personal_info: personalInfo };
+    guests.push(guest);
+    res.json(guest);
+  });
+
+  app.put('/guests/:guestId', (req, res) => {
+    const guest = guests.find(entry => entry.id === req.params.guestId);
+    if (!guest) {
+      res.status(404).json({ Message: 'Guest not found' });
+      return;
+    }
+    guest.personal_info = { ...guest.personal_info, ...(req.body?.personal_info || {}) };
+    res.json(guest);
+  });
+
+  app.post('/bookings', (req, res) => {
+    const { center_id: centerId, date, guests: bookingGuests } = req.body || {};
+    if (!centerId || !date || !Array.isArray(bookingGuests) || bookingGuests.length === 0) {
+      res.status(400).json({ id: null, error: { message: 'center_id, date and guests are required' } });
+      return;
+    }
+
+    const booking = {
+      id: crypto.randomUUID(),
+      center_id: centerId,
+      date,
+      guests: bookingGuests,
+      reservation: null,
+      confirmed: false
+    };
+    bookings.set(booking.id, booking);
+    res.json({ id: booking.id, error: null });
+  });
+
+  const requireBooking = (req, res) => {
+    const booking = bookings.get(req.params.bookingId);
+    if (!booking) {
+      res.status(404).json({ Message: `Booking ${req.params.bookingId} not found` });
+      return null;
+    }
+    return booking;
+  };
+
+  const slotsForDate = (date) => fixtures.slots.map(slot => ({
+    Time: `${date}T${slot.time}`,
+    Available: slot.available,
+    Warnings: null,
+    Priority: 0
+  }));
+
+  app.get('/bookings/:bookingId', (req, res) => {
+    const booking = requireBooking(req, res);
+    if (!booking) {
+      return;
+    }
+    res.json(booking);
+  });
+
+  app.get('/bookings/:bookingId/slots', (req, res) => {
+    const booking = requireBooking(req, res);
+    if (!booking) {
+      return;
+    }
+
+    // Future days are anchored to today so the recursive discovery in
+    // /api/slots/unified stays within the fixture horizon.
+    const today = todayUTC();
+    const bookingDate = new Date(`${booking.date}T00:00:00Z`);
+    const { horizon_days: horizonDays, available_day_offsets: availableOffsets } = fixtures.futureDays;
+    const futureDays = [];
+
+    if (req.query.check_future_day_availability === 'true') {
+      for (let offset = 1; offset <= horizonDays; offset++) {
+        const day = addDays(today, offset);
+        if (day > bookingDate) {
+          futureDays.push({ Day: `${toDateString(day)}T00:00:00`, IsAvailable: availableOffsets.includes(offset) });
+        }
+      }
+    }
+
+    const nextAvailable = futureDays.find(day => day.IsAvailable);
+
+    res.json({
+      slots: slotsForDate(booking.date),
+      future_days: futureDays,
+      next_available_day: nextAvailable ? nextAvailable.Day : null,
+      Error: null
+    });
+  });
+
+  app.post('/bookings/:bookingId/slots/reserve', (req, res) => {
+    const booking = requireBooking(req, res);
+    if (!booking) {
+      return;
+    }
+
+    const slotTime = req.body?.slot_time;
+    const slot = slotsForDate(booking.date).find(entry => entry.Time === slotTime);
+    if (!slot || !slot.Available) {
+      res.status(400).json({ code: 'SlotNotAvailable', Message: `Slot ${slotTime} is not available` });
+      return;
+    }
+
+    booking.reservation = { reservation_id: crypto.randomUUID(), slot_time: slotTime };
+    res.json([{ reservation_id: booking.reservation.reservation_id, is_reserved: true }]);
+  });
+
+  app.delete('/bookings/:bookingId/slots/reserve', (req, res) => {
+    const booking = requireBooking(req, res);
+    if (!booking) {
+      return;
+    }
+    booking.reservation = null;
+    res.json({ success: true });
+  });
+
+  app.post('/bookings/:bookingId/slots/confirm', (req, res) => {
+    const booking = requireBooking(req, res);
+    if (!booking) {
+      return;
+    }
+
+    if (!booking.reservation) {
+      res.status(400).json({ code: 'NoReservation', Message: 'Slot must be reserved before confirming' });
+      return;
+    }
+
+    booking.confirmed = true;
+    const guestId = booking.guests[0]?.id || null;
+    res.json({
+      is_confirmed: true,
+      invoice: {
+        invoice_id: crypto.randomUUID(),
+        guest: { id: guestId },
+        items: booking.guests[0].items.map(entry => ({
+          appointment_id: crypto.randomUUID(),
+          service_id: entry.item.id,
+          start_time: booking.reservation.slot_time
+        }))
+      },
+      notes: req.body?.notes || null
+    });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ Message: `No mock route for ${req.method} ${req.path}` });
+  });
+
+  let server = null;
+
+  const start = (port = 0) => new Promise((resolve, reject) => {
+    server = app.listen(port, () => {
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+    server.on('error', reject);
+  });
+
+  const stop = () => new Promise(resolve => {
+    if (!server) {
+      resolve();
+      return;
+    }
+    server.close(() => resolve());
+  });
+
+  return { app, start, stop, reset };
+};
+
+// Run standalone: `node mock/zenotiMockServer.js` (MOCK_ZENOTI_PORT, default 4010)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const mock = createMockZenotiServer({ apiKey: process.env.ZENOTI_API_KEY || 'mock-api-key' });
+  mock.start(Number(process.env.MOCK_ZENOTI_PORT) || 4010).then(url => {
+    console.log(`Mock Zenoti / Google Places server listening on ${url}`);
+    console.log(`   ZENOTI_BASE_URL=${url} GOOGLE_PLACES_BASE_URL=${url}`);
+  });
+}
+
+export { createMockZenotiServer };
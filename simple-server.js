@@ -1,39 +1,100 @@
 import express from 'express';
 import cors from 'cors';
 import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
 import dotenv from 'dotenv';
 dotenv.config();
 
 // Import provider data
 import { providers } from './src/data/provider.js';
+import { createProviderStore } from './src/data/providerStore.js';
+import { createCoverageIndex } from './src/data/coverageIndex.js';
+import { createBookingSessionStore } from './src/data/bookingSessionStore.js';
+import { createIdempotencyStore, fingerprintRequest } from './src/data/idempotencyStore.js';
+import { ApiValidationError, toErrorResponse, errorHandler } from './src/utils/errors.js';
+import { logger, runWithRequestContext, getRequestContext } from './src/utils/logger.js';
+import {
+  registry as metricsRegistry,
+  cacheLookups,
+  unifiedSlotsDuration,
+  unifiedSlotsZenotiCalls,
+  registerSemaphoreGauges,
+  registerCircuitBreakerGauge,
+  toCachePrefix
+} from './src/metrics/index.js';
+import { parsePhone } from './src/utils/phone.js';
+import { requestSchemas } from './src/validation/schemas.js';
+import { validateRequest } from './src/validation/validateRequest.js';
+import { listRoutes, buildOpenApiDocument, renderSwaggerUi } from './src/openapi/index.js';
+import { buildQuote } from './src/services/pricing.js';
+import { findMatchingGuest, diffPersonalInfo } from './src/services/guestMatching.js';
+import { parseSlotFilters } from './src/services/slotFilters.js';
+import { aggregateSlotsIntoBuckets } from './src/services/slotBuckets.js';
+import { isValidTimeZone, todayInZone, localTimeToInstant, instantToLocalTime } from './src/utils/timezone.js';
+import { ZenotiClient } from './src/services/zenotiClient.js';
+import { createCache } from './src/cache/index.js';
 // Mock data no longer needed - using real Zenoti API data
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Provider registry: persisted to PROVIDER_STORE_PATH, seeded from src/data/provider.js
+const providerStore = createProviderStore({
+  filePath: process.env.PROVIDER_STORE_PATH || path.resolve('data', 'providers.json'),
+  seed: providers
+});
+// Zipcode -> providers index, rebuilt whenever the registry changes
+const coverageIndex = createCoverageIndex(providerStore);
+
+// Request ID: the caller's X-Request-Id when it looks sane, otherwise a new
+// UUID. Echoed back in the X-Request-Id header, added to every log line and
+// forwarded to Zenoti for the rest of the request (see src/utils/logger.js).
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/;
+
+const assignRequestId = (req, res, next) => {
+  const provided = req.get('X-Request-Id');
+  req.id = provided && REQUEST_ID_PATTERN.test(provided) ? provided : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    logger.info({
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    }, 'Request completed');
+  });
+
+  runWithRequestContext({ requestId: req.id, zenotiCalls: 0 }, next);
+};
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Session-Id', 'X-Request-Id', 'Idempotent-Replayed'] }));
+app.use(assignRequestId);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Helper functions
 const getProvidersByZipcode = (zipcode) => {
-  return providers.filter(provider => 
-    provider.status === 'active' && 
-    provider.zipCodes.includes(zipcode)
-  ).sort((a, b) => a.priority - b.priority);
+  return coverageIndex.getProvidersByZipcode(zipcode);
 };
 
-// Week-based date generation helper functions
-const getWeekDates = (weeks = 4) => {
-  const today = new Date();
+// Centers without a timezone in the registry are assumed to be in this zone
+const DEFAULT_CENTER_TIMEZONE = process.env.DEFAULT_CENTER_TIMEZONE || 'America/Detroit';
+if (!isValidTimeZone(DEFAULT_CENTER_TIMEZONE)) {
+  throw new Error(`DEFAULT_CENTER_TIMEZONE is not a valid IANA time zone: ${DEFAULT_CENTER_TIMEZONE}`);
+}
+
+// Week-based date generation helper functions. `today` is a YYYY-MM-DD
+// calendar day, normally today in the centers' timezone.
+const getWeekDates = (weeks = 4, today = todayInZone(DEFAULT_CENTER_TIMEZONE)) => {
   const weekDates = [];
 
-  const todayUTC = new Date(Date.UTC(
-    today.getUTCFullYear(),
-    today.getUTCMonth(),
-    today.getUTCDate()
-  ));
+  const todayUTC = new Date(`${today}T00:00:00Z`);
 
   const currentWeekStart = new Date(todayUTC);
   currentWeekStart.setUTCDate(todayUTC.getUTCDate() - todayUTC.getUTCDay());
@@ -71,154 +132,248 @@ const getWeekStartDate = (dateStr) => {
 };
 
 const getAllProviders = () => {
-  return providers.filter(provider => provider.status === 'active')
+  return providerStore.list().filter(provider => provider.status === 'active')
     .sort((a, b) => a.priority - b.priority);
 };
 
 const getProviderById = (providerId) => {
-  return providers.find(provider => provider.provider_id === providerId);
+  return providerStore.get(providerId);
 };
 
-// Mock data helper functions removed - using real Zenoti API data
+const getCenterTimeZone = (centerId) => {
+  return getProviderById(centerId)?.timezone || DEFAULT_CENTER_TIMEZONE;
+};
 
+// Mock data helper functions removed - using real Zenoti API data
 
-// Caching layer for Zenoti API responses
-const cache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes cache
 
-// Concurrency helpers
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Caching layer for Zenoti API responses (in-memory LRU or Redis, see src/cache)
+const cache = createCache();
 
-const createSemaphore = (maxConcurrency = 8) => {
-  let activeCount = 0;
-  const queue = [];
+// TTL per kind of cached data: catalogs barely change, slot availability does
+const CACHE_TTLS = {
+  default: 5 * 60 * 1000, // 5 minutes
+  catalog: Number(process.env.CACHE_TTL_CATALOG_MS) || 6 * 60 * 60 * 1000, // 6 hours
+  slots: Number(process.env.CACHE_TTL_SLOTS_MS) || 30 * 1000 // 30 seconds
+};
 
-  const runNext = () => {
-    if (activeCount >= maxConcurrency) {
-      return;
-    }
-    const nextTask = queue.shift();
-    if (!nextTask) {
+// Shared Zenoti client (auth, timeouts, rate and concurrency limits, retries
+// and circuit breaker)
+const zenotiClient = new ZenotiClient({
+  apiKey: process.env.ZENOTI_API_KEY,
+  baseUrl: process.env.ZENOTI_BASE_URL,
+  timeoutMs: Number(process.env.ZENOTI_TIMEOUT_MS) || undefined,
+  ratePerSecond: Number(process.env.ZENOTI_RATE_PER_SECOND) || undefined,
+  burst: Number(process.env.ZENOTI_RATE_BURST) || undefined,
+  maxTransientRetries: process.env.ZENOTI_MAX_RETRIES ? Number(process.env.ZENOTI_MAX_RETRIES) : undefined,
+  retryBaseDelayMs: Number(process.env.ZENOTI_RETRY_BASE_DELAY_MS) || undefined,
+  circuitFailureThreshold: Number(process.env.ZENOTI_CIRCUIT_FAILURE_THRESHOLD) || undefined,
+  circuitCooldownMs: Number(process.env.ZENOTI_CIRCUIT_COOLDOWN_MS) || undefined
+});
+registerSemaphoreGauges(zenotiClient.semaphore);
+registerCircuitBreakerGauge(zenotiClient.circuitBreaker);
+
+// Bookings handed out to clients, bound to the session that requested them.
+// Abandoned ones are dropped after BOOKING_SESSION_TTL_MS and any slot they
+// still hold is released. With Redis the bindings are shared between
+// instances and survive restarts.
+const bookingSessions = createBookingSessionStore({
+  ttlMs: Number(process.env.BOOKING_SESSION_TTL_MS) || undefined,
+  maxPerSession: Number(process.env.BOOKING_SESSION_MAX_PER_SESSION) || undefined,
+  maxEntries: Number(process.env.BOOKING_SESSION_MAX_ENTRIES) || undefined,
+  cache: process.env.CACHE_BACKEND === 'redis'
+    ? createCache({ ...process.env, CACHE_KEY_PREFIX: `booking-sessions:${process.env.CACHE_KEY_PREFIX || 'oah:'}` })
+    : null,
+  onExpire: async (booking) => {
+    if (booking.status !== 'reserved') {
       return;
     }
-    activeCount++;
-    nextTask()
-      .finally(() => {
-        activeCount--;
-        runNext();
-      });
-  };
+    logger.info({ bookingId: booking.booking_id }, 'Releasing abandoned reservation');
+    await zenotiClient.cancelReservation(booking.booking_id);
+  }
+});
 
-  const run = (task) => {
-    return new Promise((resolve, reject) => {
-      const execute = () => Promise.resolve().then(task).then(resolve).catch(reject);
-      queue.push(execute);
-      runNext();
-    });
-  };
+// First responses to mutating requests sent with an Idempotency-Key. Kept
+// apart from the response cache so clearing that never drops them; the key
+// prefix stays outside CACHE_KEY_PREFIX for the same reason.
+const idempotencyStore = createIdempotencyStore({
+  cache: createCache({
+    ...process.env,
+    CACHE_KEY_PREFIX: `idempotency:${process.env.CACHE_KEY_PREFIX || 'oah:'}`,
+    CACHE_MAX_ENTRIES: process.env.IDEMPOTENCY_MAX_ENTRIES || '10000'
+  }),
+  ttlMs: Number(process.env.IDEMPOTENCY_TTL_MS) || undefined
+});
 
-  return { run };
-};
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
 
-const requestSemaphore = createSemaphore(8);
+// Client session from the X-Session-Id header; a new one is issued when the
+// client has none yet. Either way it is echoed back in the response header.
+const resolveClientSession = (req, res) => {
+  const provided = req.get('x-session-id');
+  if (provided !== undefined && !SESSION_ID_PATTERN.test(provided)) {
+    throw new ApiValidationError('X-Session-Id must be 8-128 letters, digits, "-" or "_"', 400);
+  }
 
-const rateLimitTracker = {
-  retryDelays: [1000, 2000, 5000, 10000], // Progressive backoff
-  maxRetries: 4
+  const sessionId = provided || crypto.randomUUID();
+  res.set('X-Session-Id', sessionId);
+  return sessionId;
 };
 
-// Rate limiting and retry logic
+// Only the session a booking was handed to may act on it. A booking nobody
+// handed out (or one forgotten since, e.g. after a restart without Redis) is
+// refused: there is no session it could be checked against.
+const authorizeBookingSession = async (req, bookingId) => {
+  const booking = await bookingSessions.load(bookingId);
+  if (!booking) {
+    throw new ApiValidationError('Booking not found for this session. Please start a new booking.', 404, { booking_id: bookingId });
+  }
+
+  if (req.get('x-session-id') !== booking.session_id) {
+    throw new ApiValidationError('Booking belongs to a different session', 403, { booking_id: bookingId });
+  }
 
-const getCachedData = (key) => {
-  const cached = cache.get(key);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
+  if (booking.expired) {
+    throw new ApiValidationError('Booking has expired. Please start a new booking.', 410, {
+      booking_id: bookingId,
+      expires_at: booking.expires_at
+    });
   }
-  return null;
+
+  return booking;
 };
 
-const setCachedData = (key, data) => {
-  cache.set(key, {
-    data,
-    timestamp: Date.now()
-  });
+const getCachedData = async (key) => {
+  const value = await cache.get(key);
+  cacheLookups.inc({ prefix: toCachePrefix(key), result: value === null || value === undefined ? 'miss' : 'hit' });
+  return value;
 };
 
-// Rate limiting helper
-// Retry logic with exponential backoff
-const makeZenotiRequest = async (requestFn, retryCount = 0) => {
-  try {
-    const response = await requestSemaphore.run(() => requestFn());
-    return response;
-  } catch (error) {
-    // Handle rate limit errors (429)
-    if (error.response && error.response.status === 429) {
-      if (retryCount < rateLimitTracker.maxRetries) {
-        const delay = rateLimitTracker.retryDelays[retryCount] || 10000;
-        console.log(`Rate limited. Retrying in ${delay}ms (attempt ${retryCount + 1}/${rateLimitTracker.maxRetries})`);
-        
-        // Extract retry-after header if available
-        const retryAfter = error.response.headers['retry-after'];
-        const actualDelay = retryAfter ? parseInt(retryAfter) * 1000 : delay;
-        
-        if (actualDelay > 0) {
-          await sleep(actualDelay);
-        }
-        return makeZenotiRequest(requestFn, retryCount + 1);
-      } else {
-        console.error(`Max retries (${rateLimitTracker.maxRetries}) exceeded for rate limited request`);
-        throw new Error('Rate limit exceeded. Please try again later.');
-      }
-    }
-    
-    // Re-throw non-rate-limit errors
-    throw error;
-  }
+const setCachedData = async (key, data, ttlMs = CACHE_TTLS.default) => {
+  await cache.set(key, data, ttlMs);
 };
 
-class ApiValidationError extends Error {
-  constructor(message, statusCode = 400, details = null) {
-    super(message);
-    this.name = 'ApiValidationError';
-    this.statusCode = statusCode;
-    this.details = details;
+// Admin auth for provider registry writes (x-api-key or Bearer token)
+const requireAdminAuth = (req, res, next) => {
+  const adminApiKey = process.env.ADMIN_API_KEY;
+
+  if (!adminApiKey) {
+    throw new ApiValidationError('Admin API key not configured', 503);
   }
-}
 
-const getZenotiConfig = () => {
-  const zenotiApiKey = process.env.ZENOTI_API_KEY;
-  const zenotiBaseUrl = process.env.ZENOTI_BASE_URL || 'https://api.zenoti.com/v1';
+  const authorization = req.headers.authorization || '';
+  const providedKey = req.headers['x-api-key']
+    || (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
 
-  if (!zenotiApiKey) {
-    throw new Error('Zenoti API key not configured');
+  const expected = Buffer.from(adminApiKey);
+  const provided = Buffer.from(String(providedKey));
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    throw new ApiValidationError('Unauthorized', 401);
   }
 
-  return { zenotiApiKey, zenotiBaseUrl };
+  next();
 };
 
-const sanitizePhoneForZenoti = (phone) => {
-  if (!phone) {
-    throw new ApiValidationError('phone number is required', 400);
-  }
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9._:-]{1,255}$/;
+
+// Keys are scoped to the caller: their X-Session-Id, or their address when
+// they have no session yet. Another caller reusing a key never sees the
+// first caller's response or session.
+const idempotencyScope = (req) => {
+  const sessionId = req.get('x-session-id');
+  const scope = sessionId ? `session:${sessionId}` : `client:${req.ip}`;
+  return crypto.createHash('sha256').update(scope).digest('hex').slice(0, 32);
+};
 
-  const digits = String(phone).replace(/\D/g, '');
-  if (!digits) {
-    throw new ApiValidationError('phone number must contain digits', 400);
+// Idempotency-Key support for mutating routes. The first response for a key
+// is stored and replayed (with Idempotent-Replayed: true) for any repeat of
+// the same request from the same caller; reusing the key for a different
+// request is a 422. 5xx and retryable responses are not stored, so the
+// client can retry with the same key.
+const idempotency = async (req, res, next) => {
+  const key = req.get('idempotency-key');
+  if (key === undefined) {
+    next();
+    return;
+  }
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    throw new ApiValidationError('Idempotency-Key must be 1-255 letters, digits, ".", ":", "-" or "_"', 400, null, {
+      code: 'INVALID_IDEMPOTENCY_KEY',
+      field: 'Idempotency-Key'
+    });
   }
 
-  let zenotiDigits = digits;
-  if (digits.length === 10) {
-    zenotiDigits = digits.substring(1);
-  } else if (digits.length !== 9) {
-    throw new ApiValidationError('phone number must be 9 or 10 digits', 400);
+  const storeKey = `${idempotencyScope(req)}:${key}`;
+  const fingerprint = fingerprintRequest({ method: req.method, url: req.originalUrl, body: req.body });
+  const { state, response } = await idempotencyStore.begin(storeKey, fingerprint);
+
+  if (state === 'mismatch') {
+    throw new ApiValidationError('Idempotency-Key was already used for a different request', 422, null, {
+      code: 'IDEMPOTENCY_KEY_MISMATCH',
+      field: 'Idempotency-Key'
+    });
+  }
+  if (state === 'in_progress') {
+    throw new ApiValidationError('A request with this Idempotency-Key is still being processed', 409, null, {
+      code: 'IDEMPOTENCY_IN_PROGRESS',
+      retryable: true
+    });
+  }
+  if (state === 'replay') {
+    // Never hand a stored session to a caller already using a different one
+    const { 'X-Session-Id': storedSessionId, ...headers } = response.headers || {};
+    const requestSessionId = req.get('x-session-id');
+    res.set(headers);
+    if (storedSessionId && (!requestSessionId || requestSessionId === storedSessionId)) {
+      res.set('X-Session-Id', storedSessionId);
+    }
+    res.set('Idempotent-Replayed', 'true');
+    res.status(response.status).json(response.body);
+    return;
   }
 
-  return {
-    original: digits,
-    zenoti: zenotiDigits
+  // Capture whatever the route (or the error handler) sends back
+  let settled = false;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (!settled) {
+      settled = true;
+      if (res.statusCode < 500 && body?.retryable !== true) {
+        const sessionId = res.get('X-Session-Id');
+        idempotencyStore.complete(storeKey, fingerprint, {
+          status: res.statusCode,
+          headers: sessionId ? { 'X-Session-Id': sessionId } : {},
+          body
+        });
+      } else {
+        idempotencyStore.abandon(storeKey);
+      }
+    }
+    return sendJson(body);
   };
+  res.on('close', () => {
+    if (!settled) {
+      settled = true;
+      idempotencyStore.abandon(storeKey);
+    }
+  });
+
+  next();
 };
 
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Country assumed for phone numbers entered without a +country code
+const DEFAULT_PHONE_COUNTRY = process.env.DEFAULT_PHONE_COUNTRY || 'US';
+
+// Zenoti wants the calling code and the national number separately,
+// e.g. { country_code: '+1', number: '2485550199' }
+const toZenotiPhone = (phone) => ({
+  country_code: phone.country_code,
+  number: phone.number
+});
+
 const resolveGuestNames = ({ name, firstName, lastName }) => {
   let resolvedFirstName = firstName ? String(firstName).trim() : '';
   let resolvedLastName = lastName ? String(lastName).trim() : '';
@@ -249,7 +404,7 @@ const resolveGuestNames = ({ name, firstName, lastName }) => {
   };
 };
 
-const searchGuestInZenoti = async ({ phone, email }) => {
+const searchGuestInZenoti = async ({ phone, phoneCountry, email }) => {
   const normalizedPhone = phone ? String(phone).trim() : '';
   const normalizedEmail = email ? String(email).trim() : '';
 
@@ -259,87 +414,140 @@ const searchGuestInZenoti = async ({ phone, email }) => {
 
   let sanitizedPhoneForZenoti = null;
   if (normalizedPhone) {
-    const sanitizedPhone = sanitizePhoneForZenoti(normalizedPhone);
-    sanitizedPhoneForZenoti = sanitizedPhone.zenoti;
+    const parsed = parsePhone(normalizedPhone, { country: phoneCountry, defaultCountry: DEFAULT_PHONE_COUNTRY });
+    if (parsed.errors) {
+      throw new ApiValidationError('Invalid guest search', 400, { errors: parsed.errors });
+    }
+    sanitizedPhoneForZenoti = parsed.phone.number;
   }
 
-  const { zenotiApiKey, zenotiBaseUrl } = getZenotiConfig();
-
   const queryParams = {
     center_id: 'null',
     email: normalizedEmail || undefined,
     phone: sanitizedPhoneForZenoti || undefined
   };
 
-  const response = await makeZenotiRequest(async () => {
-    return await axios.get(`${zenotiBaseUrl}/guests/search`, {
-      params: queryParams,
-      headers: {
-        'Authorization': `apikey ${zenotiApiKey}`
-      }
-    });
+  const data = await zenotiClient.searchGuests({
+    centerId: queryParams.center_id,
+    email: queryParams.email,
+    phone: queryParams.phone
   });
 
-  console.log('[Zenoti] Guest search executed', {
-    center_id: 'null',
-    email: normalizedEmail || null,
-    phone: sanitizedPhoneForZenoti || null
-  });
+  logger.debug({ byEmail: Boolean(normalizedEmail), byPhone: Boolean(sanitizedPhoneForZenoti) }, 'Guest search executed');
 
   return {
-    data: response.data,
+    data,
     params: queryParams
   };
 };
 
-const createGuestInZenoti = async ({ centerId, name, firstName, lastName, email, phone }) => {
-  if (!centerId) {
-    throw new ApiValidationError('center_id (provider_id) is required', 400);
+// Zenoti personal_info for a guest from the fields clients send us. Every
+// problem is reported at once in details.errors as { field, message }.
+const buildGuestPersonalInfo = ({ name, firstName, lastName, email, phone, phoneCountry }) => {
+  const errors = [];
+
+  const trimmedEmail = email ? String(email).trim() : '';
+  if (!trimmedEmail) {
+    errors.push({ field: 'email', message: 'email is required' });
+  } else if (!EMAIL_PATTERN.test(trimmedEmail)) {
+    errors.push({ field: 'email', message: 'email must be a valid email address' });
+  }
+
+  let names = null;
+  try {
+    names = resolveGuestNames({ name, firstName, lastName });
+  } catch (error) {
+    errors.push({ field: 'first_name', message: error.message });
   }
 
-  if (!email) {
-    throw new ApiValidationError('email is required', 400);
+  const parsedPhone = parsePhone(phone, { country: phoneCountry, defaultCountry: DEFAULT_PHONE_COUNTRY });
+  if (parsedPhone.errors) {
+    errors.push(...parsedPhone.errors);
   }
 
-  const { firstName: resolvedFirstName, lastName: resolvedLastName } = resolveGuestNames({
-    name,
-    firstName,
-    lastName
-  });
+  if (errors.length > 0) {
+    throw new ApiValidationError('Invalid guest details', 400, { errors });
+  }
+
+  return {
+    personalInfo: {
+      first_name: names.firstName,
+      last_name: names.lastName,
+      email: trimmedEmail,
+      mobile_phone: toZenotiPhone(parsedPhone.phone)
+    },
+    phone: parsedPhone.phone,
+    resolvedFirstName: names.firstName,
+    resolvedLastName: names.lastName
+  };
+};
+
+const createGuestInZenoti = async ({ centerId, name, firstName, lastName, email, phone, phoneCountry }) => {
+  if (!centerId) {
+    throw new ApiValidationError('center_id (provider_id) is required', 400);
+  }
 
-  const { original: sanitizedPhone, zenoti: phoneForZenoti } = sanitizePhoneForZenoti(phone);
+  const { personalInfo, ...resolved } = buildGuestPersonalInfo({ name, firstName, lastName, email, phone, phoneCountry });
 
   const guestPayload = {
     center_id: centerId,
-    personal_info: {
-      first_name: resolvedFirstName,
-      last_name: resolvedLastName,
-      email,
-      mobile_phone: {
-        country_code: '+1',
-        number: phoneForZenoti
-      }
-    }
+    personal_info: personalInfo
   };
 
-  const { zenotiApiKey, zenotiBaseUrl } = getZenotiConfig();
+  const data = await zenotiClient.createGuest(guestPayload);
 
-  const response = await makeZenotiRequest(async () => {
-    return await axios.post(`${zenotiBaseUrl}/guests`, guestPayload, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `apikey ${zenotiApiKey}`
+  return {
+    data,
+    payload: guestPayload,
+    ...resolved
+  };
+};
+
+// Find-or-create: look the guest up by email and by phone, reuse a match
+// (see src/services/guestMatching.js), bring its personal info up to date and
+// only create a new guest when nothing matches. `action` reports which of
+// matched / updated / created happened.
+const upsertGuestInZenoti = async ({ centerId, name, firstName, lastName, email, phone, phoneCountry }) => {
+  const { personalInfo, phone: parsedPhone } = buildGuestPersonalInfo({ name, firstName, lastName, email, phone, phoneCountry });
+
+  const [byEmail, byPhone] = await Promise.all([
+    zenotiClient.searchGuests({ email: personalInfo.email }),
+    zenotiClient.searchGuests({ phone: parsedPhone.number })
+  ]);
+
+  const candidates = new Map();
+  [byEmail, byPhone].forEach(result => {
+    (result?.guests || []).forEach(guest => {
+      if (guest?.id && !candidates.has(guest.id)) {
+        candidates.set(guest.id, guest);
       }
     });
   });
 
+  const match = findMatchingGuest(Array.from(candidates.values()), {
+    email: personalInfo.email,
+    phone: parsedPhone.e164,
+    lastName: personalInfo.last_name
+  });
+
+  if (!match) {
+    const { data } = await createGuestInZenoti({ centerId, name, firstName, lastName, email, phone, phoneCountry });
+    return { action: 'created', matchRule: null, changedFields: [], data };
+  }
+
+  const changes = diffPersonalInfo(match.guest.personal_info, personalInfo);
+  const changedFields = Object.keys(changes);
+
+  if (changedFields.length === 0) {
+    return { action: 'matched', matchRule: match.rule, changedFields, data: match.guest };
+  }
+
+  const updated = await zenotiClient.updateGuest(match.guest.id, { personal_info: changes });
   return {
-    data: response.data,
-    payload: guestPayload,
-    sanitizedPhone,
-    phoneForZenoti,
-    resolvedFirstName,
-    resolvedLastName
+    action: 'updated',
+    matchRule: match.rule,
+    changedFields,
+    data: updated?.id ? updated : { ...match.guest, personal_info: { ...match.guest.personal_info, ...changes } }
   };
 };
 
@@ -377,17 +585,13 @@ const createBookingInZenoti = async ({ centerId, date, guestId, serviceIds }) =>
         }
       );
 
-    /*
-    TODO: Once logging infrastructure is in place, add a structured log (e.g. to pino) here with:
-        {
-          error: error.message,
-          details: error.details,
-          center_id: centerId,
-          guest_id: guestId,
-          date
-        }
-    so we can trace payload issues in prod without exposing them to the client.
-    */
+      logger.warn({
+        err: error,
+        details: error.details,
+        centerId,
+        guestId,
+        date
+      }, 'Rejected booking payload');
 
       throw error;
     }
@@ -408,49 +612,26 @@ const createBookingInZenoti = async ({ centerId, date, guestId, serviceIds }) =>
     ]
   };
 
-  const { zenotiApiKey, zenotiBaseUrl } = getZenotiConfig();
-
   try {
-    console.log('[createBookingInZenoti] Request payload', bookingPayload);
+    logger.debug({ payload: bookingPayload }, 'Creating booking');
 
-    const response = await makeZenotiRequest(async () => {
-      return await axios.post(`${zenotiBaseUrl}/bookings?is_double_booking_enabled=false`, bookingPayload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `apikey ${zenotiApiKey}`
-        }
-      });
-    });
+    const data = await zenotiClient.createBooking(bookingPayload);
 
-    console.log('[createBookingInZenoti] Booking created', {
-      bookingId: response.data?.id,
-      status: response.status,
-      serviceCount: serviceIds.length
-    });
+    logger.info({ bookingId: data?.id, centerId, serviceCount: serviceIds.length }, 'Booking created');
 
     return {
-      data: response.data,
+      data,
       payload: bookingPayload
     };
   } catch (error) {
-    if (error.response) {
-      console.error('[createBookingInZenoti] Zenoti API responded with error', {
-        status: error.response.status,
-        data: error.response.data
-      });
-    } else {
-      console.error('[createBookingInZenoti] Failed to create booking', {
-        message: error.message
-      });
-    }
-
-    console.error('[createBookingInZenoti] Payload that caused error', bookingPayload);
-    console.error('[createBookingInZenoti] Error response', error.response?.data || error.message);
+    logger.warn({ err: error, centerId, payload: bookingPayload }, 'Failed to create booking');
     throw error;
   }
 };
 
-const reserveSlotInZenoti = async ({ bookingId, slotTime, createInvoice = false }) => {
+// Zenoti expects slot_time on the center's wall clock. A center-local
+// slot_time is sent as-is; one with an offset is converted to `timeZone` first.
+const reserveSlotInZenoti = async ({ bookingId, slotTime, createInvoice = false, timeZone = DEFAULT_CENTER_TIMEZONE }) => {
   if (!bookingId) {
     throw new ApiValidationError('bookingId is required', 400);
   }
@@ -459,73 +640,38 @@ const reserveSlotInZenoti = async ({ bookingId, slotTime, createInvoice = false
     throw new ApiValidationError('slot_time is required', 400);
   }
 
-  const slotDate = new Date(slotTime);
-  if (Number.isNaN(slotDate.getTime())) {
+  const formattedSlotTime = instantToLocalTime(slotTime, timeZone);
+  if (!formattedSlotTime?.includes('T')) {
     throw new ApiValidationError('slot_time must be a valid date string', 400);
   }
-
-  // Use the slot_time as-is without timezone conversion
-  // Zenoti expects the time in the center's local timezone
-  const formattedSlotTime = slotTime;
+  const startsAt = localTimeToInstant(formattedSlotTime, timeZone);
 
   const reservePayload = {
     slot_time: formattedSlotTime,
     create_invoice: createInvoice
   };
 
-  const { zenotiApiKey, zenotiBaseUrl } = getZenotiConfig();
-
-  console.log('[reserveSlotInZenoti] Request payload', {
-    bookingId,
-    reservePayload
-  });
+  logger.debug({ bookingId, payload: reservePayload }, 'Reserving slot');
 
   try {
-    const response = await makeZenotiRequest(async () => {
-      return await axios.post(`${zenotiBaseUrl}/bookings/${bookingId}/slots/reserve`, reservePayload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `apikey ${zenotiApiKey}`
-        }
-      });
-    });
+    const data = await zenotiClient.reserveSlot(bookingId, reservePayload);
 
-    console.log('[reserveSlotInZenoti] Reservation created', {
-      bookingId,
-      slot_time: formattedSlotTime,
-      status: response.status
-    });
+    logger.info({ bookingId, slotTime: formattedSlotTime }, 'Slot reserved');
 
     return {
-      data: response.data,
+      data,
       payload: reservePayload,
-      formattedSlotTime
+      formattedSlotTime,
+      startsAt
     };
   } catch (error) {
-    if (error.response) {
-      console.error('[reserveSlotInZenoti] Zenoti API responded with error', {
-        status: error.response.status,
-        data: error.response.data
-      });
-    } else {
-      console.error('[reserveSlotInZenoti] Failed to reserve slot', {
-        message: error.message
-      });
-    }
-
+    logger.warn({ err: error, bookingId, slotTime: formattedSlotTime }, 'Failed to reserve slot');
     throw error;
   }
 };
 
 // Zenoti API helper functions
 const fetchZenotiServices = async (centerId, categoryId = null, { pageSize = 10, maxPages = 100 } = {}) => {
-  const zenotiApiKey = process.env.ZENOTI_API_KEY;
-  const zenotiBaseUrl = process.env.ZENOTI_BASE_URL || 'https://api.zenoti.com';
-
-  if (!zenotiApiKey) {
-    throw new Error('Zenoti API key not configured');
-  }
-
   const aggregatedServices = [];
   const aggregatedAddOns = new Map();
   let page = 1;
@@ -533,30 +679,13 @@ const fetchZenotiServices = async (centerId, categoryId = null, { pageSize = 10,
 
   try {
     while (pagesFetched < maxPages) {
-      const query = new URLSearchParams({
-        catalog_enabled: 'true',
-        page: String(page),
-        size: String(pageSize),
-        expand: 'add_ons_info'
-      });
-
-      if (categoryId) {
-        query.append('category_id', categoryId);
-      }
-
-      const url = `${zenotiBaseUrl}/centers/${centerId}/services?${query.toString()}`;
-
-      const response = await makeZenotiRequest(async () => {
-        return await axios.get(url, {
-          headers: {
-            'Authorization': `apikey ${zenotiApiKey}`,
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
-        });
+      const data = await zenotiClient.getServices(centerId, {
+        page,
+        size: pageSize,
+        categoryId
       });
 
-      const services = Array.isArray(response.data?.services) ? response.data.services : [];
+      const services = Array.isArray(data?.services) ? data.services : [];
 
       services.forEach(service => {
         const isAddOn = service?.add_ons_info?.is_add_on === true;
@@ -592,34 +721,25 @@ const fetchZenotiServices = async (centerId, categoryId = null, { pageSize = 10,
       }
     };
   } catch (error) {
-    console.error(`Zenoti API error for center ${centerId}:`, error.message);
-    throw new Error(`Failed to fetch services from Zenoti API: ${error.message}`);
+    logger.error({ err: error, centerId }, 'Failed to fetch services from Zenoti');
+    throw error;
   }
 };
 
 const fetchZenotiCategories = async (centerId) => {
-  const zenotiApiKey = process.env.ZENOTI_API_KEY;
-  const zenotiBaseUrl = process.env.ZENOTI_BASE_URL || 'https://api.zenoti.com';
-  
-  if (!zenotiApiKey) {
-    throw new Error('Zenoti API key not configured');
+  const cacheKey = `categories-${centerId}`;
+  const cachedData = await getCachedData(cacheKey);
+  if (cachedData) {
+    return cachedData;
   }
-  
+
   try {
-    const response = await makeZenotiRequest(async () => {
-      return await axios.get(`${zenotiBaseUrl}/centers/${centerId}/categories?show_in_catalog=true`, {
-        headers: {
-          'Authorization': `apikey ${zenotiApiKey}`,
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        }
-      });
-    });
-    
-    return response.data;
+    const data = await zenotiClient.getCategories(centerId);
+    await setCachedData(cacheKey, data, CACHE_TTLS.catalog);
+    return data;
   } catch (error) {
-    console.error(`Zenoti API error for categories at center ${centerId}:`, error.message);
-    throw new Error(`Failed to fetch categories from Zenoti API for center ${centerId}: ${error.message}`);
+    logger.error({ err: error, centerId }, 'Failed to fetch categories from Zenoti');
+    throw error;
   }
 };
 
@@ -702,16 +822,24 @@ const aggregateCategoriesWithServicesFromAllCenters = async (centerIds) => {
         categories: categoriesData.categories || []
       };
     } catch (error) {
-      console.error(`Failed to fetch categories for center ${centerId}:`, error.message);
+      logger.warn({ err: error, centerId }, 'Failed to fetch categories for center');
       return {
         centerId,
-        categories: []
+        categories: [],
+        error
       };
     }
   });
   
   // Wait for all centers to complete
   const centerResults = await Promise.all(centerPromises);
+  const failedCenters = centerResults
+    .filter(result => result.error)
+    .map(({ centerId, error }) => toFailedCenter(centerId, error));
+  // Nothing to show at all: report why rather than an empty catalog
+  if (centerResults.length > 0 && failedCenters.length === centerResults.length) {
+    throw centerResults[0].error;
+  }
   
   // Process categories first
   centerResults.forEach(({ centerId, categories }) => {
@@ -749,7 +877,7 @@ const aggregateCategoriesWithServicesFromAllCenters = async (centerIds) => {
           pagination: result?.pagination || null
         }))
         .catch(error => {
-          console.error(`Failed to fetch services for center ${centerId}, category ${category.id}:`, error.message);
+          logger.warn({ err: error, centerId, categoryId: category.id }, 'Failed to fetch services for category');
           return {
             centerId,
             categoryId: category.id,
@@ -784,14 +912,16 @@ const aggregateCategoriesWithServicesFromAllCenters = async (centerIds) => {
         const existingService = category.services.find(s => s.id === serviceKey);
         if (!existingService) {
           // Add service to category
+          const price = service.price_info?.final_price || service.price_info?.sale_price || 0;
           const serviceData = {
             id: service.id,
             name: service.name,
             description: service.description,
             duration: service.duration,
-            price: service.price_info?.final_price || service.price_info?.sale_price || 0,
+            price,
             code: service.code,
             available_centers: [centerId],
+            pricing: [{ center_id: centerId, price }],
             add_ons_list: service.add_ons_info?.add_ons_list || [],
             add_ons: mapAddOnsForService(service.add_ons_info?.add_ons_list),
             has_add_ons: service.add_ons_info?.has_add_ons || false
@@ -802,6 +932,10 @@ const aggregateCategoriesWithServicesFromAllCenters = async (centerIds) => {
           // Add center to existing service's available_centers
           if (!existingService.available_centers.includes(centerId)) {
             existingService.available_centers.push(centerId);
+            existingService.pricing.push({
+              center_id: centerId,
+              price: service.price_info?.final_price || service.price_info?.sale_price || 0
+            });
           }
           const newAddOnIds = Array.isArray(service.add_ons_info?.add_ons_list) ? service.add_ons_info.add_ons_list : [];
           const existingIds = Array.isArray(existingService.add_ons_list) ? existingService.add_ons_list : [];
@@ -828,10 +962,157 @@ const aggregateCategoriesWithServicesFromAllCenters = async (centerIds) => {
     category.services.sort((a, b) => a.name.localeCompare(b.name));
   });
   
-  return { categories: allCategories };
+  return { categories: allCategories, failedCenters };
+};
+
+// Services helpers (used by the /api/services routes)
+const parsePagination = ({ page, limit }, { defaultLimit = 10, maxLimit = 100 } = {}) => {
+  const currentPage = page === undefined ? 1 : Number(page);
+  const itemsPerPage = limit === undefined ? defaultLimit : Number(limit);
+
+  if (!Number.isInteger(currentPage) || currentPage < 1) {
+    throw new ApiValidationError('page must be a positive integer', 400);
+  }
+
+  if (!Number.isInteger(itemsPerPage) || itemsPerPage < 1 || itemsPerPage > maxLimit) {
+    throw new ApiValidationError(`limit must be an integer between 1 and ${maxLimit}`, 400);
+  }
+
+  return { page: currentPage, limit: itemsPerPage };
+};
+
+const paginate = (items, { page, limit }) => {
+  const totalItems = items.length;
+  const totalPages = Math.ceil(totalItems / limit);
+  const start = (page - 1) * limit;
+
+  return {
+    items: items.slice(start, start + limit),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalItems,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+// Accepts an array or a comma-separated string; defaults to every active provider
+const resolveCenterIds = (centerIds) => {
+  const ids = Array.isArray(centerIds)
+    ? centerIds
+    : (typeof centerIds === 'string' ? centerIds.split(',') : []);
+  const cleaned = Array.from(new Set(ids.map(id => String(id).trim()).filter(Boolean)));
+
+  if (cleaned.length > 0) {
+    return cleaned;
+  }
+
+  if (centerIds !== undefined && centerIds !== null && centerIds !== '') {
+    throw new ApiValidationError('centerIds must be a non-empty array or comma-separated list', 400);
+  }
+
+  return getAllProviders().map(provider => provider.provider_id);
+};
+
+const getServicePrice = (service) => service?.price_info?.final_price ?? service?.price_info?.sale_price ?? 0;
+
+// Full catalog (services and add-ons) of one center, raw Zenoti objects
+const fetchCenterCatalog = async (centerId) => {
+  const cacheKey = `catalog-${centerId}`;
+  const cachedData = await getCachedData(cacheKey);
+  if (cachedData) {
+    return cachedData;
+  }
+
+  const result = await fetchZenotiServices(centerId, null, { pageSize: 100 });
+  const catalog = {
+    services: result.services,
+    addOns: result.addOns
+  };
+
+  await setCachedData(cacheKey, catalog, CACHE_TTLS.catalog);
+  return catalog;
+};
+
+// A center left out of a multi-center answer, as reported in failed_centers:
+// our error code and message, never the upstream text
+const toFailedCenter = (centerId, error) => {
+  const { body } = toErrorResponse(error);
+  return { centerId, code: body.code, error: body.message };
+};
+
+// Fetch the full (non add-on) service catalog for each center and merge it by
+// service ID, keeping the price each center charges. Centers that fail are
+// listed in failedCenters; when every center fails the first error is thrown.
+const fetchServicesForCenters = async (centerIds) => {
+  const centerResults = await Promise.all(centerIds.map(async (centerId) => {
+    try {
+      const { services } = await fetchCenterCatalog(centerId);
+      return { centerId, services, error: null };
+    } catch (error) {
+      logger.warn({ err: error, centerId }, 'Failed to fetch services for center');
+      return { centerId, services: [], error: toFailedCenter(centerId, error), cause: error };
+    }
+  }));
+
+  if (centerResults.length > 0 && centerResults.every(result => result.cause)) {
+    throw centerResults[0].cause;
+  }
+
+  const serviceMap = new Map();
+
+  centerResults.forEach(({ centerId, services }) => {
+    services.forEach(service => {
+      if (!service?.id) {
+        return;
+      }
+
+      const price = getServicePrice(service);
+      const existing = serviceMap.get(service.id);
+
+      if (existing) {
+        if (!existing.available_centers.includes(centerId)) {
+          existing.available_centers.push(centerId);
+          existing.pricing.push({ center_id: centerId, price });
+        }
+        if (price < existing.price) {
+          existing.price = price;
+        }
+        return;
+      }
+
+      serviceMap.set(service.id, {
+        id: service.id,
+        name: service.name,
+        description: service.description,
+        duration: service.duration,
+        price,
+        code: service.code,
+        available_centers: [centerId],
+        pricing: [{ center_id: centerId, price }],
+        has_add_ons: service.add_ons_info?.has_add_ons || false,
+        add_ons_list: service.add_ons_info?.add_ons_list || []
+      });
+    });
+  });
+
+  const services = Array.from(serviceMap.values())
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  const failedCenters = centerResults
+    .filter(result => result.error)
+    .map(result => result.error);
+
+  return { services, failedCenters };
 };
 
 // Google Places API helper functions
+const getGooglePlacesBaseUrl = () => process.env.GOOGLE_PLACES_BASE_URL || 'https://maps.googleapis.com';
+const GOOGLE_PLACES_TIMEOUT_MS = Number(process.env.GOOGLE_PLACES_TIMEOUT_MS) || 10000;
+
 const getGooglePlacesSuggestions = async (input) => {
   const apiKey = process.env.GOOGLE_PLACES_API_KEY;
   
@@ -840,13 +1121,14 @@ const getGooglePlacesSuggestions = async (input) => {
   }
   
   try {
-    const response = await axios.get('https://maps.googleapis.com/maps/api/place/autocomplete/json', {
+    const response = await axios.get(`${getGooglePlacesBaseUrl()}/maps/api/place/autocomplete/json`, {
       params: {
         input: input,
         key: apiKey,
         types: 'address',
         components: 'country:us'
-      }
+      },
+      timeout: GOOGLE_PLACES_TIMEOUT_MS
     });
     
     return response.data.predictions.map(prediction => ({
@@ -856,7 +1138,7 @@ const getGooglePlacesSuggestions = async (input) => {
       secondaryText: prediction.structured_formatting.secondary_text
     }));
   } catch (error) {
-    console.error('Google Places API error:', error.message);
+    logger.error({ err: error }, 'Google Places API error');
     throw new Error('Failed to fetch address suggestions');
   }
 };
@@ -869,12 +1151,13 @@ const getPlaceDetails = async (placeId) => {
   }
   
   try {
-    const response = await axios.get('https://maps.googleapis.com/maps/api/place/details/json', {
+    const response = await axios.get(`${getGooglePlacesBaseUrl()}/maps/api/place/details/json`, {
       params: {
         place_id: placeId,
         key: apiKey,
         fields: 'address_components,formatted_address,geometry'
-      }
+      },
+      timeout: GOOGLE_PLACES_TIMEOUT_MS
     });
     
     const result = response.data.result;
@@ -907,7 +1190,7 @@ const getPlaceDetails = async (placeId) => {
       coordinates: result.geometry?.location || null
     };
   } catch (error) {
-    console.error('Google Places Details API error:', error.message);
+    logger.error({ err: error }, 'Google Places Details API error');
     throw new Error('Failed to fetch place details');
   }
 };
@@ -915,7 +1198,7 @@ const getPlaceDetails = async (placeId) => {
 // Routes
 
 // Provider routes
-app.get('/api/providers', (req, res) => {
+app.get('/api/providers', (req, res, next) => {
   try {
     const allProviders = getAllProviders();
     res.json({
@@ -925,14 +1208,11 @@ app.get('/api/providers', (req, res) => {
       total: allProviders.length
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
-app.get('/api/providers/zipcode/:zipcode', (req, res) => {
+app.get('/api/providers/zipcode/:zipcode', validateRequest('GET /api/providers/zipcode/:zipcode'), (req, res, next) => {
   try {
     const { zipcode } = req.params;
     const providers = getProvidersByZipcode(zipcode);
@@ -943,7 +1223,8 @@ app.get('/api/providers/zipcode/:zipcode', (req, res) => {
       provider_id: provider.provider_id,
       status: provider.status,
       priority: provider.priority,
-      imageUrl: provider.imageUrl
+      imageUrl: provider.imageUrl,
+      timezone: getCenterTimeZone(provider.provider_id)
     }));
     
     res.json({
@@ -954,24 +1235,17 @@ app.get('/api/providers/zipcode/:zipcode', (req, res) => {
       count: cleanProviders.length
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
-app.get('/api/providers/:providerId', (req, res) => {
+app.get('/api/providers/:providerId', validateRequest('GET /api/providers/:providerId'), (req, res, next) => {
   try {
     const { providerId } = req.params;
     const provider = getProviderById(providerId);
     
     if (!provider) {
-      res.status(404).json({
-        success: false,
-        error: 'Provider not found'
-      });
-      return;
+      throw new ApiValidationError('Provider not found', 404);
     }
     
     res.json({
@@ -980,52 +1254,136 @@ app.get('/api/providers/:providerId', (req, res) => {
       message: 'Provider found'
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
+    next(error);
+  }
+});
+
+// Provider registry admin routes (require ADMIN_API_KEY)
+app.post('/api/providers', requireAdminAuth, validateRequest('POST /api/providers'), idempotency, (req, res, next) => {
+  try {
+    const provider = providerStore.create(req.body);
+
+    logger.info({ providerId: provider.provider_id, name: provider.name }, 'Provider created');
+
+    res.status(201).json({
+      success: true,
+      data: provider,
+      message: 'Provider created'
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// Google Places API routes
-app.get('/api/address/suggestions', async (req, res) => {
+app.put('/api/providers/:providerId', requireAdminAuth, validateRequest('PUT /api/providers/:providerId'), idempotency, (req, res, next) => {
   try {
-    const { input } = req.query;
-    
-    if (!input || input.trim().length < 3) {
-      res.status(400).json({
-        success: false,
-        error: 'Input query parameter is required (minimum 3 characters)'
-      });
-      return;
+    const { providerId } = req.params;
+    const provider = providerStore.replace(providerId, req.body);
+
+    if (!provider) {
+      throw new ApiValidationError('Provider not found', 404);
     }
-    
-    const suggestions = await getGooglePlacesSuggestions(input);
-    
+
     res.json({
       success: true,
-      data: suggestions,
-      message: `Found ${suggestions.length} address suggestions`,
-      input: input
+      data: provider,
+      message: 'Provider replaced'
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
-app.post('/api/address/validate', async (req, res) => {
+app.patch('/api/providers/:providerId', requireAdminAuth, validateRequest('PATCH /api/providers/:providerId'), idempotency, (req, res, next) => {
+  try {
+    const { providerId } = req.params;
+    const provider = providerStore.update(providerId, req.body);
+
+    if (!provider) {
+      throw new ApiValidationError('Provider not found', 404);
+    }
+
+    res.json({
+      success: true,
+      data: provider,
+      message: 'Provider updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/providers/:providerId', requireAdminAuth, validateRequest('DELETE /api/providers/:providerId'), idempotency, (req, res, next) => {
+  try {
+    const { providerId } = req.params;
+    const provider = providerStore.remove(providerId);
+
+    if (!provider) {
+      throw new ApiValidationError('Provider not found', 404);
+    }
+
+    res.json({
+      success: true,
+      data: provider,
+      message: 'Provider deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Zipcode coverage report (overlaps, candidate gaps, duplicate/invalid zip entries)
+app.get('/api/coverage', validateRequest('GET /api/coverage'), (req, res, next) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true';
+    const gapWindow = req.query.gap_window === undefined ? 2 : Number(req.query.gap_window);
+
+    if (!Number.isInteger(gapWindow) || gapWindow < 0 || gapWindow > 50) {
+      throw new ApiValidationError('gap_window must be an integer between 0 and 50', 400);
+    }
+
+    const report = coverageIndex.getReport({ includeInactive, gapWindow });
+
+    res.json({
+      success: true,
+      data: report,
+      message: `Coverage for ${report.summary.total_zipcodes} zipcodes across ${report.summary.providers} providers`,
+      include_inactive: includeInactive,
+      gap_window: gapWindow
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Google Places API routes
+app.get('/api/address/suggestions', validateRequest('GET /api/address/suggestions'), async (req, res, next) => {
+  try {
+    const { input } = req.query;
+    
+    if (!input || input.trim().length < 3) {
+      throw new ApiValidationError('Input query parameter is required (minimum 3 characters)', 400);
+    }
+    
+    const suggestions = await getGooglePlacesSuggestions(input);
+    
+    res.json({
+      success: true,
+      data: suggestions,
+      message: `Found ${suggestions.length} address suggestions`,
+      input: input
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/address/validate', validateRequest('POST /api/address/validate'), async (req, res, next) => {
   try {
     const { placeId } = req.body;
     
     if (!placeId) {
-      res.status(400).json({
-        success: false,
-        error: 'Place ID is required'
-      });
-      return;
+      throw new ApiValidationError('Place ID is required', 400);
     }
     
     const addressDetails = await getPlaceDetails(placeId);
@@ -1050,16 +1408,13 @@ app.post('/api/address/validate', async (req, res) => {
       message: 'Address validated successfully'
     });
   } catch (error) {
-    console.error('Address validation error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    logger.error({ err: error }, 'Address validation error');
+    next(error);
   }
 });
 
 // Enhanced zipcode validation endpoint
-app.post('/api/address/validate-zipcode', async (req, res) => {
+app.post('/api/address/validate-zipcode', validateRequest('POST /api/address/validate-zipcode'), async (req, res, next) => {
   try {
     const { placeId, address } = req.body;
     
@@ -1072,22 +1427,15 @@ app.post('/api/address/validate-zipcode', async (req, res) => {
         addressDetails = await getPlaceDetails(placeId);
         zipcode = addressDetails.zipcode;
       } catch (error) {
-        console.error('Google Places API error:', error.message);
-        return res.status(400).json({
-          success: false,
-          error: 'Failed to validate address with Google Places API',
-          details: error.message
-        });
+        logger.error({ err: error }, 'Google Places API error');
+        throw new ApiValidationError('Failed to validate address with Google Places API', 400, null, { field: 'placeId' });
       }
     } else if (address && address.zipcode) {
       // If address object with zipcode is provided directly
       zipcode = address.zipcode;
       addressDetails = address;
     } else {
-      return res.status(400).json({
-        success: false,
-        error: 'Either placeId or address with zipcode is required'
-      });
+      throw new ApiValidationError('Either placeId or address with zipcode is required', 400);
     }
     
     // Check if zipcode was found
@@ -1117,7 +1465,8 @@ app.post('/api/address/validate-zipcode', async (req, res) => {
       provider_id: provider.provider_id,
       status: provider.status,
       priority: provider.priority,
-      imageUrl: provider.imageUrl
+      imageUrl: provider.imageUrl,
+      timezone: getCenterTimeZone(provider.provider_id)
     }));
     
     res.json({
@@ -1135,25 +1484,18 @@ app.post('/api/address/validate-zipcode', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Zipcode validation error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    logger.error({ err: error }, 'Zipcode validation error');
+    next(error);
   }
 });
 
 // Address lookup
-app.post('/api/address/centers', (req, res) => {
+app.post('/api/address/centers', validateRequest('POST /api/address/centers'), (req, res, next) => {
   try {
     const { address } = req.body;
     
     if (!address || !address.zipcode) {
-      res.status(400).json({
-        success: false,
-        error: 'Valid address with zipcode is required'
-      });
-      return;
+      throw new ApiValidationError('Valid address with zipcode is required', 400);
     }
     
     const providers = getProvidersByZipcode(address.zipcode);
@@ -1164,6 +1506,7 @@ app.post('/api/address/centers', (req, res) => {
       priority: provider.priority,
       status: provider.status,
       imageUrl: provider.imageUrl,
+      timezone: getCenterTimeZone(provider.provider_id),
       address: {
         zipcode: address.zipcode,
         city: address.city || '',
@@ -1180,10 +1523,7 @@ app.post('/api/address/centers', (req, res) => {
       count: centers.length
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
@@ -1194,23 +1534,12 @@ app.post('/api/address/centers', (req, res) => {
 
 // Booking Slots endpoints (Real Zenoti Data)
 
-// Create a booking to get booking ID (supports multiple services)
-const createZenotiBooking = async (centerId, date, serviceIds) => {
-  const zenotiApiKey = process.env.ZENOTI_API_KEY;
-  const zenotiBaseUrl = process.env.ZENOTI_BASE_URL;
-  
-  if (!zenotiApiKey) {
-    throw new Error('Zenoti API key not configured');
-  }
-
+// Create a guest-less booking to get a booking ID (supports multiple services).
+// Never cached: every caller gets its own booking, so an ID handed to one
+// client is never shared with another.
+const createProbeBooking = async (centerId, date, serviceIds) => {
   // Convert single serviceId to array for consistency
   const services = Array.isArray(serviceIds) ? serviceIds : [serviceIds];
-  const cacheKey = `booking-${centerId}-${date}-${services.join(',')}`;
-  const cachedData = getCachedData(cacheKey);
-  if (cachedData) {
-    console.log(`Cache hit for booking: ${centerId}-${date}-${services.join(',')}`);
-    return cachedData;
-  }
 
   try {
     // Ensure date is in YYYY-MM-DD format
@@ -1229,206 +1558,126 @@ const createZenotiBooking = async (centerId, date, serviceIds) => {
       ]
     };
     
-    console.log('Booking payload:', JSON.stringify(bookingPayload, null, 2));
-    
-    const response = await makeZenotiRequest(async () => {
-      return await axios.post(`${zenotiBaseUrl}/bookings?is_double_booking_enabled=false`, bookingPayload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `apikey ${zenotiApiKey}`
-        }
-      });
-    });
+    logger.debug({ payload: bookingPayload }, 'Creating probe booking');
     
-    setCachedData(cacheKey, response.data, 300000); // 5 minutes cache
-    console.log(`Cached booking data for center: ${centerId}, services: ${services.join(',')}`);
-    return response.data;
+    // Safe to retry: a duplicate probe booking is never reserved and just lapses
+    return await zenotiClient.createBooking(bookingPayload, { priority: 'probe', idempotent: true });
   } catch (error) {
-    console.error(`Zenoti API error for booking (center ${centerId}): ${error.message}`);
-    if (error.response) {
-      console.error('Zenoti API response status:', error.response.status);
-      console.error('Zenoti API response data:', error.response.data);
-    }
+    logger.warn({ err: error, centerId }, 'Failed to create probe booking');
     throw error;
   }
 };
 
-// Get available slots for a booking
-const fetchZenotiSlots = async (bookingId, checkFutureDayAvailability = false) => {
-  const zenotiApiKey = process.env.ZENOTI_API_KEY;
-  const zenotiBaseUrl = process.env.ZENOTI_BASE_URL || 'https://api.zenoti.com/v1';
-  
-  if (!zenotiApiKey) {
-    throw new Error('Zenoti API key not configured');
-  }
-
+// Get available slots for a booking. Availability sweeps pass
+// priority 'probe' so they yield to checkout calls under rate limiting.
+const fetchZenotiSlots = async (bookingId, checkFutureDayAvailability = false, { priority = 'normal' } = {}) => {
   const cacheKey = `slots-${bookingId}-${checkFutureDayAvailability ? 'future' : 'current'}`;
-  const cachedData = getCachedData(cacheKey);
+  const cachedData = await getCachedData(cacheKey);
   if (cachedData) {
-    console.log(`Cache hit for slots: ${bookingId} (future: ${checkFutureDayAvailability})`);
+    logger.debug({ bookingId, checkFutureDayAvailability }, 'Slots cache hit');
     return cachedData;
   }
 
   try {
-    // Build URL with optional future day availability parameter
-    let url = `${zenotiBaseUrl}/bookings/${bookingId}/slots`;
-    if (checkFutureDayAvailability) {
-      url += '?check_future_day_availability=true';
-    }
-
-    const response = await makeZenotiRequest(async () => {
-      return await axios.get(url, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `apikey ${zenotiApiKey}`
-        }
-      });
-    });
+    const data = await zenotiClient.getSlots(bookingId, { checkFutureDayAvailability, priority });
     
-    setCachedData(cacheKey, response.data, 300000); // 5 minutes cache
-    console.log(`Cached slots data for booking: ${bookingId} (future: ${checkFutureDayAvailability})`);
-    return response.data;
+    await setCachedData(cacheKey, data, CACHE_TTLS.slots);
+    logger.debug({ bookingId, checkFutureDayAvailability }, 'Slots cached');
+    return data;
   } catch (error) {
-    console.error(`Zenoti API error for slots (booking ${bookingId}): ${error.message}`);
+    logger.warn({ err: error, bookingId }, 'Failed to fetch slots');
     throw error;
   }
 };
 
-// Helper function to aggregate 15-minute slots into 1-hour buckets
-const aggregateSlotsIntoHourlyBuckets = (slots) => {
-  const hourlyBuckets = new Map();
-  
-  slots.forEach(slot => {
-    if (!slot.Available) return; // Skip unavailable slots
-    
-    // Extract time from slot (handles both "09:00:00" and "2025-10-05T09:00:00" formats)
-    const timeStr = slot.Time || slot.time || slot.start_time || '';
-    if (!timeStr) return;
-    
-    let hours;
-    
-    // Check if it's a full ISO datetime string
-    if (timeStr.includes('T')) {
-      // Extract time part from ISO datetime (e.g., "2025-10-05T12:00:00" -> "12:00:00")
-      const timePart = timeStr.split('T')[1];
-      if (timePart) {
-        hours = parseInt(timePart.split(':')[0], 10);
-      } else {
-        return; // Invalid format
-      }
-    } else {
-      // Handle time-only format (e.g., "12:00:00" or "12:00")
-      const timeParts = timeStr.split(':');
-      hours = parseInt(timeParts[0], 10);
-    }
-    
-    // Validate hours (0-23)
-    if (isNaN(hours) || hours < 0 || hours > 23) {
-      console.warn(`Invalid hour value: ${hours} from time string: ${timeStr}`);
-      return;
-    }
-    
-    const hourKey = `${hours.toString().padStart(2, '0')}:00`;
-    
-    // Initialize bucket if it doesn't exist
-    if (!hourlyBuckets.has(hourKey)) {
-      hourlyBuckets.set(hourKey, {
-        time: hourKey,
-        available: true,
-        count: 0,
-        slots: []
-      });
-    }
-    
-    // Add slot to bucket
-    const bucket = hourlyBuckets.get(hourKey);
-    bucket.count++;
-    bucket.slots.push(slot);
-  });
-  
-  // Convert Map to sorted array
-  return Array.from(hourlyBuckets.values())
-    .sort((a, b) => a.time.localeCompare(b.time));
-};
-
-// Helper function to select best provider for a slot based on priority
-const selectBestProviderForSlot = (slotTime, availableCenters) => {
-  // If no centers provided, return null
+// Picks the center to book a slot at: the highest-priority one (lowest
+// number) that is not in `exclude`, i.e. not tried yet. `isFallback` is set
+// when a higher-priority center was passed over; `fallbackRank` is the pick's
+// place in the priority order (0 for the first choice).
+const selectBestProviderForSlot = (slotTime, availableCenters, { exclude = new Set() } = {}) => {
   if (!availableCenters || availableCenters.length === 0) {
-    console.log(`No centers provided for slot: ${slotTime}`);
+    logger.debug({ slotTime }, 'No centers provided for slot');
     return null;
   }
-  
+
   // Sort centers by priority (lowest number = highest priority)
-  const sortedCenters = availableCenters.sort((a, b) => a.priority - b.priority);
-  
-  if (sortedCenters.length === 1) {
-    const provider = sortedCenters[0];
-    console.log(`Single provider available for slot ${slotTime}: ${provider.centerName} (Priority: ${provider.priority})`);
-    return {
-      centerId: provider.centerId,
-      centerName: provider.centerName,
-      priority: provider.priority,
-      isFallback: false,
-      totalOptions: 1
-    };
+  const sortedCenters = [...availableCenters].sort((a, b) => a.priority - b.priority);
+  const rank = sortedCenters.findIndex(center => !exclude.has(center.centerId));
+  if (rank === -1) {
+    logger.debug({ slotTime, tried: exclude.size }, 'Every provider for the slot has been tried');
+    return null;
   }
-  
-  // Multiple providers - select highest priority (first in sorted array)
-  const selectedProvider = sortedCenters[0];
-  const isFallback = false; // First provider is always primary
-  
-  console.log(`Provider selection for slot ${slotTime}: ${selectedProvider.centerName} (Priority: ${selectedProvider.priority}) [PRIMARY]`);
-  
+
+  const selectedProvider = sortedCenters[rank];
+  logger.debug({ slotTime, centerId: selectedProvider.centerId, priority: selectedProvider.priority, rank }, 'Provider selected for slot');
+
   return {
     centerId: selectedProvider.centerId,
     centerName: selectedProvider.centerName,
     priority: selectedProvider.priority,
-    isFallback: isFallback,
+    isFallback: rank > 0,
+    fallbackRank: rank,
     totalOptions: sortedCenters.length
   };
 };
 
-// Helper function to merge hourly slots across multiple centers
-const mergeHourlySlotsAcrossCenters = (hourlySlotsArray) => {
+// The "any provider" view of one date: per time bucket, how many centers
+// have a free slot and which one would be booked. `centerEntries` are
+// date_availability[date].center_ids entries.
+const mergeSlotBucketsAcrossCenters = (centerEntries) => {
   const mergedBuckets = new Map();
-  
-  hourlySlotsArray.forEach(hourlySlot => {
-    const timeKey = hourlySlot.time;
-    
-    if (!mergedBuckets.has(timeKey)) {
-      mergedBuckets.set(timeKey, {
-        time: timeKey,
-        available: true,
-        count: 0,
-        centers: []
+
+  centerEntries.forEach(center => {
+    (center.buckets || []).forEach(bucket => {
+      if (!mergedBuckets.has(bucket.time)) {
+        mergedBuckets.set(bucket.time, {
+          time: bucket.time,
+          start: bucket.start,
+          end: bucket.end,
+          count: 0,
+          centers: []
+        });
+      }
+
+      const merged = mergedBuckets.get(bucket.time);
+      merged.count += bucket.count;
+      merged.centers.push({
+        centerId: center.id,
+        centerName: getProviderById(center.id)?.name || null,
+        priority: center.priority ?? 999
       });
-    }
-    
-    const bucket = mergedBuckets.get(timeKey);
-    bucket.count += hourlySlot.count;
-    bucket.centers.push({
-      slots: hourlySlot.slots,
-      count: hourlySlot.count
     });
   });
-  
-  // Convert Map to sorted array
+
   return Array.from(mergedBuckets.values())
-    .sort((a, b) => a.time.localeCompare(b.time));
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map(merged => {
+      const selected = selectBestProviderForSlot(merged.time, merged.centers);
+      return {
+        time: merged.time,
+        start: merged.start,
+        end: merged.end,
+        available: true,
+        count: merged.count,
+        available_providers: merged.centers.length,
+        selected_provider: {
+          center_id: selected.centerId,
+          center_name: selected.centerName,
+          priority: selected.priority
+        },
+        center_ids: merged.centers.map(center => center.centerId)
+      };
+    });
 };
 
 // Create booking endpoint (supports single or multiple centers and services)
-app.post('/api/bookings', async (req, res) => {
+app.post('/api/bookings', validateRequest('POST /api/bookings'), idempotency, async (req, res, next) => {
   try {
     const { centerId, centers, date, serviceId, serviceIds } = req.body;
+    const sessionId = resolveClientSession(req, res);
     
     if (!date) {
-      res.status(400).json({
-        success: false,
-        error: 'date is required'
-      });
-      return;
+      throw new ApiValidationError('date is required', 400);
     }
     
     // Support both single serviceId and multiple serviceIds
@@ -1438,11 +1687,7 @@ app.post('/api/bookings', async (req, res) => {
     } else if (serviceId) {
       services = [serviceId];
     } else {
-      res.status(400).json({
-        success: false,
-        error: 'Either serviceId or serviceIds array is required'
-      });
-      return;
+      throw new ApiValidationError('Either serviceId or serviceIds array is required', 400);
     }
     
     // Determine if single center or multiple centers
@@ -1454,32 +1699,37 @@ app.post('/api/bookings', async (req, res) => {
       // Single center
       targetCenters = [centerId];
     } else {
-      res.status(400).json({
-        success: false,
-        error: 'Either centerId or centers array is required'
-      });
-      return;
+      throw new ApiValidationError('Either centerId or centers array is required', 400);
     }
     
+    // Every booking returned here belongs to this client session only
+    const trackBooking = (bookingData, bookingCenterId) => (bookingData?.id
+      ? bookingSessions.track(sessionId, bookingData.id, { centerId: bookingCenterId, date, serviceIds: services })
+      : null);
+
     // If single center, return the original format for backward compatibility
     if (targetCenters.length === 1) {
-      const bookingData = await createZenotiBooking(targetCenters[0], date, services);
+      const bookingData = await createProbeBooking(targetCenters[0], date, services);
+      const session = trackBooking(bookingData, targetCenters[0]);
       
       res.json({
         success: true,
         data: bookingData,
         message: `Booking created for ${services.length} service(s) on ${date}`,
-        services: services
+        services: services,
+        session_id: sessionId,
+        expires_at: session?.expires_at || null
       });
       return;
     }
     
     // Multiple centers - create bookings for all centers in parallel
-    console.log(`🎯 Creating bookings for ${targetCenters.length} centers on ${date}`);
+    logger.info({ centers: targetCenters.length, date }, 'Creating bookings');
     
     const bookingPromises = targetCenters.map(async (centerId) => {
       try {
-        const bookingData = await createZenotiBooking(centerId, date, services);
+        const bookingData = await createProbeBooking(centerId, date, services);
+        const session = trackBooking(bookingData, centerId);
         
         // Get provider information
         const provider = getProviderById(centerId);
@@ -1491,11 +1741,12 @@ app.post('/api/bookings', async (req, res) => {
           imageUrl: provider?.imageUrl || null,
           bookingId: bookingData.id,
           bookingData,
+          expiresAt: session?.expires_at || null,
           success: true,
           error: null
         };
       } catch (error) {
-        console.error(`Failed to create booking for center ${centerId}:`, error.message);
+        logger.warn({ err: error, centerId }, 'Failed to create booking for center');
         
         // Get provider information even for failed bookings
         const provider = getProviderById(centerId);
@@ -1507,6 +1758,7 @@ app.post('/api/bookings', async (req, res) => {
           imageUrl: provider?.imageUrl || null,
           bookingId: null,
           bookingData: null,
+          expiresAt: null,
           success: false,
           error: error.message
         };
@@ -1522,7 +1774,7 @@ app.post('/api/bookings', async (req, res) => {
     // Sort by priority (lowest number = highest priority)
     successfulBookings.sort((a, b) => a.priority - b.priority);
     
-    console.log(`✅ Created ${successfulBookings.length} successful bookings, ${failedBookings.length} failed`);
+    logger.info({ successful: successfulBookings.length, failed: failedBookings.length }, 'Bookings created');
     
     res.json({
       success: true,
@@ -1536,7 +1788,8 @@ app.post('/api/bookings', async (req, res) => {
           failed: failedBookings.length,
           date,
           services
-        }
+        },
+        session_id: sessionId
       },
       message: `Created bookings for ${successfulBookings.length}/${targetCenters.length} centers on ${date}`,
       date,
@@ -1544,19 +1797,13 @@ app.post('/api/bookings', async (req, res) => {
     });
 
   } catch (error) {
-    console.error(`Error creating bookings:`, error.message);
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      date: req.body.date,
-      centers: req.body.centers || req.body.centerId
-    });
+    logger.warn({ err: error }, 'Error creating bookings');
+    next(error);
   }
 });
 
 // Get slots for a specific booking
-app.get('/api/bookings/:bookingId/slots', async (req, res) => {
+app.get('/api/bookings/:bookingId/slots', validateRequest('GET /api/bookings/:bookingId/slots'), async (req, res, next) => {
   try {
     const { bookingId } = req.params;
     const { check_future_day_availability } = req.query;
@@ -1574,127 +1821,293 @@ app.get('/api/bookings/:bookingId/slots', async (req, res) => {
     });
 
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
-// Unified slots endpoint for multiple centers and services (week-based selection only)
-app.post('/api/slots/unified', async (req, res) => {
+// Zenoti reports slot times on the center's wall clock. Any that carry an
+// offset are converted to it, and every slot gets the matching instant as
+// starts_at ("2030-01-15T09:00:00-05:00") for clients in other zones.
+const localizeSlot = (slot, timeZone) => {
+  const timeKey = ['Time', 'time', 'start_time'].find(key => slot?.[key]);
+  const localTime = timeKey ? instantToLocalTime(slot[timeKey], timeZone) : null;
+  if (!localTime) {
+    return slot;
+  }
+  return { ...slot, [timeKey]: localTime, starts_at: localTimeToInstant(localTime, timeZone) };
+};
+
+// One center's slots for one date in a unified search. `bucket` sets the
+// grouping of `buckets` (see src/services/slotBuckets.js); hourly_buckets is
+// always by the hour.
+const toCenterDateEntry = ({
+  centerId,
+  services,
+  slots,
+  bookingId,
+  nextAvailableDay,
+  error,
+  discoveredFromDates,
+  discoveredFromBookingIds,
+  isFutureBooking,
+  sourceBookingId,
+  sourceBookingDate
+}, { bucket = 60 } = {}) => {
+  const hourlyBuckets = aggregateSlotsIntoBuckets(slots, 60);
+  const availableSlotsCount = Array.isArray(slots)
+    ? slots.filter(slot => slot.Available).length
+    : 0;
+
+  return {
+    services,
+    timezone: getCenterTimeZone(centerId),
+    slots,
+    hourly_buckets: hourlyBuckets,
+    buckets: bucket === 60 ? hourlyBuckets : aggregateSlotsIntoBuckets(slots, bucket),
+    available_slots_count: availableSlotsCount,
+    has_slots: availableSlotsCount > 0,
+    booking_id: bookingId,
+    is_future_booking: !!isFutureBooking,
+    discovered_from_dates: discoveredFromDates,
+    discovered_from_booking_ids: discoveredFromBookingIds,
+    source_booking_id: sourceBookingId,
+    source_booking_date: sourceBookingDate,
+    next_available_day: nextAvailableDay || null,
+    error
+  };
+};
+
+// A center as listed in date_availability[date].center_ids
+const toCenterAvailability = (centerId, centerData) => {
+  const provider = getProviderById(centerId);
+  const hourlySlots = Array.isArray(centerData.hourly_buckets)
+    ? centerData.hourly_buckets
+        .filter(bucket => bucket?.time && bucket.available !== false && (bucket.count ?? 0) > 0)
+        .map(bucket => ({
+          time: bucket.time,
+          available: bucket.available !== false,
+          count: bucket.count ?? 0
+        }))
+    : [];
+
+  const buckets = (centerData.buckets || []).map(bucket => ({
+    time: bucket.time,
+    start: bucket.start,
+    end: bucket.end,
+    count: bucket.count
+  }));
+
+  const slotTimes = Array.isArray(centerData.slots)
+    ? centerData.slots
+        .filter(slot => slot?.Available)
+        .map(slot => ({ time: slot.Time || slot.time || slot.start_time || null, starts_at: slot.starts_at || null }))
+        .filter(slot => !!slot.time)
+    : [];
+
+  return {
+    id: centerId,
+    timezone: centerData.timezone || getCenterTimeZone(centerId),
+    no_of_slots: centerData.available_slots_count || 0,
+    hourly_slots: hourlySlots,
+    buckets,
+    slots: slotTimes,
+    booking_id: centerData.booking_id || centerData.source_booking_id || null,
+    priority: provider?.priority ?? null
+  };
+};
+
+// date_availability[date] from the { centerId: centerDateEntry } seen for it.
+// With merge 'any_provider' it also has the merged any_provider buckets.
+const toDateAvailability = (centerEntriesById, { merge = 'none' } = {}) => {
+  const centerEntries = Object.entries(centerEntriesById || {});
+
+  const totalAvailableSlots = centerEntries.reduce((total, [, centerData]) => {
+    return total + (centerData.available_slots_count || 0);
+  }, 0);
+
+  const centersWithAvailabilityDetails = centerEntries
+    .filter(([, centerData]) => centerData.has_slots)
+    .map(([centerId, centerData]) => toCenterAvailability(centerId, centerData))
+    .sort((a, b) => (a.priority ?? 999) - (b.priority ?? 999));
+
+  const dateAvailability = {
+    hasSlots: centersWithAvailabilityDetails.length > 0,
+    centersWithAvailability: centersWithAvailabilityDetails.length,
+    totalAvailableSlots,
+    center_ids: centersWithAvailabilityDetails
+  };
+  if (merge === 'any_provider') {
+    dateAvailability.any_provider = mergeSlotBucketsAcrossCenters(centersWithAvailabilityDetails);
+  }
+  return dateAvailability;
+};
+
+// Server-Sent Events for the streaming unified search. Each center/date
+// result sends a `center` event (that center's availability on the date) and
+// a `date` event (the date's availability so far, shaped like
+// date_availability[date]). `summary` carries the full response data and ends
+// the stream; `error` replaces it when the search fails midway.
+const openSlotEventStream = (req, res, slotView = {}) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const send = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const entriesByDate = new Map();
+
+  const slots = (result) => {
+    const entry = toCenterDateEntry(result, slotView);
+    if (!entriesByDate.has(result.date)) {
+      entriesByDate.set(result.date, {});
+    }
+    entriesByDate.get(result.date)[result.centerId] = entry;
+
+    send('center', {
+      date: result.date,
+      has_slots: entry.has_slots,
+      is_future_booking: entry.is_future_booking,
+      error: entry.error || null,
+      ...toCenterAvailability(result.centerId, entry)
+    });
+    send('date', { date: result.date, ...toDateAvailability(entriesByDate.get(result.date), slotView) });
+  };
+
+  const end = (data, message) => {
+    send('summary', { ...data, message });
+    res.end();
+  };
+
+  const fail = (error) => {
+    logger.warn({ err: error }, 'Streaming slot search failed');
+    send('error', toErrorResponse(error, { requestId: req.id || null }).body);
+    res.end();
+  };
+
+  // The client went away; the search should stop calling Zenoti
+  const isClosed = () => closed;
+
+  return { slots, end, fail, isClosed };
+};
+
+// How far ahead unified slot searches may look, in days from today
+const SLOTS_MAX_HORIZON_DAYS = Number(process.env.SLOTS_MAX_HORIZON_DAYS) || 28;
+
+// Unified slots endpoint for multiple centers and services. Searches the
+// coming `weeks` (Sunday-start) or an explicit start_date..end_date range,
+// optionally narrowed to days_of_week and time_windows (see
+// src/services/slotFilters.js). `bucket` (15, 30, 60 or 'daypart') groups
+// each center's slots and merge 'any_provider' adds a per-bucket view across
+// centers.
+// With `stream` the results are sent as Server-Sent Events while they arrive
+// (see openSlotEventStream) instead of one JSON response at the end.
+const unifiedSlotsHandler = ({ stream = false } = {}) => async (req, res, next) => {
+  let events = null;
   try {
-    const { centers, services, weeks = 4 } = req.body;
+    const {
+      centers,
+      services,
+      weeks = 4,
+      start_date: startDate,
+      end_date: endDate,
+      days_of_week: daysOfWeek,
+      time_windows: timeWindows,
+      bucket = 60,
+      merge = 'none'
+    } = req.body;
+    // How slots are grouped in buckets and whether dates get the merged
+    // any_provider view
+    const slotView = { bucket, merge };
+    const sessionId = resolveClientSession(req, res);
     
     if (!centers || !Array.isArray(centers) || centers.length === 0) {
-      res.status(400).json({
-        success: false,
-        error: 'centers array is required'
-      });
-      return;
+      throw new ApiValidationError('centers array is required', 400);
     }
     
     if (!services || !Array.isArray(services) || services.length === 0) {
-      res.status(400).json({
-        success: false,
-        error: 'services array is required'
-      });
-      return;
+      throw new ApiValidationError('services array is required', 400);
     }
-    
-    // Always operate in week-based mode using Sunday as the week start
-    const weekDates = getWeekDates(weeks);
-    let targetDates = weekDates.map(week => week.date);
-    const weekInfo = weekDates;
-    console.log(`🗓️ Week-based mode: Generated ${targetDates.length} week start dates for ${weeks} weeks`);
-    
-    // Limit to 28 days (4 weeks) from current date
-    const now = new Date();
-    const todayStartUTC = new Date(Date.UTC(
-      now.getUTCFullYear(),
-      now.getUTCMonth(),
-      now.getUTCDate()
-    ));
-    const currentWeekStartDateStr = weekDates[0]?.date;
-    const currentWeekStartDate = currentWeekStartDateStr
-      ? new Date(`${currentWeekStartDateStr}T00:00:00Z`)
-      : todayStartUTC;
-    const maxDate = new Date(todayStartUTC.getTime() + (28 * 24 * 60 * 60 * 1000)); // 28 days from today (inclusive)
-    
-    // Filter dates to only include those within 28 days
-    targetDates = targetDates.filter(dateStr => {
-      const date = new Date(`${dateStr}T00:00:00Z`);
-      return date >= currentWeekStartDate && date <= maxDate;
-    });
-    
-    if (targetDates.length === 0) {
-      res.status(400).json({
-        success: false,
-        error: 'No valid week start dates within 28-day range from today'
+
+    // "Today" is the calendar day at the centers, not on the server: the
+    // earliest one if the centers span timezones
+    const today = centers.map(centerId => todayInZone(getCenterTimeZone(centerId))).sort()[0];
+    const todayStartUTC = new Date(`${today}T00:00:00Z`);
+
+    const parsedFilters = parseSlotFilters(
+      { startDate, endDate, daysOfWeek, timeWindows },
+      { today, maxHorizonDays: SLOTS_MAX_HORIZON_DAYS }
+    );
+    if (parsedFilters.errors) {
+      throw new ApiValidationError('Invalid slot search', 400, { errors: parsedFilters.errors }, { code: 'VALIDATION_FAILED' });
+    }
+    const { filters } = parsedFilters;
+
+    let targetDates;
+    let weekInfo = null;
+    if (filters.hasRange) {
+      targetDates = filters.probeDates();
+      logger.debug({ dates: targetDates.length, filters: filters.describe() }, 'Generated probe dates for date range');
+    } else {
+      // Week-based mode using Sunday as the week start
+      const weekDates = getWeekDates(weeks, today);
+      targetDates = weekDates.map(week => week.date);
+      weekInfo = weekDates;
+      logger.debug({ dates: targetDates.length, weeks }, 'Generated week start dates');
+
+      // Limit to SLOTS_MAX_HORIZON_DAYS from the current date
+      const currentWeekStartDateStr = weekDates[0]?.date;
+      const currentWeekStartDate = currentWeekStartDateStr
+        ? new Date(`${currentWeekStartDateStr}T00:00:00Z`)
+        : todayStartUTC;
+      const maxDate = new Date(todayStartUTC.getTime() + (SLOTS_MAX_HORIZON_DAYS * 24 * 60 * 60 * 1000)); // inclusive
+
+      targetDates = targetDates.filter(dateStr => {
+        const date = new Date(`${dateStr}T00:00:00Z`);
+        return date >= currentWeekStartDate && date <= maxDate;
       });
-      return;
+
+      if (targetDates.length === 0) {
+        throw new ApiValidationError(`No valid week start dates within ${SLOTS_MAX_HORIZON_DAYS}-day range from today`, 400);
+      }
     }
 
     // Process specific dates
-    console.log(`🚀 Processing week start dates: ${targetDates.length} dates for ${centers.length} centers`);
+    logger.info({ dates: targetDates.length, centers: centers.length, stream }, 'Processing unified slot search');
     const startTime = Date.now();
-
-    // Create all booking combinations in parallel for all dates
-    const bookingPromises = [];
-    const bookingMap = new Map(); // To track which booking belongs to which center/service/date
-    const bookingKeyFor = (centerId, dateStr) => `${centerId}::${dateStr}`;
-    const centerDateBookingMap = new Map();
-    
-    centers.forEach(centerId => {
-      targetDates.forEach(date => {
-        // Create a single booking with all services for this center and date
-        const promise = createZenotiBooking(centerId, date, services)
-          .then(bookingData => {
-            if (bookingData.id && !bookingData.error) {
-              bookingMap.set(bookingData.id, { centerId, services, date, bookingData });
-              centerDateBookingMap.set(bookingKeyFor(centerId, date), bookingData.id);
-              return { bookingId: bookingData.id, centerId, services, date, bookingData };
-            }
-            return { bookingId: null, centerId, services, date, error: bookingData.error };
-          })
-          .catch(error => {
-            console.log(`Failed to create booking for center ${centerId}, services ${services.join(',')}, date ${date}: ${error.message}`);
-            return { bookingId: null, centerId, services, date, error: error.message };
-          });
-        
-        bookingPromises.push(promise);
-      });
-    });
-
-    const bookingResults = await Promise.all(bookingPromises);
-    
-    // Filter successful bookings
-    const successfulBookings = bookingResults.filter(result => result.bookingId);
-    
-    if (successfulBookings.length === 0) {
-      res.json({
-        success: true,
-        data: {
-          centers: centers,
-          services: services,
-          dates: targetDates,
-          // Week-based information
-          week_info: weekInfo,
-          mode: 'week_based',
-          total_combinations: bookingResults.length,
-          successful_combinations: 0,
-          available_dates: [],
-          weekly_availability: []
-        },
-        message: `No successful bookings created for ${weeks} weeks (${targetDates.length} dates)`
-      });
-      return;
+    if (stream) {
+      events = openSlotEventStream(req, res, slotView);
     }
+    // Slots are put on the center's clock and those outside the time windows
+    // dropped as results arrive. Results for dates the filters exclude still
+    // drive future-day discovery but are never reported.
+    const acceptSlots = (result) => {
+      const timeZone = getCenterTimeZone(result.centerId);
+      const slots = (result.slots || []).map(slot => localizeSlot(slot, timeZone)).filter(filters.wantsSlot);
+      const filtered = { ...result, slots };
+      if (filters.wantsDate(filtered.date)) {
+        events?.slots(filtered);
+      }
+      return filtered;
+    };
 
-    // Fetch slots for all successful bookings in parallel
-    const initialSlotsResults = await Promise.all(successfulBookings.map(async ({ bookingId, centerId, services, date }) => {
+    // Slots of a center/date, fetched as soon as its probe booking exists so
+    // streamed results start arriving before every booking is made
+    const fetchInitialSlots = async ({ bookingId, centerId, services, date }) => {
       try {
-        const slotsData = await fetchZenotiSlots(bookingId, true);
+        const slotsData = await fetchZenotiSlots(bookingId, true, { priority: 'probe' });
         return {
           centerId,
           services,
@@ -1711,7 +2124,7 @@ app.post('/api/slots/unified', async (req, res) => {
           sourceBookingDate: date
         };
       } catch (error) {
-        console.log(`Failed to fetch slots for booking ${bookingId}: ${error.message}`);
+        logger.warn({ err: error, bookingId }, 'Failed to fetch slots for booking');
         return {
           centerId,
           services,
@@ -1728,21 +2141,86 @@ app.post('/api/slots/unified', async (req, res) => {
           sourceBookingDate: date
         };
       }
-    }));
-
-    const allSlotsResults = [];
-    const resultQueue = [...initialSlotsResults];
-    const futureBookingQueue = [];
-    const futureBookingsCreated = [];
-    const futureBookingFailures = [];
-    const processedCenterDates = new Set();
-    const pendingFutureBookingKeys = new Set();
-
-    const futureDayAvailabilityMap = new Map();
-    const futureDayBookingMap = new Map();
-    const slotsByBookingId = new Map();
-
-    const registerFutureAvailability = (centerId, dateStr) => {
+    };
+    // Create all booking combinations in parallel for all dates
+    const bookingPromises = [];
+    const bookingMap = new Map(); // To track which booking belongs to which center/service/date
+    const bookingKeyFor = (centerId, dateStr) => `${centerId}::${dateStr}`;
+    const centerDateBookingMap = new Map();
+    
+    centers.forEach(centerId => {
+      targetDates.forEach(date => {
+        // Create a single booking with all services for this center and date
+        const promise = createProbeBooking(centerId, date, services)
+          .then(bookingData => {
+            if (bookingData.id && !bookingData.error) {
+              bookingMap.set(bookingData.id, { centerId, services, date, bookingData });
+              centerDateBookingMap.set(bookingKeyFor(centerId, date), bookingData.id);
+              return { bookingId: bookingData.id, centerId, services, date, bookingData };
+            }
+            return { bookingId: null, centerId, services, date, error: bookingData.error };
+          })
+          .catch(error => {
+            logger.warn({ err: error, centerId, services, date }, 'Failed to create booking for center');
+            return { bookingId: null, centerId, services, date, error: error.message };
+          })
+          .then(async booking => {
+            if (!booking.bookingId || events?.isClosed()) {
+              return { booking, slotsResult: null };
+            }
+            return { booking, slotsResult: acceptSlots(await fetchInitialSlots(booking)) };
+          });
+        
+        bookingPromises.push(promise);
+      });
+    });
+
+    const probeResults = await Promise.all(bookingPromises);
+    const bookingResults = probeResults.map(result => result.booking);
+    const initialSlotsResults = probeResults.map(result => result.slotsResult).filter(Boolean);
+    
+    // Filter successful bookings
+    const successfulBookings = bookingResults.filter(result => result.bookingId);
+    
+    if (successfulBookings.length === 0) {
+      const data = {
+        centers: centers,
+        services: services,
+        dates: targetDates,
+        // Week-based information
+        week_info: weekInfo,
+        mode: filters.hasRange ? 'date_range' : 'week_based',
+        total_combinations: bookingResults.length,
+        successful_combinations: 0,
+        available_dates: [],
+        weekly_availability: [],
+        filters: filters.describe(),
+        bucket,
+        merge
+      };
+      const message = `No successful bookings created for ${weeks} weeks (${targetDates.length} dates)`;
+      if (events) {
+        events.end(data, message);
+        return;
+      }
+      res.json({ success: true, data, message });
+      return;
+    }
+
+
+    const allSlotsResults = [];
+    const resultQueue = [...initialSlotsResults];
+    const futureBookingQueue = [];
+    const futureBookingsCreated = [];
+    const futureBookingFailures = [];
+    const processedCenterDates = new Set();
+    const pendingFutureBookingKeys = new Set();
+
+    const futureDayAvailabilityMap = new Map();
+    const futureDayBookingMap = new Map();
+    const slotsByBookingId = new Map();
+
+    const registerFutureAvailability = (centerId, dateStr) => {
       if (!dateStr) {
         return;
       }
@@ -1768,6 +2246,10 @@ app.post('/api/slots/unified', async (req, res) => {
       if (!futureDate) {
         return;
       }
+      // No point probing a day the filters would drop
+      if (!filters.wantsDate(futureDate)) {
+        return;
+      }
       const key = futureBookingKeyFor(centerId, futureDate);
       if (processedCenterDates.has(key) || pendingFutureBookingKeys.has(key) || centerDateBookingMap.has(key)) {
         return;
@@ -1784,7 +2266,8 @@ app.post('/api/slots/unified', async (req, res) => {
       });
     };
 
-    while (resultQueue.length > 0) {
+    // Once a streaming client has gone, no further Zenoti calls are queued
+    while (resultQueue.length > 0 && !events?.isClosed()) {
       const currentResult = resultQueue.shift();
       const {
         centerId,
@@ -1859,7 +2342,7 @@ app.post('/api/slots/unified', async (req, res) => {
         });
       });
 
-      if (resultQueue.length === 0 && futureBookingQueue.length > 0) {
+      if (resultQueue.length === 0 && futureBookingQueue.length > 0 && !events?.isClosed()) {
         const bookingsToProcess = futureBookingQueue.splice(0);
     const futureResults = await Promise.all(bookingsToProcess.map(async item => {
           const {
@@ -1874,7 +2357,7 @@ app.post('/api/slots/unified', async (req, res) => {
           const futureKey = futureBookingKeyFor(futureCenterId, futureDate);
 
           try {
-            const bookingData = await createZenotiBooking(futureCenterId, futureDate, futureServices);
+            const bookingData = await createProbeBooking(futureCenterId, futureDate, futureServices);
             if (!bookingData?.id) {
               futureBookingFailures.push({
                 centerId: futureCenterId,
@@ -1891,7 +2374,7 @@ app.post('/api/slots/unified', async (req, res) => {
             bookingMap.set(bookingData.id, { centerId: futureCenterId, services: futureServices, date: futureDate, bookingData });
             centerDateBookingMap.set(futureKey, bookingData.id);
 
-            const slotsData = await fetchZenotiSlots(bookingData.id, true);
+            const slotsData = await fetchZenotiSlots(bookingData.id, true, { priority: 'probe' });
 
             const result = {
               centerId: futureCenterId,
@@ -1921,9 +2404,9 @@ app.post('/api/slots/unified', async (req, res) => {
             registerFutureAvailability(futureCenterId, futureDate);
             recordFutureBookingMap(futureCenterId, futureDate, bookingData.id);
 
-            return result;
+            return acceptSlots(result);
           } catch (err) {
-            console.log(`Failed to create/fetch future booking for center ${futureCenterId}, date ${futureDate}: ${err.message}`);
+            logger.warn({ err, centerId: futureCenterId, date: futureDate }, 'Failed to create or fetch future booking');
             futureBookingFailures.push({
               centerId: futureCenterId,
               date: futureDate,
@@ -1947,11 +2430,19 @@ app.post('/api/slots/unified', async (req, res) => {
       }
     }
 
+    if (events?.isClosed()) {
+      logger.info({ processingTime: Date.now() - startTime }, 'Client left the streaming slot search');
+      return;
+    }
+
     const slotsByDate = {};
     const dateAvailability = {};
     const weeklyAvailabilityMap = new Map();
     
     allSlotsResults.forEach(result => {
+      if (!filters.wantsDate(result.date)) {
+        return;
+      }
       const {
         centerId,
         services,
@@ -1968,37 +2459,21 @@ app.post('/api/slots/unified', async (req, res) => {
         sourceBookingDate
       } = result;
 
-      const availableSlotsCount = Array.isArray(slots)
-        ? slots.filter(slot => slot.Available).length
-        : 0;
-
-      const hourlyBuckets = aggregateSlotsIntoHourlyBuckets(slots || []);
+      const centerDateEntry = toCenterDateEntry(result, slotView);
+      const { hourly_buckets: hourlyBuckets, available_slots_count: availableSlotsCount } = centerDateEntry;
 
       if (!slotsByDate[date]) {
         slotsByDate[date] = {};
       }
 
-      slotsByDate[date][centerId] = {
-        services,
-        slots,
-        hourly_buckets: hourlyBuckets,
-        available_slots_count: availableSlotsCount,
-        has_slots: availableSlotsCount > 0,
-        booking_id: bookingId,
-        is_future_booking: !!isFutureBooking,
-        discovered_from_dates: discoveredFromDates,
-        discovered_from_booking_ids: discoveredFromBookingIds,
-        source_booking_id: sourceBookingId,
-        source_booking_date: sourceBookingDate,
-        next_available_day: nextAvailableDay || null,
-        error
-      };
+      slotsByDate[date][centerId] = centerDateEntry;
 
       if (bookingId) {
         slotsByBookingId.set(bookingId, {
           centerId,
           services,
           date,
+          timezone: centerDateEntry.timezone,
           slots,
           hourly_buckets: hourlyBuckets,
           available_slots_count: availableSlotsCount,
@@ -2034,53 +2509,8 @@ app.post('/api/slots/unified', async (req, res) => {
     const sortedRelevantDates = Object.keys(slotsByDate).sort((a, b) => a.localeCompare(b));
 
     sortedRelevantDates.forEach(date => {
-      const centerEntries = Object.entries(slotsByDate[date] || {});
-
-      const totalAvailableSlots = centerEntries.reduce((total, [, centerData]) => {
-        return total + (centerData.available_slots_count || 0);
-      }, 0);
-
-      const centersWithAvailabilityDetails = centerEntries
-        .filter(([, centerData]) => centerData.has_slots)
-        .map(([centerId, centerData]) => {
-          const provider = getProviderById(centerId);
-          const hourlySlots = Array.isArray(centerData.hourly_buckets)
-            ? centerData.hourly_buckets
-                .filter(bucket => bucket?.time && bucket.available !== false && (bucket.count ?? 0) > 0)
-                .map(bucket => ({
-                  time: bucket.time,
-                  available: bucket.available !== false,
-                  count: bucket.count ?? 0
-                }))
-            : [];
-
-          const slotTimes = Array.isArray(centerData.slots)
-            ? centerData.slots
-                .filter(slot => slot?.Available)
-                .map(slot => ({ time: slot.Time || slot.time || slot.start_time || null }))
-                .filter(slot => !!slot.time)
-            : [];
-
-          return {
-            id: centerId,
-            no_of_slots: centerData.available_slots_count || 0,
-            hourly_slots: hourlySlots,
-            slots: slotTimes,
-            booking_id: centerData.booking_id || centerData.source_booking_id || null,
-            priority: provider?.priority ?? null
-          };
-        })
-        .sort((a, b) => (a.priority ?? 999) - (b.priority ?? 999));
-
-      const centersWithAvailability = centersWithAvailabilityDetails.length;
-      const hasSlots = centersWithAvailability > 0;
-
-      dateAvailability[date] = {
-        hasSlots,
-        centersWithAvailability,
-        totalAvailableSlots,
-        center_ids: centersWithAvailabilityDetails
-      };
+      dateAvailability[date] = toDateAvailability(slotsByDate[date], slotView);
+      const { hasSlots } = dateAvailability[date];
 
       if (hasSlots) {
         const weekStart = getWeekStartDate(date);
@@ -2118,6 +2548,8 @@ app.post('/api/slots/unified', async (req, res) => {
     const detailedSlotsByBooking = Object.fromEntries(Array.from(slotsByBookingId.entries()));
 
     const processingTime = Date.now() - startTime;
+    unifiedSlotsDuration.observe(processingTime / 1000);
+    unifiedSlotsZenotiCalls.observe(getRequestContext()?.zenotiCalls || 0);
     const totalFutureBookingsCreated = futureBookingsCreated.length;
 
     const bookingMappingList = [];
@@ -2160,40 +2592,56 @@ app.post('/api/slots/unified', async (req, res) => {
         sourceBookingDate: booking.source_booking_date
       });
     });
-    
-    res.json({
-      success: true,
-      data: {
-        date_availability: dateAvailability,
-        available_dates: availableDates,
-        centers: centers,
-        services: services,
-        processing_time_ms: processingTime
-      },
-      message: `Retrieved availability for ${successfulBookings.length} center/date booking combinations in ${processingTime}ms.`
+
+    // The probe bookings behind booking_id are fresh for this search; bind
+    // them to the caller's session in case one is used to reserve.
+    bookingMappingList.forEach(booking => {
+      bookingSessions.track(sessionId, booking.bookingId, {
+        centerId: booking.centerId,
+        date: booking.date,
+        serviceIds: booking.services
+      });
     });
+    
+    const data = {
+      date_availability: dateAvailability,
+      available_dates: availableDates,
+      centers: centers,
+      services: services,
+      filters: filters.describe(),
+      bucket,
+      merge,
+      processing_time_ms: processingTime
+    };
+    const message = `Retrieved availability for ${successfulBookings.length} center/date booking combinations in ${processingTime}ms.`;
+    if (events) {
+      events.end(data, message);
+      return;
+    }
+    res.json({ success: true, data, message });
 
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    // Once the event stream is open the error has to go out as an event
+    if (events) {
+      events.fail(error);
+      return;
+    }
+    next(error);
   }
-});
+};
+
+app.post('/api/slots/unified', validateRequest('POST /api/slots/unified'), unifiedSlotsHandler());
+app.post('/api/slots/unified/stream', validateRequest('POST /api/slots/unified/stream'), unifiedSlotsHandler({ stream: true }));
 
 // Categories endpoint (Real Zenoti Data)
 
 // Unified categories endpoint with services (requires centerIds parameter)
-app.get('/api/categories', async (req, res) => {
+app.get('/api/categories', validateRequest('GET /api/categories'), async (req, res, next) => {
   try {
     // Get center IDs from query params
     const { centerIds, includeAddOns } = req.query;
     if (!centerIds) {
-      res.status(400).json({
-        success: false,
-        error: 'centerIds query parameter is required'
-      });
-      return;
+      throw new ApiValidationError('centerIds query parameter is required', 400);
     }
     
     const centers = centerIds.split(',');
@@ -2219,6 +2667,7 @@ app.get('/api/categories', async (req, res) => {
           description: service.description,
           duration: service.duration,
           price: service.price,
+          pricing: service.pricing || [],
           code: service.code,
           available_centers: service.available_centers,
           has_add_ons: service.has_add_ons,
@@ -2254,27 +2703,355 @@ app.get('/api/categories', async (req, res) => {
         total_services: totalServices,
         total_add_ons: totalAddOns,
         centers: centers,
-        include_add_ons: shouldIncludeAddOns
+        include_add_ons: shouldIncludeAddOns,
+        failed_centers: aggregatedData.failedCenters
       },
       message: `Found ${categoriesResponse.length} categories with ${totalServices} services and ${totalAddOns} add-ons across ${centers.length} centers`
     });
     
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
+    next(error);
+  }
+});
+
+// Services endpoints (Real Zenoti Data)
+
+// All services across centers (defaults to every active provider), paginated
+app.get('/api/services', validateRequest('GET /api/services'), async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const centers = resolveCenterIds(req.query.centerIds);
+
+    const { services, failedCenters } = await fetchServicesForCenters(centers);
+    const { items, pagination: pageInfo } = paginate(services, pagination);
+
+    res.json({
+      success: true,
+      data: {
+        services: items,
+        pagination: pageInfo,
+        centers,
+        failed_centers: failedCenters
+      },
+      message: `Found ${services.length} services across ${centers.length} centers`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Services offered by every one of the given centers, paginated
+app.post('/api/services/common', validateRequest('POST /api/services/common'), async (req, res, next) => {
+  try {
+    const { centerIds, page, limit } = req.body || {};
+
+    if (!Array.isArray(centerIds) || centerIds.length === 0) {
+      throw new ApiValidationError('centerIds array is required', 400);
+    }
+
+    const pagination = parsePagination({ page, limit });
+    const centers = resolveCenterIds(centerIds);
+
+    const { services, failedCenters } = await fetchServicesForCenters(centers);
+    const commonServices = services.filter(service =>
+      centers.every(centerId => service.available_centers.includes(centerId))
+    );
+    const { items, pagination: pageInfo } = paginate(commonServices, pagination);
+
+    res.json({
+      success: true,
+      data: {
+        services: items,
+        pagination: pageInfo,
+        centers,
+        failed_centers: failedCenters
+      },
+      message: `Found ${commonServices.length} services common to ${centers.length} centers`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Total price and duration for a set of services
+app.post('/api/services/calculate-price', validateRequest('POST /api/services/calculate-price'), async (req, res, next) => {
+  try {
+    const { serviceIds, centerIds } = req.body || {};
+
+    if (!Array.isArray(serviceIds) || serviceIds.length === 0) {
+      throw new ApiValidationError('serviceIds array is required', 400);
+    }
+
+    const centers = resolveCenterIds(centerIds);
+    const { services, failedCenters } = await fetchServicesForCenters(centers);
+    const serviceById = new Map(services.map(service => [service.id, service]));
+
+    const lineItems = [];
+    const notFound = [];
+
+    serviceIds.forEach(serviceId => {
+      const service = serviceById.get(serviceId);
+      if (!service) {
+        notFound.push(serviceId);
+        return;
+      }
+      lineItems.push({
+        id: service.id,
+        name: service.name,
+        duration: service.duration,
+        price: service.price,
+        pricing: service.pricing
+      });
     });
+
+    // Per-center totals only for centers offering every requested service
+    const centerTotals = centers
+      .filter(centerId => notFound.length === 0 && lineItems.every(item =>
+        item.pricing.some(entry => entry.center_id === centerId)
+      ))
+      .map(centerId => ({
+        center_id: centerId,
+        total_price: lineItems.reduce((total, item) => {
+          return total + item.pricing.find(entry => entry.center_id === centerId).price;
+        }, 0)
+      }));
+
+    const totalPrice = lineItems.reduce((total, item) => total + (item.price || 0), 0);
+    const totalDuration = lineItems.reduce((total, item) => total + (item.duration || 0), 0);
+
+    res.json({
+      success: true,
+      data: {
+        items: lineItems,
+        total_price: totalPrice,
+        total_duration: totalDuration,
+        center_totals: centerTotals,
+        not_found: notFound,
+        centers,
+        failed_centers: failedCenters
+      },
+      message: `Calculated price for ${lineItems.length} service(s)`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Service categories across centers (without their services)
+app.get('/api/services/categories', validateRequest('GET /api/services/categories'), async (req, res, next) => {
+  try {
+    const centers = resolveCenterIds(req.query.centerIds);
+    const categoryMap = new Map();
+
+    const centerResults = await Promise.all(centers.map(async (centerId) => {
+      try {
+        const categoriesData = await fetchZenotiCategories(centerId);
+        (categoriesData.categories || []).forEach(category => {
+          const existing = categoryMap.get(category.id);
+          if (existing) {
+            if (!existing.available_centers.includes(centerId)) {
+              existing.available_centers.push(centerId);
+            }
+            return;
+          }
+          categoryMap.set(category.id, {
+            category_id: category.id,
+            category_name: category.name,
+            display_order: category.display_order,
+            code: category.code,
+            description: category.description,
+            available_centers: [centerId]
+          });
+        });
+        return { centerId, error: null };
+      } catch (error) {
+        logger.warn({ err: error, centerId }, 'Failed to fetch categories for center');
+        return { centerId, error };
+      }
+    }));
+
+    const failed = centerResults.filter(result => result.error);
+    if (failed.length > 0 && failed.length === centerResults.length) {
+      throw failed[0].error;
+    }
+
+    const categories = Array.from(categoryMap.values()).sort((a, b) => {
+      const orderA = parseInt(a.display_order) || 999;
+      const orderB = parseInt(b.display_order) || 999;
+      return orderA - orderB;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        categories,
+        total_categories: categories.length,
+        centers,
+        failed_centers: failed.map(({ centerId, error }) => toFailedCenter(centerId, error))
+      },
+      message: `Found ${categories.length} categories across ${centers.length} centers`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Services in one category (matched by ID, name or code), paginated
+app.get('/api/services/category/:category', validateRequest('GET /api/services/category/:category'), async (req, res, next) => {
+  try {
+    const { category } = req.params;
+    const pagination = parsePagination(req.query);
+    const centers = resolveCenterIds(req.query.centerIds);
+
+    const { categories } = await aggregateCategoriesWithServicesFromAllCenters(centers);
+    const needle = category.toLowerCase();
+    const matchedCategory = categories.find(entry =>
+      entry.id === category
+      || entry.name?.toLowerCase() === needle
+      || entry.code?.toLowerCase() === needle
+    );
+
+    if (!matchedCategory) {
+      throw new ApiValidationError(`Category not found: ${category}`, 404);
+    }
+
+    const services = matchedCategory.services.map(service => ({
+      id: service.id,
+      name: service.name,
+      description: service.description,
+      duration: service.duration,
+      price: service.price,
+      code: service.code,
+      available_centers: service.available_centers,
+      has_add_ons: service.has_add_ons,
+      add_ons_list: service.add_ons_list || []
+    }));
+    const { items, pagination: pageInfo } = paginate(services, pagination);
+
+    res.json({
+      success: true,
+      data: {
+        category: {
+          category_id: matchedCategory.id,
+          category_name: matchedCategory.name,
+          code: matchedCategory.code,
+          available_centers: matchedCategory.available_centers
+        },
+        services: items,
+        pagination: pageInfo,
+        centers
+      },
+      message: `Found ${services.length} services in category ${matchedCategory.name}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cart price quote across one or more candidate centers
+app.post('/api/pricing/quote', validateRequest('POST /api/pricing/quote'), async (req, res, next) => {
+  try {
+    const { serviceIds, addOnIds = [], centerId, centerIds } = req.body || {};
+
+    if (!Array.isArray(serviceIds) || serviceIds.length === 0) {
+      throw new ApiValidationError('serviceIds array is required', 400);
+    }
+
+    if (!Array.isArray(addOnIds)) {
+      throw new ApiValidationError('addOnIds must be an array', 400);
+    }
+
+    if (!centerId && (!Array.isArray(centerIds) || centerIds.length === 0)) {
+      throw new ApiValidationError('Either centerId or centerIds array is required', 400);
+    }
+
+    const centers = resolveCenterIds(centerId ? [centerId] : centerIds);
+
+    const catalogResults = await Promise.all(centers.map(async (id) => {
+      try {
+        const { services, addOns } = await fetchCenterCatalog(id);
+        return {
+          centerId: id,
+          catalog: {
+            services: new Map(services.filter(service => service?.id).map(service => [service.id.toLowerCase(), service])),
+            addOns: new Map(addOns.filter(addOn => addOn?.id).map(addOn => [addOn.id.toLowerCase(), addOn]))
+          },
+          error: null
+        };
+      } catch (error) {
+        logger.warn({ err: error, centerId: id }, 'Failed to fetch catalog for center');
+        return { centerId: id, catalog: null, error: toFailedCenter(id, error) };
+      }
+    }));
+
+    const quote = buildQuote({
+      catalogs: catalogResults.filter(result => result.catalog),
+      serviceIds,
+      addOnIds,
+      priorityFor: (id) => getProviderById(id)?.priority ?? 999
+    });
+
+    const failedCenters = catalogResults
+      .filter(result => result.error)
+      .map(result => result.error);
+
+    res.json({
+      success: true,
+      data: {
+        ...quote,
+        service_ids: serviceIds,
+        add_on_ids: addOnIds,
+        failed_centers: failedCenters
+      },
+      message: quote.cheapest_center_id
+        ? `Quoted ${centers.length} center(s); cheapest is ${quote.cheapest_center_id} at ${quote.cheapest_total}`
+        : `No center among ${centers.length} can fulfil the requested services`
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Statistics endpoint
+app.get('/api/stats', (req, res, next) => {
+  try {
+    const allProviders = providerStore.list();
+    const activeProviders = allProviders.filter(provider => provider.status === 'active');
+    const { summary } = coverageIndex.getReport();
+
+    const providerStats = allProviders
+      .map(provider => ({
+        provider_id: provider.provider_id,
+        name: provider.name,
+        status: provider.status,
+        priority: provider.priority,
+        zipcode_count: new Set(provider.zipCodes).size
+      }))
+      .sort((a, b) => a.priority - b.priority);
+
+    res.json({
+      success: true,
+      data: {
+        total_providers: allProviders.length,
+        active_providers: activeProviders.length,
+        inactive_providers: allProviders.length - activeProviders.length,
+        total_zipcodes_covered: summary.total_zipcodes,
+        zipcodes_with_multiple_providers: summary.double_covered + summary.triple_or_more_covered,
+        providers: providerStats
+      },
+      message: `${activeProviders.length} active providers covering ${summary.total_zipcodes} zipcodes`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
 // Booking Management endpoints (Reserve, Confirm, Status, Cancel)
 
 // Create or update guest in Zenoti
-app.post('/api/guests', async (req, res) => {
+app.post('/api/guests', validateRequest('POST /api/guests'), idempotency, async (req, res, next) => {
   try {
-    const { name, first_name: firstName, last_name: lastName, email, phone, provider_id: providerId } = req.body;
+    const { name, first_name: firstName, last_name: lastName, email, phone, phone_country: phoneCountry, provider_id: providerId } = req.body;
 
     const result = await createGuestInZenoti({
       centerId: providerId,
@@ -2282,14 +3059,11 @@ app.post('/api/guests', async (req, res) => {
       firstName,
       lastName,
       email,
-      phone
+      phone,
+      phoneCountry
     });
 
-    console.log('[POST /api/guests] Guest created successfully', {
-      center_id: providerId,
-      email,
-      phone: result.sanitizedPhone
-    });
+    logger.info({ guestId: result.data?.id, centerId: providerId }, 'Guest created');
 
     res.json({
       success: true,
@@ -2297,26 +3071,58 @@ app.post('/api/guests', async (req, res) => {
       message: 'Guest created successfully'
     });
   } catch (error) {
-    console.error('Error creating guest:', error.message);
-    if (error.response) {
-      console.error('Zenoti API response status:', error.response.status);
-      console.error('Zenoti API response data:', error.response.data);
-    }
+    logger.warn({ err: error }, 'Error creating guest');
+    next(error);
+  }
+});
 
-    const statusCode = error instanceof ApiValidationError ? error.statusCode : (error.response?.status || 500);
+// Find-or-create guest without creating duplicates for returning clients
+app.post('/api/guests/upsert', validateRequest('POST /api/guests/upsert'), idempotency, async (req, res, next) => {
+  try {
+    const { name, first_name: firstName, last_name: lastName, email, phone, phone_country: phoneCountry, provider_id: providerId } = req.body || {};
 
-    res.status(statusCode).json({
-      success: false,
-      error: error.message,
-      details: error.response?.data || error.details || null
+    const result = await upsertGuestInZenoti({
+      centerId: providerId,
+      name,
+      firstName,
+      lastName,
+      email,
+      phone,
+      phoneCountry
     });
+
+    logger.info({
+      guestId: result.data?.id,
+      action: result.action,
+      matchRule: result.matchRule,
+      changedFields: result.changedFields
+    }, 'Guest resolved');
+
+    const messages = {
+      matched: 'Existing guest matched',
+      updated: 'Existing guest matched and updated',
+      created: 'Guest created successfully'
+    };
+
+    res.json({
+      success: true,
+      data: result.data,
+      action: result.action,
+      match_rule: result.matchRule,
+      changed_fields: result.changedFields,
+      message: messages[result.action]
+    });
+  } catch (error) {
+    logger.warn({ err: error }, 'Error upserting guest');
+    next(error);
   }
 });
 
-app.get('/api/search-guest', async (req, res) => {
+app.get('/api/search-guest', validateRequest('GET /api/search-guest'), async (req, res, next) => {
   try {
     const { data } = await searchGuestInZenoti({
       phone: req.query.phone,
+      phoneCountry: req.query.phone_country,
       email: req.query.email
     });
 
@@ -2335,40 +3141,28 @@ app.get('/api/search-guest', async (req, res) => {
       message: 'Guest search successful'
     });
   } catch (error) {
-    console.error('Error searching guest:', error.message);
-    if (error.response) {
-      console.error('Zenoti API response status:', error.response.status);
-      console.error('Zenoti API response data:', error.response.data);
-    }
-
-    const statusCode = error instanceof ApiValidationError ? error.statusCode : (error.response?.status || 500);
-
-    res.status(statusCode).json({
-      success: false,
-      error: error.message,
-      details: error.response?.data || error.details || null
-    });
+    logger.warn({ err: error }, 'Error searching guest');
+    next(error);
   }
 });
 
-app.post('/api/bookings/:bookingId/reserve', async (req, res) => {
+app.post('/api/bookings/:bookingId/reserve', validateRequest('POST /api/bookings/:bookingId/reserve'), idempotency, async (req, res, next) => {
   try {
     const { bookingId } = req.params;
-    
-    // Debug logging
-    console.log('[DEBUG] Request headers:', req.headers);
-    console.log('[DEBUG] Request body:', req.body);
-    console.log('[DEBUG] Request query:', req.query);
-    console.log('[DEBUG] Request body type:', typeof req.body);
+    logger.debug({ bookingId, body: req.body, query: req.query }, 'Reserve request');
     
     // Accept slot_time from either query params or body
     const slotTime = req.query.slot_time || req.body?.slot_time;
     const createInvoice = req.query.create_invoice === 'true' || req.body?.create_invoice || false;
 
+    await authorizeBookingSession(req, bookingId);
+    const timeZone = getCenterTimeZone(bookingSessions.get(bookingId)?.center_id);
+
     const result = await reserveSlotInZenoti({
       bookingId,
       slotTime,
-      createInvoice
+      createInvoice,
+      timeZone
     });
 
     // Extract reservation_id from Zenoti response (it returns an array)
@@ -2376,12 +3170,9 @@ app.post('/api/bookings/:bookingId/reserve', async (req, res) => {
       ? result.data[0].reservation_id
       : null;
 
-    console.log('[POST /api/bookings/:bookingId/reserve] Slot reserved', {
-      booking_id: bookingId,
-      reservation_id: reservationId,
-      slot_time: result.formattedSlotTime,
-      createInvoice
-    });
+    const session = bookingSessions.setStatus(bookingId, 'reserved', { slotTime: result.formattedSlotTime });
+
+    logger.info({ bookingId, reservationId, slotTime: result.formattedSlotTime, createInvoice }, 'Reservation recorded');
 
     res.json({
       success: true,
@@ -2389,57 +3180,30 @@ app.post('/api/bookings/:bookingId/reserve', async (req, res) => {
       message: `Slot reserved successfully for booking ${bookingId}`,
       booking_id: bookingId,
       reservation_id: reservationId,
-      slot_time: result.formattedSlotTime
+      slot_time: result.formattedSlotTime,
+      slot_starts_at: result.startsAt,
+      timezone: timeZone,
+      expires_at: session?.expires_at || null
     });
   } catch (error) {
-    console.error(`Error reserving slot for booking ${req.params.bookingId}:`, error.message);
-    if (error.response) {
-      console.error('Zenoti API response status:', error.response.status);
-      console.error('Zenoti API response data:', error.response.data);
-    }
-
-    const statusCode = error instanceof ApiValidationError ? error.statusCode : (error.response?.status || 500);
-
-    res.status(statusCode).json({
-      success: false,
-      error: error.message,
-      booking_id: req.params.bookingId,
-      details: error.response?.data || error.details || null
-    });
+    logger.warn({ err: error, bookingId: req.params.bookingId }, 'Error reserving slot');
+    next(error);
   }
 });
 
 // Confirm a service booking
-app.post('/api/bookings/:bookingId/confirm', async (req, res) => {
+app.post('/api/bookings/:bookingId/confirm', validateRequest('POST /api/bookings/:bookingId/confirm'), idempotency, async (req, res, next) => {
   try {
     const { bookingId } = req.params;
-    
-    // Debug logging
-    console.log('[DEBUG /api/bookings/:bookingId/confirm] Request headers:', req.headers);
-    console.log('[DEBUG /api/bookings/:bookingId/confirm] Request body:', req.body);
-    console.log('[DEBUG /api/bookings/:bookingId/confirm] Request body type:', typeof req.body);
+    logger.debug({ bookingId, body: req.body }, 'Confirm request');
     
     // Check if req.body exists
     if (!req.body || typeof req.body !== 'object') {
-      res.status(400).json({
-        success: false,
-        error: 'Request body is missing or invalid. Please ensure Content-Type is set to application/json',
-        booking_id: bookingId,
-        received_body: req.body,
-        received_content_type: req.headers['content-type']
-      });
-      return;
+      throw new ApiValidationError('Request body is missing or invalid. Please ensure Content-Type is set to application/json', 400);
     }
     
     const { notes, group_name } = req.body;
     
-    const zenotiApiKey = process.env.ZENOTI_API_KEY;
-    const zenotiBaseUrl = process.env.ZENOTI_BASE_URL || 'https://api.zenoti.com/v1';
-    
-    if (!zenotiApiKey) {
-      throw new Error('Zenoti API key not configured');
-    }
-    
     // According to Zenoti docs, confirm endpoint only accepts notes and group_name (both optional)
     const confirmPayload = {};
     
@@ -2451,30 +3215,29 @@ app.post('/api/bookings/:bookingId/confirm', async (req, res) => {
       confirmPayload.group_name = group_name;
     }
     
-    console.log(`Confirming booking ${bookingId} with payload:`, confirmPayload);
+    await authorizeBookingSession(req, bookingId);
+
+    logger.info({ bookingId, payload: confirmPayload }, 'Confirming booking');
     
-    const response = await makeZenotiRequest(async () => {
-      return await axios.post(`${zenotiBaseUrl}/bookings/${bookingId}/slots/confirm`, confirmPayload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `apikey ${zenotiApiKey}`
-        }
-      });
-    });
+    const confirmData = await zenotiClient.confirmBooking(bookingId, confirmPayload);
     
     // Extract relevant data from Zenoti response
-    const isConfirmed = response.data.is_confirmed || false;
-    const invoice = response.data.invoice || {};
+    const isConfirmed = confirmData.is_confirmed || false;
+    const invoice = confirmData.invoice || {};
     const invoiceId = invoice.invoice_id || null;
     const guestInfo = invoice.guest || null;
     
     // Extract appointment_id from first item if available
     const items = invoice.items || [];
     const appointmentId = items.length > 0 ? items[0].appointment_id : null;
+
+    if (isConfirmed) {
+      bookingSessions.setStatus(bookingId, 'confirmed');
+    }
     
     res.json({
       success: true,
-      data: response.data,
+      data: confirmData,
       message: `Booking ${bookingId} confirmed successfully`,
       booking_id: bookingId,
       is_confirmed: isConfirmed,
@@ -2485,186 +3248,241 @@ app.post('/api/bookings/:bookingId/confirm', async (req, res) => {
     });
     
   } catch (error) {
-    console.error(`Error confirming booking ${req.params.bookingId}:`, error.message);
-    if (error.response) {
-      console.error('Zenoti API response status:', error.response.status);
-      console.error('Zenoti API response data:', error.response.data);
-    }
-    
-    const statusCode = error.response?.status || 500;
-    
-    res.status(statusCode).json({
-      success: false,
-      error: error.message,
-      booking_id: req.params.bookingId,
-      details: error.response?.data || null
-    });
+    logger.warn({ err: error, bookingId: req.params.bookingId }, 'Error confirming booking');
+    next(error);
   }
 });
 
 // Get booking status
-app.get('/api/bookings/:bookingId/status', async (req, res) => {
+app.get('/api/bookings/:bookingId/status', validateRequest('GET /api/bookings/:bookingId/status'), async (req, res, next) => {
   try {
     const { bookingId } = req.params;
     
-    const zenotiApiKey = process.env.ZENOTI_API_KEY;
-    const zenotiBaseUrl = process.env.ZENOTI_BASE_URL || 'https://api.zenoti.com/v1';
-    
-    if (!zenotiApiKey) {
-      throw new Error('Zenoti API key not configured');
-    }
-    
-    const response = await makeZenotiRequest(async () => {
-      return await axios.get(`${zenotiBaseUrl}/bookings/${bookingId}`, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `apikey ${zenotiApiKey}`
-        }
-      });
-    });
+    const session = await authorizeBookingSession(req, bookingId);
+    const bookingData = await zenotiClient.getBooking(bookingId);
     
     res.json({
       success: true,
-      data: response.data,
+      data: bookingData,
       message: `Booking status retrieved for ${bookingId}`,
-      booking_id: bookingId
+      booking_id: bookingId,
+      session
     });
     
   } catch (error) {
-    console.error(`Error getting booking status for ${req.params.bookingId}:`, error.message);
-    if (error.response) {
-      console.error('Zenoti API response status:', error.response.status);
-      console.error('Zenoti API response data:', error.response.data);
-    }
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      booking_id: req.params.bookingId
-    });
+    logger.warn({ err: error, bookingId: req.params.bookingId }, 'Error getting booking status');
+    next(error);
   }
 });
 
 // Cancel reservation
-app.delete('/api/bookings/:bookingId/reserve', async (req, res) => {
+app.delete('/api/bookings/:bookingId/reserve', validateRequest('DELETE /api/bookings/:bookingId/reserve'), idempotency, async (req, res, next) => {
   try {
     const { bookingId } = req.params;
     
-    const zenotiApiKey = process.env.ZENOTI_API_KEY;
-    const zenotiBaseUrl = process.env.ZENOTI_BASE_URL || 'https://api.zenoti.com/v1';
-    
-    if (!zenotiApiKey) {
-      throw new Error('Zenoti API key not configured');
-    }
-    
-    const response = await makeZenotiRequest(async () => {
-      return await axios.delete(`${zenotiBaseUrl}/bookings/${bookingId}/slots/reserve`, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `apikey ${zenotiApiKey}`
-        }
-      });
-    });
+    await authorizeBookingSession(req, bookingId);
+    const cancelData = await zenotiClient.cancelReservation(bookingId);
+    bookingSessions.setStatus(bookingId, 'open');
     
     res.json({
       success: true,
-      data: response.data,
+      data: cancelData,
       message: `Reservation cancelled for booking ${bookingId}`,
       booking_id: bookingId
     });
     
   } catch (error) {
-    console.error(`Error cancelling reservation for booking ${req.params.bookingId}:`, error.message);
-    if (error.response) {
-      console.error('Zenoti API response status:', error.response.status);
-      console.error('Zenoti API response data:', error.response.data);
-    }
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      booking_id: req.params.bookingId
-    });
+    logger.warn({ err: error, bookingId: req.params.bookingId }, 'Error cancelling reservation');
+    next(error);
   }
 });
 
 // Select provider and create booking
-app.post('/api/slots/select-provider', async (req, res) => {
+// "Any available provider": books the guest at the highest-priority center
+// that has `slotTime` free. Centers are tried in priority order (see
+// selectBestProviderForSlot); a center whose slot is taken, or whose booking
+// or reservation fails, is skipped for the next one. Every try is recorded in
+// `attempts`, which also ends up in the 409 when no center works out.
+// Bookings of skipped centers are dropped from the session straight away, and
+// a slot one of them did reserve is released.
+const releaseAbandonedAttempt = async (attempt, { reserved = false } = {}) => {
+  if (!attempt.booking_id) {
+    return attempt;
+  }
+  bookingSessions.forget(attempt.booking_id);
+  if (!reserved) {
+    return attempt;
+  }
   try {
-    const { center_id, guest_id, service_ids, date } = req.body;
+    await zenotiClient.cancelReservation(attempt.booking_id);
+    return { ...attempt, released: true };
+  } catch (error) {
+    logger.warn({ err: error, bookingId: attempt.booking_id }, 'Failed to release booking of a skipped provider');
+    return { ...attempt, released: false };
+  }
+};
+
+const assignAnyProvider = async ({ sessionId, centerIds, guestId, serviceIds, slotTime }) => {
+  const candidates = centerIds
+    .map(getProviderById)
+    .filter(provider => provider?.status === 'active')
+    .map(provider => ({ centerId: provider.provider_id, centerName: provider.name, priority: provider.priority }));
+
+  if (candidates.length === 0) {
+    throw new ApiValidationError('No active provider to choose from', 404, null, { field: 'centers' });
+  }
+
+  const attempts = [];
+  const tried = new Set();
+  let pick;
+
+  while ((pick = selectBestProviderForSlot(slotTime, candidates, { exclude: tried }))) {
+    tried.add(pick.centerId);
+    const timeZone = getCenterTimeZone(pick.centerId);
+    const localSlotTime = instantToLocalTime(slotTime, timeZone);
+    const date = localSlotTime.split('T')[0];
+    const attempt = { center_id: pick.centerId, priority: pick.priority, booking_id: null };
+    let reserved = false;
+
+    try {
+      const { data } = await createBookingInZenoti({ centerId: pick.centerId, date, guestId, serviceIds });
+      if (!data?.id) {
+        throw new Error(data?.error?.message || 'Booking ID not returned from Zenoti');
+      }
+      attempt.booking_id = data.id;
+      bookingSessions.track(sessionId, data.id, { centerId: pick.centerId, date, serviceIds, guestId });
+
+      // Check the exact slot before reserving, so a center without it costs
+      // one lookup instead of a failed reservation
+      const slotsData = await fetchZenotiSlots(data.id, false);
+      const slotMinute = localSlotTime.slice(0, 16);
+      const slotFree = (slotsData.slots || []).some(slot => {
+        const localized = localizeSlot(slot, timeZone);
+        return localized.Available && (localized.Time || localized.time || '').slice(0, 16) === slotMinute;
+      });
+      if (!slotFree) {
+        attempts.push(await releaseAbandonedAttempt({ ...attempt, status: 'slot_unavailable' }));
+        continue;
+      }
+
+      const reservation = await reserveSlotInZenoti({ bookingId: data.id, slotTime: localSlotTime, timeZone });
+      reserved = true;
+      const session = bookingSessions.setStatus(data.id, 'reserved', { slotTime: reservation.formattedSlotTime });
+      attempts.push({ ...attempt, status: 'reserved' });
+
+      return { pick, timeZone, date, bookingId: data.id, reservation, session, attempts };
+    } catch (error) {
+      const { body } = toErrorResponse(error);
+      attempts.push(await releaseAbandonedAttempt({ ...attempt, status: 'failed', code: body.code, message: body.message }, { reserved }));
+      logger.warn({ err: error, centerId: pick.centerId, slotTime }, 'Provider could not take the slot, trying the next one');
+
+      // Zenoti itself is in trouble; every other center would fail the same way
+      if (body.code === 'UPSTREAM_CIRCUIT_OPEN' || body.code === 'RATE_LIMITED') {
+        throw error;
+      }
+    }
+  }
+
+  throw new ApiValidationError(
+    `No provider could take the slot at ${slotTime}`,
+    409,
+    { attempts },
+    { code: 'SLOT_UNAVAILABLE', field: 'slot_time' }
+  );
+};
+
+// Book a guest at a center. Without center_id the server assigns one: send
+// slot_time, optionally narrowed to candidate `centers` or a `zipcode`
+// (otherwise every active provider), and the highest-priority center with
+// that slot free is booked and reserved.
+app.post('/api/slots/select-provider', validateRequest('POST /api/slots/select-provider'), idempotency, async (req, res, next) => {
+  try {
+    const { center_id, centers, zipcode, guest_id, service_ids, date, slot_time } = req.body;
+    const sessionId = resolveClientSession(req, res);
     
-    // Debug logging
-    console.log('🎯 Provider selection request received:', {
-      center_id,
-      guest_id,
-      service_ids,
-      date,
-      timestamp: new Date().toISOString()
-    });
+    logger.debug({ centerId: center_id, guestId: guest_id, serviceIds: service_ids, date, slotTime: slot_time }, 'Provider selection request');
     
-    if (!center_id) {
-      res.status(400).json({
-        success: false,
-        error: 'center_id is required',
-        received: { center_id }
-      });
-      return;
+    if (!center_id && !slot_time) {
+      throw new ApiValidationError('center_id is required (or slot_time to be assigned any available provider)', 400, null, { field: 'center_id' });
     }
     
     if (!guest_id) {
-      res.status(400).json({
-        success: false,
-        error: 'guest_id is required',
-        received: { guest_id }
-      });
-      return;
+      throw new ApiValidationError('guest_id is required', 400, null, { field: 'guest_id' });
     }
     
     if (!Array.isArray(service_ids) || service_ids.length === 0) {
-      res.status(400).json({
-        success: false,
-        error: 'service_ids must be a non-empty array',
-        received: { service_ids }
-      });
-      return;
+      throw new ApiValidationError('service_ids must be a non-empty array', 400, null, { field: 'service_ids' });
     }
-    
-    if (!date) {
-      res.status(400).json({
-        success: false,
-        error: 'date is required',
-        received: { date }
+
+    if (!center_id) {
+      const centerIds = centers
+        || (zipcode ? getProvidersByZipcode(zipcode) : getAllProviders()).map(provider => provider.provider_id);
+      if (!instantToLocalTime(slot_time, DEFAULT_CENTER_TIMEZONE)?.includes('T')) {
+        throw new ApiValidationError('slot_time must be a valid date-time string', 400, null, { field: 'slot_time' });
+      }
+
+      const assignment = await assignAnyProvider({ sessionId, centerIds, guestId: guest_id, serviceIds: service_ids, slotTime: slot_time });
+      const { pick, reservation } = assignment;
+      const provider = getProviderById(pick.centerId);
+      const reservationId = Array.isArray(reservation.data) && reservation.data.length > 0
+        ? reservation.data[0].reservation_id
+        : null;
+
+      logger.info({
+        bookingId: assignment.bookingId,
+        centerId: pick.centerId,
+        isFallback: pick.isFallback,
+        attempts: assignment.attempts.length
+      }, 'Provider assigned for slot');
+
+      res.json({
+        success: true,
+        data: {
+          center_id: pick.centerId,
+          center_name: provider.name,
+          imageUrl: provider.imageUrl,
+          booking_id: assignment.bookingId,
+          reservation_id: reservationId,
+          guest_id,
+          date: assignment.date,
+          slot_time: reservation.formattedSlotTime,
+          slot_starts_at: reservation.startsAt,
+          timezone: assignment.timeZone,
+          session_id: sessionId,
+          expires_at: assignment.session?.expires_at || null,
+          assignment: {
+            mode: 'any_provider',
+            is_fallback: pick.isFallback,
+            fallback_rank: pick.fallbackRank,
+            total_options: pick.totalOptions,
+            attempts: assignment.attempts
+          }
+        },
+        message: pick.isFallback
+          ? `Provider ${provider.name} assigned as fallback #${pick.fallbackRank} with booking ID: ${assignment.bookingId}`
+          : `Provider ${provider.name} assigned with booking ID: ${assignment.bookingId}`
       });
       return;
     }
     
-    // Create a fresh booking for the provided slot and date
-    const zenotiApiKey = process.env.ZENOTI_API_KEY;
-    const zenotiBaseUrl = process.env.ZENOTI_BASE_URL || 'https://api.zenoti.com/v1';
-    
-    if (!zenotiApiKey) {
-      throw new Error('Zenoti API key not configured');
+    if (!date) {
+      throw new ApiValidationError('date is required', 400, null, { field: 'date' });
     }
     
     // Get full provider details from static data
     const provider = getProviderById(center_id);
     
     if (!provider) {
-      res.status(404).json({
-        success: false,
-        error: `Provider not found for center ID: ${center_id}`,
-        center_id
-      });
-      return;
+      throw new ApiValidationError(`Provider not found for center ID: ${center_id}`, 404, null, { field: 'center_id' });
     }
     
-    console.log('✅ Selected provider:', {
-      center_id,
-      name: provider.name
-    });
-    
-    // Format date to YYYY-MM-DD
-    const formattedDate = new Date(date).toISOString().split('T')[0];
+    // The booking date is the center's calendar day, also for an instant
+    // such as 2030-01-16T01:30:00Z (still the 15th in Michigan)
+    const localDate = instantToLocalTime(date, getCenterTimeZone(center_id));
+    if (!localDate) {
+      throw new ApiValidationError('date must be a valid date', 400, null, { field: 'date' });
+    }
+    const formattedDate = localDate.split('T')[0];
     
     // Generate a NEW booking through Zenoti
     let bookingId;
@@ -2682,59 +3500,31 @@ app.post('/api/slots/select-provider', async (req, res) => {
         ]
       };
       
-      console.log('🎯 Creating booking with payload:', JSON.stringify(bookingPayload, null, 2));
+      logger.debug({ payload: bookingPayload }, 'Creating booking');
       
-      const bookingResponse = await makeZenotiRequest(async () => {
-        return await axios.post(`${zenotiBaseUrl}/bookings?is_double_booking_enabled=false`, bookingPayload, {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `apikey ${zenotiApiKey}`
-          }
-        });
-      });
+      const bookingData = await zenotiClient.createBooking(bookingPayload);
       
-      bookingId = bookingResponse.data?.id;
+      bookingId = bookingData?.id;
       
-      console.log('✅ Booking created successfully:', {
-        bookingId,
-        center_id,
-        date: formattedDate
-      });
     } catch (error) {
-      console.error(`❌ Failed to create booking for center ${center_id}:`, error.message);
-      if (error.response) {
-        console.error('Zenoti API response status:', error.response.status);
-        console.error('Zenoti API response data:', error.response.data);
-      }
-      res.status(500).json({
-        success: false,
-        error: 'Failed to generate booking ID',
-        details: error.response?.data || error.message,
-        center_id,
-        date: formattedDate
-      });
-      return;
+      logger.warn({ err: error, centerId: center_id }, 'Failed to create booking');
+      throw error;
     }
     
     if (!bookingId) {
-      res.status(500).json({
-        success: false,
-        error: 'Booking ID not returned from Zenoti',
-        center_id,
-        date: formattedDate
-      });
-      return;
+      throw new ApiValidationError('Booking ID not returned from Zenoti', 502, null, { code: 'UPSTREAM_ERROR', retryable: true });
     }
     
-    // Log the selection and booking creation for analytics
-    console.log(`🎯 Provider selected and booking created:`, {
-      provider: provider.name,
-      bookingId,
-      guest_id,
-      center_id,
-      timestamp: new Date().toISOString()
+    const session = bookingSessions.track(sessionId, bookingId, {
+      centerId: center_id,
+      date: formattedDate,
+      serviceIds: service_ids,
+      guestId: guest_id
     });
     
+    // Log the selection and booking creation for analytics
+    logger.info({ bookingId, centerId: center_id, guestId: guest_id, date: formattedDate }, 'Provider selected and booking created');
+    
     res.json({
       success: true,
       data: {
@@ -2743,116 +3533,396 @@ app.post('/api/slots/select-provider', async (req, res) => {
         imageUrl: provider.imageUrl,
         booking_id: bookingId,
         guest_id,
-        date: formattedDate
+        date: formattedDate,
+        session_id: sessionId,
+        expires_at: session.expires_at
       },
       message: `Provider ${provider.name} selected with booking ID: ${bookingId}`
     });
     
   } catch (error) {
-    console.error(`Error selecting provider:`, error.message);
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      center_id: req.body.center_id,
-      guest_id: req.body.guest_id,
-      date: req.body.date
+    logger.warn({ err: error }, 'Error selecting provider');
+    next(error);
+  }
+});
+
+
+
+
+
+// Checkout: find-or-create guest, booking, reserve and confirm in one call
+
+// Runs the checkout steps in order and records each one. When confirm fails
+// after a slot was reserved, the reservation is cancelled so the slot is not
+// left held. The thrown error carries the step log for the response.
+const runCheckoutSaga = async ({ sessionId, centerId, guest, serviceIds, slotTime, timeZone, notes, groupName }) => {
+  const steps = [];
+  const state = { guestId: null, guestAction: null, bookingId: null, reservationId: null };
+
+  const runStep = async (step, action) => {
+    try {
+      const result = await action();
+      steps.push({ step, status: 'completed' });
+      return result;
+    } catch (error) {
+      steps.push({ step, status: 'failed', error: error.message });
+      error.failedStep = step;
+      throw error;
+    }
+  };
+
+  try {
+    const guestResult = await runStep('guest', async () => {
+      const result = await upsertGuestInZenoti({
+        centerId,
+        name: guest.name,
+        firstName: guest.first_name,
+        lastName: guest.last_name,
+        email: guest.email,
+        phone: guest.phone,
+        phoneCountry: guest.phone_country
+      });
+      if (!result.data?.id) {
+        throw new Error('Guest ID not returned from Zenoti');
+      }
+      return result;
+    });
+    state.guestId = guestResult.data.id;
+    state.guestAction = guestResult.action;
+
+    const booking = await runStep('booking', async () => {
+      const { data } = await createBookingInZenoti({
+        centerId,
+        date: slotTime.split('T')[0],
+        guestId: state.guestId,
+        serviceIds
+      });
+      if (!data?.id) {
+        throw new Error(data?.error?.message || 'Booking ID not returned from Zenoti');
+      }
+      return data;
+    });
+    state.bookingId = booking.id;
+    bookingSessions.track(sessionId, state.bookingId, {
+      centerId,
+      date: slotTime.split('T')[0],
+      serviceIds,
+      guestId: state.guestId
     });
+
+    const reservation = await runStep('reserve', () => reserveSlotInZenoti({ bookingId: state.bookingId, slotTime, timeZone }));
+    state.reservationId = Array.isArray(reservation.data) && reservation.data.length > 0
+      ? reservation.data[0].reservation_id
+      : null;
+    bookingSessions.setStatus(state.bookingId, 'reserved', { slotTime });
+
+    const confirmPayload = {};
+    if (notes) {
+      confirmPayload.notes = notes;
+    }
+    if (groupName) {
+      confirmPayload.group_name = groupName;
+    }
+
+    const confirmation = await runStep('confirm', async () => {
+      const data = await zenotiClient.confirmBooking(state.bookingId, confirmPayload);
+      if (!data?.is_confirmed) {
+        throw new Error('Zenoti did not confirm the booking');
+      }
+      return data;
+    });
+    bookingSessions.setStatus(state.bookingId, 'confirmed');
+
+    return { state, steps, confirmation };
+  } catch (error) {
+    // Nothing was reserved; the booking is of no further use to the session
+    if (error.failedStep === 'reserve' && state.bookingId) {
+      bookingSessions.forget(state.bookingId);
+    }
+    if (error.failedStep === 'confirm' && state.bookingId) {
+      try {
+        await zenotiClient.cancelReservation(state.bookingId);
+        bookingSessions.setStatus(state.bookingId, 'open');
+        steps.push({ step: 'cancel_reservation', status: 'completed' });
+      } catch (compensationError) {
+        logger.error({ err: compensationError, bookingId: state.bookingId }, 'Checkout failed to cancel reservation');
+        steps.push({ step: 'cancel_reservation', status: 'failed', error: compensationError.message });
+      }
+    }
+
+    error.checkout = { state, steps };
+    throw error;
   }
+};
+
+app.post('/api/checkout', validateRequest('POST /api/checkout'), idempotency, async (req, res) => {
+  try {
+    const sessionId = resolveClientSession(req, res);
+    const {
+      guest,
+      center_id: centerId,
+      service_ids: serviceIds,
+      slot_time: slotTime,
+      notes,
+      group_name: groupName
+    } = req.body || {};
+
+    if (!guest || typeof guest !== 'object' || Array.isArray(guest)) {
+      throw new ApiValidationError('guest must be an object with name, email and phone', 400);
+    }
+
+    // Check the guest details before anything reaches Zenoti
+    try {
+      buildGuestPersonalInfo({
+        name: guest.name,
+        firstName: guest.first_name,
+        lastName: guest.last_name,
+        email: guest.email,
+        phone: guest.phone,
+        phoneCountry: guest.phone_country
+      });
+    } catch (error) {
+      const errors = (error.details?.errors || []).map(entry => ({ ...entry, field: `guest.${entry.field}` }));
+      throw new ApiValidationError(error.message, error.statusCode || 400, { errors });
+    }
+
+    if (!centerId) {
+      throw new ApiValidationError('center_id is required', 400);
+    }
+
+    if (!Array.isArray(serviceIds) || serviceIds.length === 0) {
+      throw new ApiValidationError('service_ids must be a non-empty array', 400);
+    }
+
+    const provider = getProviderById(centerId);
+    if (!provider) {
+      throw new ApiValidationError(`Provider not found for center ID: ${centerId}`, 404);
+    }
+
+    // Everything from here on uses the center's wall clock
+    const timeZone = getCenterTimeZone(centerId);
+    const localSlotTime = typeof slotTime === 'string' ? instantToLocalTime(slotTime, timeZone) : null;
+    if (!localSlotTime?.includes('T')) {
+      throw new ApiValidationError('slot_time must be a valid date-time string', 400);
+    }
+
+    const { state, steps, confirmation } = await runCheckoutSaga({
+      sessionId,
+      centerId,
+      guest,
+      serviceIds,
+      slotTime: localSlotTime,
+      timeZone,
+      notes,
+      groupName
+    });
+
+    const items = confirmation.invoice?.items || [];
+
+    logger.info({ bookingId: state.bookingId, centerId, guestAction: state.guestAction }, 'Checkout confirmed');
+
+    res.json({
+      success: true,
+      data: {
+        appointment_id: items[0]?.appointment_id || null,
+        appointment_ids: items.map(item => item.appointment_id).filter(Boolean),
+        invoice_id: confirmation.invoice?.invoice_id || null,
+        booking_id: state.bookingId,
+        reservation_id: state.reservationId,
+        guest_id: state.guestId,
+        guest_action: state.guestAction,
+        center_id: centerId,
+        center_name: provider.name,
+        slot_time: localSlotTime,
+        slot_starts_at: localTimeToInstant(localSlotTime, timeZone),
+        timezone: timeZone,
+        session_id: sessionId,
+        steps
+      },
+      message: `Booking confirmed with ${provider.name} for ${localSlotTime}`
+    });
+  } catch (error) {
+    logger.warn({ err: error, failedStep: error.failedStep || null }, 'Checkout failed');
+
+    // The usual error envelope plus how far the saga got
+    const { status, body } = toErrorResponse(error, { requestId: req.id });
+    res.status(status).json({
+      ...body,
+      failed_step: error.failedStep || null,
+      booking_id: error.checkout?.state.bookingId || null,
+      guest_id: error.checkout?.state.guestId || null,
+      steps: error.checkout?.steps || []
+    });
+  }
+});
+
+// Health check endpoint (?deep=true also pings Zenoti)
+app.get('/api/health', validateRequest('GET /api/health'), async (req, res) => {
+  const deep = req.query.deep === 'true';
+  const zenotiConfigured = zenotiClient.isConfigured();
+  const checks = {
+    zenoti: {
+      configured: zenotiConfigured,
+      base_url: zenotiClient.baseUrl
+    },
+    google_places: {
+      configured: Boolean(process.env.GOOGLE_PLACES_API_KEY)
+    }
+  };
+
+  if (deep && zenotiConfigured) {
+    const pingStartedAt = Date.now();
+    try {
+      await zenotiClient.listCenters({ timeoutMs: 5000, retries: 0 });
+      checks.zenoti.reachable = true;
+      checks.zenoti.status = 200;
+    } catch (error) {
+      checks.zenoti.reachable = false;
+      checks.zenoti.status = error.response?.status || null;
+      checks.zenoti.error = error.message;
+    }
+    checks.zenoti.latency_ms = Date.now() - pingStartedAt;
+  }
+  checks.zenoti.circuit = zenotiClient.circuitBreaker.getStats().state;
+
+  const healthy = zenotiConfigured && checks.zenoti.reachable !== false && checks.zenoti.circuit !== 'open';
+
+  res.status(healthy ? 200 : 503).json({
+    success: healthy,
+    data: {
+      status: healthy ? 'ok' : 'degraded',
+      uptime_seconds: Math.round(process.uptime()),
+      timestamp: new Date().toISOString(),
+      checks,
+      cache: {
+        size: await cache.size(),
+        ...cache.getStats()
+      },
+      semaphore: zenotiClient.getStats().semaphore,
+      circuit_breaker: zenotiClient.getStats().circuit_breaker,
+      booking_sessions: bookingSessions.getStats(),
+      deep_check: deep
+    },
+    message: healthy ? 'Service is healthy' : 'Service is degraded'
+  });
 });
 
+// Request schemas used by validateRequest, for clients to validate against
+app.get('/api/schemas', (req, res) => {
+  res.json({
+    success: true,
+    data: requestSchemas,
+    message: `Request schemas for ${Object.keys(requestSchemas).length} routes`
+  });
+});
 
+// OpenAPI document for every registered route, built on first request
+const packageInfo = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+let openApiDocument = null;
+
+app.get('/api/openapi.json', (req, res) => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument({
+      routes: listRoutes(app),
+      definitions: requestSchemas,
+      info: {
+        title: 'Zenoti API Layer',
+        version: packageInfo.version,
+        description: packageInfo.description
+      }
+    });
+  }
+  res.json(openApiDocument);
+});
 
+app.get('/api/docs', (req, res) => {
+  res.type('html').send(renderSwaggerUi({ title: 'Zenoti API Layer', specUrl: '/api/openapi.json' }));
+});
 
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res, next) => {
+  try {
+    res.type(metricsRegistry.contentType).send(await metricsRegistry.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
 
-// Rate limit status endpoint
-app.get('/api/rate-limit/status', (req, res) => {
-  const now = Date.now();
+// Rate limit status endpoint: the shared Zenoti limiter plus cache stats
+app.get('/api/rate-limit/status', async (req, res) => {
+  const { rate_limiter: rateLimiter, semaphore, circuit_breaker: circuitBreaker } = zenotiClient.getStats();
   res.json({
     success: true,
     data: {
-      cache_size: cache.size
+      rate_limiter: rateLimiter,
+      semaphore,
+      circuit_breaker: circuitBreaker,
+      cache_size: await cache.size(),
+      cache: cache.getStats()
     },
     message: 'Rate limit status retrieved successfully'
   });
 });
 
+// Drop the rate limiter's learned backoff and close the Zenoti circuit
+// breaker by hand, e.g. once an outage is known to be over. Admin-only:
+// anyone else could undo the slow-down or let traffic through to a Zenoti
+// that is still down.
+app.post('/api/rate-limit/reset', requireAdminAuth, validateRequest('POST /api/rate-limit/reset'), (req, res) => {
+  zenotiClient.rateLimiter.reset();
+  zenotiClient.circuitBreaker.reset();
+  logger.info('Rate limiter and circuit breaker reset by admin');
+  const { rate_limiter: rateLimiter, circuit_breaker: circuitBreaker } = zenotiClient.getStats();
+  res.json({
+    success: true,
+    data: {
+      rate_limiter: rateLimiter,
+      circuit_breaker: circuitBreaker
+    },
+    message: 'Rate limiter reset and circuit breaker closed'
+  });
+});
+
 // Clear cache endpoint
-app.post('/api/cache/clear', (req, res) => {
+app.post('/api/cache/clear', async (req, res, next) => {
   try {
-    const cacheSize = cache.size;
-    cache.clear();
+    const cacheSize = await cache.clear();
     
-    // Reset rate limiting
     res.json({
       success: true,
       message: `Cache cleared successfully. Removed ${cacheSize} entries.`,
       cache_size_before: cacheSize,
-      cache_size_after: 0,
-      rate_limit_reset: true
+      cache_size_after: 0
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // 404 handler
 app.use((req, res) => {
+  const { body } = toErrorResponse(
+    new ApiValidationError('Route not found', 404, null, { code: 'ROUTE_NOT_FOUND' }),
+    { requestId: req.id }
+  );
   res.status(404).json({
-    success: false,
-    error: 'Route not found',
+    ...body,
     path: req.originalUrl,
-    availableEndpoints: [
-      'GET /api/providers',
-      'GET /api/providers/zipcode/:zipcode',
-      'GET /api/providers/:providerId',
-      'GET /api/address/suggestions?input=address',
-      'POST /api/address/validate',
-      'POST /api/address/validate-zipcode',
-      'POST /api/address/centers',
-      'GET /api/services/category/:categoryId',
-      'GET /api/categories',
-      'POST /api/bookings (single or multiple centers)',
-      'GET /api/bookings/:bookingId/slots?check_future_day_availability=true',
-      'POST /api/slots/unified',
-      'POST /api/slots/select-provider (first available)',
-      'POST /api/guests',
-      'GET /api/slots/test-provider-selection',
-      'GET /api/slots/test-week-dates',
-      'POST /api/bookings/:bookingId/reserve',
-      'POST /api/bookings/:bookingId/confirm',
-      'GET /api/bookings/:bookingId/status',
-      'DELETE /api/bookings/:bookingId/reserve',
-      'GET /api/rate-limit/status',
-      'POST /api/cache/clear'
-    ]
+    availableEndpoints: listRoutes(app).map(route => `${route.key}${route.admin ? ' (admin)' : ''}`)
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`📋 Available endpoints:`);
-  console.log(`   - GET /api/providers`);
-  console.log(`   - GET /api/providers/zipcode/:zipcode`);
-  console.log(`   - GET /api/providers/:providerId`);
-  console.log(`   - GET /api/address/suggestions?input=address`);
-  console.log(`   - POST /api/address/validate`);
-  console.log(`   - POST /api/address/validate-zipcode`);
-  console.log(`   - POST /api/address/centers`);
-  console.log(`   - GET /api/categories (with services)`);
-  console.log(`   - POST /api/bookings (single or multiple centers)`);
-  console.log(`   - GET /api/bookings/:bookingId/slots (with future day availability)`);
-  console.log(`   - POST /api/slots/unified (with hourly aggregation and week-based selection)`);
-  console.log(`   - POST /api/slots/select-provider`);
-  console.log(`   - POST /api/guests`);
-  console.log(`   - POST /api/bookings/:bookingId/reserve`);
-  console.log(`   - POST /api/bookings/:bookingId/confirm`);
-  console.log(`   - GET /api/bookings/:bookingId/status`);
-  console.log(`   - DELETE /api/bookings/:bookingId/reserve`);
-  console.log(`   - GET /api/rate-limit/status`);
-});
+// Every error passed to next() or thrown by a route ends up here
+app.use(errorHandler);
+
+// Start server (tests import the app and listen on their own port)
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(PORT, () => {
+    logger.info({
+      port: PORT,
+      endpoints: listRoutes(app).map(route => `${route.key}${route.admin ? ' (admin)' : ''}`)
+    }, 'Server listening (docs at /api/docs)');
+  });
+}
 
 export default app;
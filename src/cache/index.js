@@ -0,0 +1,23 @@
+import { createMemoryCache } from './memoryCache.js';
+import { createRedisCache } from './redisCache.js';
+
+// Pick the cache backend from the environment:
+//   CACHE_BACKEND=redis (with REDIS_URL) - shared Redis cache
+//   anything else                         - in-memory LRU (CACHE_MAX_ENTRIES)
+const createCache = (env = process.env) => {
+  if (env.CACHE_BACKEND === 'redis') {
+    if (!env.REDIS_URL) {
+      throw new Error('REDIS_URL must be set when CACHE_BACKEND=redis');
+    }
+    return createRedisCache({
+      url: env.REDIS_URL,
+      keyPrefix: env.CACHE_KEY_PREFIX || 'oah:'
+    });
+  }
+
+  return createMemoryCache({
+    maxEntries: Number(env.CACHE_MAX_ENTRIES) || 1000
+  });
+};
+
+export { createCache, createMemoryCache, createRedisCache };
@@ -0,0 +1,83 @@
+// In-process LRU cache with per-entry TTLs. Map iteration order doubles as
+// recency order: reads re-insert the key at the end, evictions take the front.
+const createMemoryCache = ({ maxEntries = 1000, defaultTtlMs = 5 * 60 * 1000, sweepIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+  let evictions = 0;
+
+  const isExpired = (entry, now = Date.now()) => entry.expiresAt <= now;
+
+  const sweep = () => {
+    const now = Date.now();
+    let removed = 0;
+    entries.forEach((entry, key) => {
+      if (isExpired(entry, now)) {
+        entries.delete(key);
+        removed++;
+      }
+    });
+    return removed;
+  };
+
+  const sweepTimer = sweepIntervalMs > 0 ? setInterval(sweep, sweepIntervalMs) : null;
+  // Never keep the process alive just to sweep
+  sweepTimer?.unref?.();
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry || isExpired(entry)) {
+      if (entry) {
+        entries.delete(key);
+      }
+      misses++;
+      return null;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    hits++;
+    return entry.value;
+  };
+
+  const set = async (key, value, ttlMs = defaultTtlMs) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (entries.size > maxEntries) {
+      const oldestKey = entries.keys().next().value;
+      entries.delete(oldestKey);
+      evictions++;
+    }
+  };
+
+  const del = async (key) => {
+    entries.delete(key);
+  };
+
+  const clear = async () => {
+    const removed = entries.size;
+    entries.clear();
+    return removed;
+  };
+
+  const size = async () => entries.size;
+
+  const getStats = () => ({
+    backend: 'memory',
+    max_entries: maxEntries,
+    hits,
+    misses,
+    evictions
+  });
+
+  const close = async () => {
+    if (sweepTimer) {
+      clearInterval(sweepTimer);
+    }
+  };
+
+  return { get, set, delete: del, clear, size, sweep, getStats, close };
+};
+
+export { createMemoryCache };
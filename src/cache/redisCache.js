@@ -0,0 +1,103 @@
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'redisCache' });
+
+// Redis-backed cache shared by every instance (e.g. each Vercel lambda).
+// Values are stored as JSON under `keyPrefix`. Redis failures are logged and
+// treated as cache misses so a Redis outage never takes the API down.
+const createRedisCache = ({ url, keyPrefix = 'oah:', defaultTtlMs = 5 * 60 * 1000 } = {}) => {
+  let hits = 0;
+  let misses = 0;
+  let errors = 0;
+
+  // Commands fail fast while disconnected (no offline queue) and the client
+  // keeps reconnecting in the background, so requests fall back to Zenoti
+  // instead of hanging on Redis.
+  const ready = import('redis').then(({ createClient }) => {
+    const client = createClient({
+      url,
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: 2000,
+        reconnectStrategy: (retries) => Math.min(retries * 500, 5000)
+      }
+    });
+    client.on('error', (error) => {
+      errors++;
+      log.error({ err: error }, 'Redis error');
+    });
+    client.connect().catch(error => log.error({ err: error }, 'Failed to connect to Redis'));
+    return client;
+  });
+
+  const withClient = async (operation, fallback) => {
+    try {
+      const client = await ready;
+      if (!client.isReady) {
+        return fallback;
+      }
+      return await operation(client);
+    } catch (error) {
+      errors++;
+      log.error({ err: error }, 'Redis operation failed');
+      return fallback;
+    }
+  };
+
+  const prefixed = (key) => `${keyPrefix}${key}`;
+
+  const scanKeys = async (client) => {
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: `${keyPrefix}*`, COUNT: 500 })) {
+      keys.push(key);
+    }
+    return keys;
+  };
+
+  const get = async (key) => {
+    const raw = await withClient(client => client.get(prefixed(key)), null);
+    if (raw === null || raw === undefined) {
+      misses++;
+      return null;
+    }
+    hits++;
+    return JSON.parse(raw);
+  };
+
+  const set = async (key, value, ttlMs = defaultTtlMs) => {
+    await withClient(client => client.set(prefixed(key), JSON.stringify(value), { PX: Math.max(1, Math.round(ttlMs)) }));
+  };
+
+  const del = async (key) => {
+    await withClient(client => client.del(prefixed(key)));
+  };
+
+  const clear = async () => withClient(async (client) => {
+    const keys = await scanKeys(client);
+    if (keys.length > 0) {
+      await client.del(keys);
+    }
+    return keys.length;
+  }, 0);
+
+  const size = async () => withClient(async (client) => (await scanKeys(client)).length, 0);
+
+  const getStats = () => ({
+    backend: 'redis',
+    key_prefix: keyPrefix,
+    hits,
+    misses,
+    errors
+  });
+
+  const close = async () => {
+    const client = await ready;
+    if (client.isOpen) {
+      await client.disconnect();
+    }
+  };
+
+  return { get, set, delete: del, clear, size, getStats, close };
+};
+
+export { createRedisCache };
@@ -0,0 +1,283 @@
+// Tracks the Zenoti bookings handed out to each client session, so a booking
+// ID is only ever used by the session it was created for. Entries expire after
+// `ttlMs` of inactivity; `onExpire` runs once for each abandoned booking (e.g.
+// to release a slot it still holds). Expired entries are kept for another
+// `ttlMs` so late calls can still be told the booking expired.
+//
+// At most `maxPerSession` bookings are kept per session and `maxEntries` in
+// all, since one slot search can hand out dozens of probe bookings. Past a
+// cap the oldest entry goes first, preferring ones that are already expired
+// or hold no reservation; a reserved one only goes after `onExpire` has been
+// run for it, as if it had been abandoned. The overall cap takes from the
+// session holding the most bookings, so one busy client cannot push out
+// everyone else's.
+//
+// With a shared `cache` backend (Redis) every change is also written there,
+// so another instance, or this one after a restart, still knows which session
+// a booking belongs to: load() falls back to it for bookings not held here.
+
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'bookingSessions' });
+
+const BOOKING_STATUSES = ['open', 'reserved', 'confirmed'];
+
+const createBookingSessionStore = ({
+  ttlMs = 15 * 60 * 1000,
+  sweepIntervalMs = 60 * 1000,
+  onExpire = null,
+  cache = null,
+  maxPerSession = 500,
+  maxEntries = 20000
+} = {}) => {
+  const bookings = new Map();
+  // sessionId -> Set of its booking IDs, oldest first
+  const bySession = new Map();
+  let expiredCount = 0;
+  let evictedCount = 0;
+
+  const remove = (bookingId) => {
+    const entry = bookings.get(bookingId);
+    if (!entry) {
+      return;
+    }
+    bookings.delete(bookingId);
+    const sessionBookings = bySession.get(entry.sessionId);
+    sessionBookings?.delete(bookingId);
+    if (sessionBookings?.size === 0) {
+      bySession.delete(entry.sessionId);
+    }
+  };
+
+  const add = (entry) => {
+    remove(entry.bookingId);
+    bookings.set(entry.bookingId, entry);
+    if (!bySession.has(entry.sessionId)) {
+      bySession.set(entry.sessionId, new Set());
+    }
+    bySession.get(entry.sessionId).add(entry.bookingId);
+  };
+
+  const cleanUp = async (entry) => {
+    try {
+      await onExpire(toPublic(entry));
+    } catch (error) {
+      log.error({ err: error, bookingId: entry.bookingId }, 'Booking session cleanup failed');
+    }
+  };
+
+  const evictOldest = (bookingIds) => {
+    const candidates = [...bookingIds].map(bookingId => bookings.get(bookingId));
+    const victim = candidates.find(entry => entry.cleanedUp)
+      || candidates.find(entry => entry.status === 'open')
+      || candidates[0];
+    if (!victim.cleanedUp && victim.status === 'reserved' && onExpire) {
+      victim.cleanedUp = true;
+      cleanUp(victim);
+    }
+    remove(victim.bookingId);
+    evictedCount++;
+    log.debug({ bookingId: victim.bookingId, status: victim.status }, 'Evicted booking session');
+  };
+
+  const largestSession = () => {
+    let largest = null;
+    bySession.forEach(sessionBookings => {
+      if (!largest || sessionBookings.size > largest.size) {
+        largest = sessionBookings;
+      }
+    });
+    return largest;
+  };
+
+  // Make room for one more booking in `sessionId`
+  const enforceCaps = (sessionId) => {
+    const sessionBookings = bySession.get(sessionId);
+    if (sessionBookings && sessionBookings.size >= maxPerSession) {
+      evictOldest(sessionBookings);
+    }
+    if (bookings.size >= maxEntries) {
+      evictOldest(largestSession());
+    }
+  };
+
+  const isExpired = (entry, now = Date.now()) => entry.expiresAt <= now;
+
+  const toPublic = (entry) => ({
+    booking_id: entry.bookingId,
+    session_id: entry.sessionId,
+    center_id: entry.centerId,
+    date: entry.date,
+    service_ids: [...entry.serviceIds],
+    guest_id: entry.guestId,
+    status: entry.status,
+    slot_time: entry.slotTime,
+    created_at: new Date(entry.createdAt).toISOString(),
+    expires_at: new Date(entry.expiresAt).toISOString(),
+    expired: isExpired(entry)
+  });
+
+  // Write-through to the shared backend; kept until expired entries are dropped
+  const persist = (entry) => {
+    if (!cache) {
+      return;
+    }
+    const { cleanedUp, ...record } = entry;
+    Promise.resolve(cache.set(entry.bookingId, record, Math.max(entry.expiresAt + ttlMs - Date.now(), 1)))
+      .catch(error => log.error({ err: error, bookingId: entry.bookingId }, 'Failed to store booking session'));
+  };
+
+  const track = (sessionId, bookingId, { centerId, date, serviceIds = [], guestId = null } = {}) => {
+    const now = Date.now();
+    const entry = {
+      bookingId,
+      sessionId,
+      centerId,
+      date,
+      serviceIds: serviceIds.map(String),
+      guestId,
+      status: 'open',
+      slotTime: null,
+      cleanedUp: false,
+      createdAt: now,
+      expiresAt: now + ttlMs
+    };
+    if (!bookings.has(bookingId)) {
+      enforceCaps(sessionId);
+    }
+    add(entry);
+    persist(entry);
+    return toPublic(entry);
+  };
+
+  const get = (bookingId) => {
+    const entry = bookings.get(bookingId);
+    return entry ? toPublic(entry) : null;
+  };
+
+  // Like get(), but also finds bookings another instance handed out (shared
+  // cache only). Those are taken over here so later changes are tracked.
+  const load = async (bookingId) => {
+    const local = get(bookingId);
+    if (local || !cache) {
+      return local;
+    }
+
+    let record = null;
+    try {
+      record = await cache.get(bookingId);
+    } catch (error) {
+      log.error({ err: error, bookingId }, 'Failed to load booking session');
+    }
+    if (!record?.sessionId) {
+      return null;
+    }
+
+    enforceCaps(record.sessionId);
+    add({ ...record, cleanedUp: false });
+    return get(bookingId);
+  };
+
+  // Record a state change and push the expiry out again: a session that is
+  // still moving through reserve/confirm is not abandoned.
+  const setStatus = (bookingId, status, { slotTime = null } = {}) => {
+    if (!BOOKING_STATUSES.includes(status)) {
+      throw new Error(`Unknown booking status: ${status}`);
+    }
+
+    const entry = bookings.get(bookingId);
+    if (!entry) {
+      return null;
+    }
+
+    entry.status = status;
+    entry.slotTime = status === 'reserved' ? slotTime : (status === 'open' ? null : entry.slotTime);
+    entry.expiresAt = Date.now() + ttlMs;
+    persist(entry);
+    return toPublic(entry);
+  };
+
+  // Stop tracking a booking nobody will use, here and in the shared backend
+  const forget = (bookingId) => {
+    remove(bookingId);
+    if (cache) {
+      Promise.resolve(cache.delete(bookingId))
+        .catch(error => log.error({ err: error, bookingId }, 'Failed to drop booking session'));
+    }
+  };
+
+  const sweep = async () => {
+    const now = Date.now();
+    const expired = [];
+
+    bookings.forEach((entry, bookingId) => {
+      if (!isExpired(entry, now)) {
+        return;
+      }
+      if (!entry.cleanedUp) {
+        entry.cleanedUp = true;
+        expired.push(entry);
+      } else if (entry.expiresAt + ttlMs <= now) {
+        remove(bookingId);
+      }
+    });
+
+    // Another instance may have kept the booking alive since this copy was
+    // last updated; take its newer state instead of cleaning up
+    if (cache) {
+      const records = await Promise.all(expired.map(entry => Promise.resolve(cache.get(entry.bookingId)).catch(() => null)));
+      records.forEach((record, index) => {
+        const entry = expired[index];
+        if (record && record.expiresAt > entry.expiresAt) {
+          Object.assign(entry, record, { cleanedUp: false });
+          expired[index] = null;
+        }
+      });
+    }
+    const abandoned = expired.filter(Boolean);
+    expiredCount += abandoned.length;
+
+    if (onExpire) {
+      await Promise.all(abandoned.map(cleanUp));
+    }
+
+    return abandoned.length;
+  };
+
+  const sweepTimer = sweepIntervalMs > 0 ? setInterval(() => { sweep(); }, sweepIntervalMs) : null;
+  // Never keep the process alive just to sweep
+  sweepTimer?.unref?.();
+
+  const getStats = () => {
+    const byStatus = Object.fromEntries(BOOKING_STATUSES.map(status => [status, 0]));
+    const sessions = new Set();
+    bookings.forEach(entry => {
+      if (isExpired(entry)) {
+        return;
+      }
+      byStatus[entry.status] += 1;
+      sessions.add(entry.sessionId);
+    });
+
+    return {
+      tracked_bookings: Object.values(byStatus).reduce((total, count) => total + count, 0),
+      sessions: sessions.size,
+      by_status: byStatus,
+      expired: expiredCount,
+      evicted: evictedCount,
+      max_per_session: maxPerSession,
+      max_entries: maxEntries,
+      ttl_ms: ttlMs
+    };
+  };
+
+  const close = () => {
+    if (sweepTimer) {
+      clearInterval(sweepTimer);
+    }
+  };
+
+  return { track, get, load, setStatus, forget, sweep, getStats, close };
+};
+
+export { createBookingSessionStore };
@@ -0,0 +1,192 @@
+const ZIPCODE_PATTERN = /^\d{5}$/;
+
+const byPriority = (a, b) => a.priority - b.priority;
+
+// Build the zipcode -> providers lookup plus the data-quality findings
+// (duplicate and malformed zip entries) for a provider list.
+const buildCoverageIndex = (providers) => {
+  const zipcodeIndex = new Map();
+  const duplicateEntries = [];
+  const invalidEntries = [];
+
+  providers.forEach(provider => {
+    const seen = new Map();
+    const zipCodes = Array.isArray(provider.zipCodes) ? provider.zipCodes : [];
+
+    zipCodes.forEach((rawZipcode, index) => {
+      const zipcode = typeof rawZipcode === 'string' ? rawZipcode.trim() : rawZipcode;
+
+      if (typeof zipcode !== 'string' || !ZIPCODE_PATTERN.test(zipcode)) {
+        invalidEntries.push({
+          provider_id: provider.provider_id,
+          name: provider.name,
+          index,
+          value: rawZipcode
+        });
+        return;
+      }
+
+      seen.set(zipcode, (seen.get(zipcode) || 0) + 1);
+      if (seen.get(zipcode) > 1) {
+        return;
+      }
+
+      if (!zipcodeIndex.has(zipcode)) {
+        zipcodeIndex.set(zipcode, []);
+      }
+      zipcodeIndex.get(zipcode).push(provider);
+    });
+
+    seen.forEach((occurrences, zipcode) => {
+      if (occurrences > 1) {
+        duplicateEntries.push({
+          provider_id: provider.provider_id,
+          name: provider.name,
+          zipcode,
+          occurrences
+        });
+      }
+    });
+  });
+
+  zipcodeIndex.forEach(entries => entries.sort(byPriority));
+
+  return { zipcodeIndex, duplicateEntries, invalidEntries };
+};
+
+// Uncovered zips sitting within `window` of covered zips on both sides.
+// Not every 5-digit number is a real zipcode, so these are candidates for ops
+// to review rather than confirmed holes.
+const findCoverageGaps = (coveredZipcodes, window) => {
+  const covered = new Set(coveredZipcodes.map(zipcode => parseInt(zipcode, 10)));
+  const sorted = Array.from(covered).sort((a, b) => a - b);
+  const gaps = [];
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const lower = sorted[i];
+    const upper = sorted[i + 1];
+    if (upper - lower <= 1 || upper - lower > window + 1) {
+      continue;
+    }
+
+    for (let candidate = lower + 1; candidate < upper; candidate++) {
+      gaps.push({
+        zipcode: String(candidate).padStart(5, '0'),
+        neighbours: [
+          String(lower).padStart(5, '0'),
+          String(upper).padStart(5, '0')
+        ]
+      });
+    }
+  }
+
+  return gaps;
+};
+
+const createCoverageIndex = (providerStore) => {
+  let builtVersion = null;
+  let index = null;
+
+  const current = () => {
+    const version = providerStore.version();
+    if (version !== builtVersion) {
+      index = buildCoverageIndex(providerStore.list());
+      builtVersion = version;
+    }
+    return index;
+  };
+
+  const getProvidersByZipcode = (zipcode, { includeInactive = false } = {}) => {
+    const key = typeof zipcode === 'string' ? zipcode.trim() : String(zipcode ?? '');
+    const entries = current().zipcodeIndex.get(key) || [];
+    return entries
+      .filter(provider => includeInactive || provider.status === 'active')
+      .map(provider => ({ ...provider, zipCodes: [...provider.zipCodes] }));
+  };
+
+  const getReport = ({ includeInactive = false, gapWindow = 2 } = {}) => {
+    const { zipcodeIndex, duplicateEntries, invalidEntries } = current();
+    const isIncluded = provider => includeInactive || provider.status === 'active';
+
+    const zipcodes = Array.from(zipcodeIndex.entries())
+      .map(([zipcode, entries]) => {
+        const included = entries.filter(isIncluded);
+        return {
+          zipcode,
+          provider_count: included.length,
+          provider_ids: included.map(provider => provider.provider_id)
+        };
+      })
+      .filter(entry => entry.provider_count > 0)
+      .sort((a, b) => a.zipcode.localeCompare(b.zipcode));
+
+    const providers = providerStore.list()
+      .filter(isIncluded)
+      .sort(byPriority);
+    const providerIds = providers.map(provider => provider.provider_id);
+    const positionById = new Map(providerIds.map((id, position) => [id, position]));
+
+    // Square matrix of shared zip counts; the diagonal is each provider's own zip count.
+    const matrix = providerIds.map(() => providerIds.map(() => 0));
+    const sharedZipcodes = new Map();
+
+    zipcodes.forEach(({ zipcode, provider_ids: ids }) => {
+      ids.forEach((idA, i) => {
+        const a = positionById.get(idA);
+        matrix[a][a] += 1;
+
+        ids.slice(i + 1).forEach(idB => {
+          const b = positionById.get(idB);
+          matrix[a][b] += 1;
+          matrix[b][a] += 1;
+
+          const pairKey = a < b ? `${a}:${b}` : `${b}:${a}`;
+          if (!sharedZipcodes.has(pairKey)) {
+            sharedZipcodes.set(pairKey, []);
+          }
+          sharedZipcodes.get(pairKey).push(zipcode);
+        });
+      });
+    });
+
+    const overlapPairs = Array.from(sharedZipcodes.entries())
+      .map(([pairKey, shared]) => {
+        const [a, b] = pairKey.split(':').map(Number);
+        return {
+          provider_a: { provider_id: providerIds[a], name: providers[a].name },
+          provider_b: { provider_id: providerIds[b], name: providers[b].name },
+          shared_count: shared.length,
+          shared_zipcodes: shared
+        };
+      })
+      .sort((x, y) => y.shared_count - x.shared_count);
+
+    const countWith = predicate => zipcodes.filter(entry => predicate(entry.provider_count)).length;
+
+    return {
+      summary: {
+        providers: providers.length,
+        total_zipcodes: zipcodes.length,
+        single_covered: countWith(count => count === 1),
+        double_covered: countWith(count => count === 2),
+        triple_or_more_covered: countWith(count => count >= 3),
+        duplicate_entries: duplicateEntries.length,
+        invalid_entries: invalidEntries.length
+      },
+      zipcodes,
+      overlap_matrix: {
+        provider_ids: providerIds,
+        provider_names: providers.map(provider => provider.name),
+        matrix
+      },
+      overlaps: overlapPairs,
+      gaps: findCoverageGaps(zipcodes.map(entry => entry.zipcode), gapWindow),
+      duplicate_entries: duplicateEntries,
+      invalid_entries: invalidEntries
+    };
+  };
+
+  return { getProvidersByZipcode, getReport };
+};
+
+export { buildCoverageIndex, createCoverageIndex };
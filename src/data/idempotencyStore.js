@@ -0,0 +1,120 @@
+// Responses to mutating requests, keyed by the client's Idempotency-Key, so a
+// repeated request (double-click, client retry) gets the first response back
+// instead of hitting Zenoti again. Records live in a cache backend (memory or
+// Redis, see src/cache) for `ttlMs`, next to a fingerprint of the request
+// (method, URL and body) so a key reused for a different request is caught.
+//
+// While the first request is running its record is `pending`. A duplicate in
+// the same process waits for it and replays the result; one arriving at
+// another instance sees `in_progress`.
+
+import crypto from 'crypto';
+
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'idempotency' });
+
+// JSON with object keys sorted, so {a, b} and {b, a} hash the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const fingerprintRequest = ({ method, url, body }) => crypto
+  .createHash('sha256')
+  .update(`${method} ${url}\n${canonicalJson(body)}`)
+  .digest('hex');
+
+const createIdempotencyStore = ({ cache, ttlMs = 24 * 60 * 60 * 1000, pendingTtlMs = 2 * 60 * 1000 } = {}) => {
+  // key -> { promise, resolve } for requests running in this process
+  const inFlight = new Map();
+  let replayed = 0;
+  let mismatched = 0;
+
+  const release = (key) => {
+    const entry = inFlight.get(key);
+    if (entry) {
+      inFlight.delete(key);
+      entry.resolve();
+    }
+  };
+
+  // { state: 'new' | 'replay' | 'mismatch' | 'in_progress', response }.
+  // 'new' claims the key: finish with complete() or abandon().
+  const begin = async (key, fingerprint) => {
+    const running = inFlight.get(key);
+    if (running) {
+      await running.promise;
+      return begin(key, fingerprint);
+    }
+
+    // Claimed before the first await so concurrent duplicates queue up behind it
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    inFlight.set(key, { promise, resolve });
+
+    let record;
+    try {
+      record = await cache.get(key);
+    } catch (error) {
+      release(key);
+      throw error;
+    }
+    if (record) {
+      release(key);
+      if (record.fingerprint !== fingerprint) {
+        mismatched++;
+        return { state: 'mismatch', response: null };
+      }
+      if (record.state === 'pending') {
+        return { state: 'in_progress', response: null };
+      }
+      replayed++;
+      return { state: 'replay', response: record.response };
+    }
+
+    await cache.set(key, { state: 'pending', fingerprint, created_at: new Date().toISOString() }, pendingTtlMs);
+    return { state: 'new', response: null };
+  };
+
+  // Store the response ({ status, headers, body }) for replays
+  const complete = async (key, fingerprint, response) => {
+    try {
+      await cache.set(key, { state: 'complete', fingerprint, response, created_at: new Date().toISOString() }, ttlMs);
+    } catch (error) {
+      log.error({ err: error }, 'Failed to store idempotent response');
+    } finally {
+      release(key);
+    }
+  };
+
+  // Forget the key so the client can retry with it (e.g. after a 5xx)
+  const abandon = async (key) => {
+    try {
+      await cache.delete(key);
+    } catch (error) {
+      log.error({ err: error }, 'Failed to release idempotency key');
+    } finally {
+      release(key);
+    }
+  };
+
+  const getStats = () => ({
+    in_flight: inFlight.size,
+    replayed_total: replayed,
+    mismatched_total: mismatched,
+    ttl_ms: ttlMs
+  });
+
+  return { begin, complete, abandon, getStats };
+};
+
+export { createIdempotencyStore, fingerprintRequest };
@@ -0,0 +1,245 @@
+import fs from 'fs';
+import path from 'path';
+
+import { ApiValidationError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+
+const log = logger.child({ component: 'providerStore' });
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ZIPCODE_PATTERN = /^\d{5}$/;
+const PROVIDER_STATUSES = ['active', 'inactive'];
+const PROVIDER_FIELDS = ['name', 'provider_id', 'zipCodes', 'imageUrl', 'status', 'priority', 'timezone'];
+
+const cloneProvider = (provider) => ({
+  ...provider,
+  zipCodes: Array.isArray(provider.zipCodes) ? [...provider.zipCodes] : provider.zipCodes
+});
+
+// Validate a full provider record against the registry schema.
+// `others` are the remaining providers, used for uniqueness checks.
+const validateProvider = (provider, others = []) => {
+  const errors = [];
+
+  if (!provider || typeof provider !== 'object' || Array.isArray(provider)) {
+    throw new ApiValidationError('provider must be a JSON object', 400);
+  }
+
+  const unknownFields = Object.keys(provider).filter(field => !PROVIDER_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    errors.push({ field: unknownFields.join(','), message: 'unknown field(s)' });
+  }
+
+  if (typeof provider.name !== 'string' || provider.name.trim() === '') {
+    errors.push({ field: 'name', message: 'name must be a non-empty string' });
+  }
+
+  if (typeof provider.provider_id !== 'string' || !UUID_PATTERN.test(provider.provider_id)) {
+    errors.push({ field: 'provider_id', message: 'provider_id must be a UUID' });
+  }
+
+  if (!Array.isArray(provider.zipCodes)) {
+    errors.push({ field: 'zipCodes', message: 'zipCodes must be an array of 5-digit strings' });
+  } else {
+    provider.zipCodes.forEach((zipcode, index) => {
+      if (typeof zipcode !== 'string' || !ZIPCODE_PATTERN.test(zipcode)) {
+        errors.push({ field: `zipCodes[${index}]`, message: 'zipcode must be a 5-digit string' });
+      }
+    });
+  }
+
+  if (!PROVIDER_STATUSES.includes(provider.status)) {
+    errors.push({ field: 'status', message: `status must be one of: ${PROVIDER_STATUSES.join(', ')}` });
+  }
+
+  if (!Number.isInteger(provider.priority) || provider.priority < 1) {
+    errors.push({ field: 'priority', message: 'priority must be a positive integer' });
+  }
+
+  if (provider.imageUrl !== undefined && provider.imageUrl !== null) {
+    if (typeof provider.imageUrl !== 'string' || !/^https?:\/\//.test(provider.imageUrl)) {
+      errors.push({ field: 'imageUrl', message: 'imageUrl must be an http(s) URL' });
+    }
+  }
+
+  // Optional IANA zone; centers without one use DEFAULT_CENTER_TIMEZONE
+  if (provider.timezone !== undefined && provider.timezone !== null && !isValidTimeZone(provider.timezone)) {
+    errors.push({ field: 'timezone', message: 'timezone must be an IANA time zone such as America/Detroit' });
+  }
+
+  if (errors.length > 0) {
+    throw new ApiValidationError('Invalid provider', 400, { errors });
+  }
+
+  // Only active providers take part in priority-based allocation, so that is
+  // where priorities have to be unique.
+  if (provider.status === 'active') {
+    const conflict = others.find(other =>
+      other.status === 'active' && other.priority === provider.priority
+    );
+    if (conflict) {
+      throw new ApiValidationError(
+        `priority ${provider.priority} is already used by ${conflict.name}`,
+        409,
+        { field: 'priority', conflicting_provider_id: conflict.provider_id }
+      );
+    }
+  }
+};
+
+const createProviderStore = ({ filePath, seed = [], reloadIntervalMs = 1000 } = {}) => {
+  let providers = seed.map(cloneProvider);
+  let loadedMtimeMs = null;
+  let lastCheckedAt = 0;
+  let revision = 0;
+
+  const readFromDisk = () => {
+    const stats = fs.statSync(filePath);
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(parsed)) {
+      throw new Error(`Provider store at ${filePath} must contain a JSON array`);
+    }
+    providers = parsed.map(cloneProvider);
+    loadedMtimeMs = stats.mtimeMs;
+    revision += 1;
+  };
+
+  const writeToDisk = (nextProviders) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify(nextProviders, null, 2)}\n`);
+    fs.renameSync(tempPath, filePath);
+    providers = nextProviders;
+    loadedMtimeMs = fs.statSync(filePath).mtimeMs;
+    revision += 1;
+  };
+
+  // Pick up edits made to the file by another process (or by hand) without a restart.
+  const refreshIfChanged = () => {
+    if (!filePath) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastCheckedAt < reloadIntervalMs) {
+      return;
+    }
+    lastCheckedAt = now;
+
+    try {
+      const { mtimeMs } = fs.statSync(filePath);
+      if (mtimeMs !== loadedMtimeMs) {
+        readFromDisk();
+        log.info({ providers: providers.length, filePath }, 'Reloaded providers');
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error({ err: error, filePath }, 'Failed to reload providers');
+      }
+    }
+  };
+
+  const commit = (nextProviders) => {
+    if (filePath) {
+      writeToDisk(nextProviders);
+    } else {
+      providers = nextProviders;
+      revision += 1;
+    }
+  };
+
+  const findIndex = (providerId) => providers.findIndex(provider => provider.provider_id === providerId);
+
+  // Bumped on every change (write or reload) so derived data such as the
+  // zipcode index knows when to rebuild.
+  const version = () => {
+    refreshIfChanged();
+    return revision;
+  };
+
+  const list = () => {
+    refreshIfChanged();
+    return providers.map(cloneProvider);
+  };
+
+  const get = (providerId) => {
+    refreshIfChanged();
+    const provider = providers.find(entry => entry.provider_id === providerId);
+    return provider ? cloneProvider(provider) : undefined;
+  };
+
+  const create = (input) => {
+    refreshIfChanged();
+    const provider = { ...input };
+    if (findIndex(provider.provider_id) !== -1) {
+      throw new ApiValidationError(`Provider ${provider.provider_id} already exists`, 409);
+    }
+
+    validateProvider(provider, providers);
+    commit([...providers, cloneProvider(provider)]);
+    return cloneProvider(provider);
+  };
+
+  const replace = (providerId, input) => {
+    refreshIfChanged();
+    const index = findIndex(providerId);
+    if (index === -1) {
+      return null;
+    }
+
+    if (input?.provider_id !== undefined && input.provider_id !== providerId) {
+      throw new ApiValidationError('provider_id in body does not match the URL', 400);
+    }
+
+    const provider = { ...input, provider_id: providerId };
+    validateProvider(provider, providers.filter((_, i) => i !== index));
+
+    const nextProviders = [...providers];
+    nextProviders[index] = cloneProvider(provider);
+    commit(nextProviders);
+    return cloneProvider(provider);
+  };
+
+  const update = (providerId, changes) => {
+    refreshIfChanged();
+    const index = findIndex(providerId);
+    if (index === -1) {
+      return null;
+    }
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new ApiValidationError('provider must be a JSON object', 400);
+    }
+
+    return replace(providerId, { ...providers[index], ...changes });
+  };
+
+  const remove = (providerId) => {
+    refreshIfChanged();
+    const index = findIndex(providerId);
+    if (index === -1) {
+      return null;
+    }
+
+    const removed = providers[index];
+    commit(providers.filter((_, i) => i !== index));
+    return cloneProvider(removed);
+  };
+
+  if (filePath) {
+    try {
+      readFromDisk();
+      log.info({ providers: providers.length, filePath }, 'Loaded providers');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      // No store on disk yet: serve the bundled seed data until the first write.
+    }
+  }
+
+  return { version, list, get, create, replace, update, remove };
+};
+
+export { createProviderStore, validateProvider };
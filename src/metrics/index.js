@@ -0,0 +1,117 @@
+import client from 'prom-client';
+
+// Prometheus metrics served at GET /metrics. Everything lives on one registry
+// so tests and the route see the same counters.
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const zenotiRequests = new client.Counter({
+  name: 'zenoti_requests_total',
+  help: 'Zenoti API calls by endpoint, method and response status',
+  labelNames: ['endpoint', 'method', 'status'],
+  registers: [registry]
+});
+
+const zenotiRequestDuration = new client.Histogram({
+  name: 'zenoti_request_duration_seconds',
+  help: 'Zenoti API call latency (one observation per attempt)',
+  labelNames: ['endpoint', 'method'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15],
+  registers: [registry]
+});
+
+const zenotiRetries = new client.Counter({
+  name: 'zenoti_retries_total',
+  help: 'Zenoti API calls retried, by endpoint and reason',
+  labelNames: ['endpoint', 'reason'],
+  registers: [registry]
+});
+
+const circuitRejections = new client.Counter({
+  name: 'zenoti_circuit_rejections_total',
+  help: 'Zenoti calls refused without being sent because the circuit was open',
+  labelNames: ['endpoint'],
+  registers: [registry]
+});
+
+const semaphoreWait = new client.Histogram({
+  name: 'zenoti_semaphore_wait_seconds',
+  help: 'Time Zenoti calls waited for a concurrency slot',
+  buckets: [0.001, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'cache_lookups_total',
+  help: 'Zenoti response cache lookups by key prefix and result',
+  labelNames: ['prefix', 'result'],
+  registers: [registry]
+});
+
+const unifiedSlotsDuration = new client.Histogram({
+  name: 'unified_slots_duration_seconds',
+  help: 'Processing time of POST /api/slots/unified',
+  buckets: [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60],
+  registers: [registry]
+});
+
+const unifiedSlotsZenotiCalls = new client.Histogram({
+  name: 'unified_slots_zenoti_calls',
+  help: 'Zenoti calls (including retries) made by one POST /api/slots/unified request',
+  buckets: [1, 5, 10, 25, 50, 100, 200, 400],
+  registers: [registry]
+});
+
+// Gauges read from a semaphore's getStats() on every scrape
+const registerSemaphoreGauges = (semaphore) => {
+  const gauge = (name, help, read) => new client.Gauge({
+    name,
+    help,
+    registers: [registry],
+    collect() {
+      this.set(read(semaphore.getStats()));
+    }
+  });
+
+  gauge('zenoti_semaphore_queue_depth', 'Zenoti calls waiting for a concurrency slot', stats => stats.queued);
+  gauge('zenoti_semaphore_active', 'Zenoti calls currently in flight', stats => stats.active);
+};
+
+// 0 closed, 1 half-open (trial call allowed), 2 open
+const CIRCUIT_STATES = { closed: 0, half_open: 1, open: 2 };
+
+const registerCircuitBreakerGauge = (breaker) => new client.Gauge({
+  name: 'zenoti_circuit_state',
+  help: 'Zenoti circuit breaker state: 0 closed, 1 half-open, 2 open',
+  registers: [registry],
+  collect() {
+    this.set(CIRCUIT_STATES[breaker.getStats().state]);
+  }
+});
+
+// "/bookings/4f1c.../slots/reserve" -> "/bookings/:id/slots/reserve" so label
+// cardinality stays bounded
+const toEndpointLabel = (path) => String(path || '')
+  .split('?')[0]
+  .split('/')
+  .map(segment => (/\d/.test(segment) && segment.length >= 8 ? ':id' : segment))
+  .join('/');
+
+// "slots-<bookingId>-future" -> "slots"
+const toCachePrefix = (key) => String(key).split(/[-:]/)[0] || 'unknown';
+
+export {
+  registry,
+  zenotiRequests,
+  zenotiRequestDuration,
+  zenotiRetries,
+  circuitRejections,
+  semaphoreWait,
+  cacheLookups,
+  unifiedSlotsDuration,
+  unifiedSlotsZenotiCalls,
+  registerSemaphoreGauges,
+  registerCircuitBreakerGauge,
+  toEndpointLabel,
+  toCachePrefix
+};
@@ -0,0 +1,192 @@
+// OpenAPI 3.1 document built from the routes actually registered on the
+// Express app, described by the route definitions in src/validation/schemas.js.
+// OpenAPI 3.1 uses plain JSON Schema, so request schemas are embedded as is.
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Every route registered on the app, in registration order:
+// [{ method: 'POST', path: '/api/checkout', key: 'POST /api/checkout', admin, idempotent }]
+const listRoutes = (app) => (app.router?.stack || [])
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods)
+    .filter(method => HTTP_METHODS.includes(method))
+    .map(method => ({
+      method: method.toUpperCase(),
+      path: layer.route.path,
+      key: `${method.toUpperCase()} ${layer.route.path}`,
+      admin: layer.route.stack.some(handler => handler.name === 'requireAdminAuth'),
+      idempotent: layer.route.stack.some(handler => handler.name === 'idempotency')
+    })));
+
+// /api/providers/:providerId -> /api/providers/{providerId}
+const toOpenApiPath = (path) => path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+
+const toParameters = (location, schema) => {
+  if (!schema?.properties) {
+    return [];
+  }
+  const required = new Set(schema.required || []);
+  return Object.entries(schema.properties).map(([name, propertySchema]) => ({
+    name,
+    in: location === 'params' ? 'path' : 'query',
+    required: location === 'params' || required.has(name),
+    schema: propertySchema
+  }));
+};
+
+const jsonContent = (ref) => ({ 'application/json': { schema: { $ref: `#/components/schemas/${ref}` } } });
+
+const components = {
+  schemas: {
+    Success: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', const: true },
+        data: {},
+        message: { type: 'string' }
+      },
+      required: ['success']
+    },
+    Error: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', const: false },
+        error: { type: 'string', description: 'Same as message' },
+        code: { type: 'string', examples: ['SLOT_UNAVAILABLE', 'VALIDATION_FAILED'] },
+        message: { type: 'string' },
+        field: { type: ['string', 'null'] },
+        retryable: { type: 'boolean' },
+        requestId: { type: ['string', 'null'] },
+        details: {}
+      },
+      required: ['success', 'error', 'code', 'message', 'retryable']
+    },
+    ValidationError: {
+      allOf: [
+        { $ref: '#/components/schemas/Error' },
+        {
+          type: 'object',
+          properties: {
+            details: {
+              type: 'object',
+              properties: {
+                errors: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      location: { type: 'string', enum: ['params', 'query', 'body'] },
+                      field: { type: 'string' },
+                      message: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          required: ['details']
+        }
+      ]
+    }
+  },
+  securitySchemes: {
+    adminApiKey: { type: 'apiKey', in: 'header', name: 'x-api-key' }
+  }
+};
+
+const buildOperation = (route, definition = {}) => {
+  const parameters = [
+    ...toParameters('params', definition.params),
+    ...toParameters('query', definition.query)
+  ];
+  // Path params are required even when the route has no schema for them
+  (route.path.match(/:([A-Za-z0-9_]+)/g) || []).forEach(match => {
+    const name = match.slice(1);
+    if (!parameters.some(parameter => parameter.in === 'path' && parameter.name === name)) {
+      parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  });
+  if (route.idempotent) {
+    parameters.push({
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Repeats of the request with the same key get the first response back',
+      schema: { type: 'string', pattern: '^[A-Za-z0-9._:-]{1,255}$' }
+    });
+  }
+
+  const responses = {
+    200: definition.eventStream
+      ? { description: 'Server-Sent Events', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+      : { description: 'Success', content: jsonContent('Success') }
+  };
+  if (definition.params || definition.query || definition.body) {
+    responses[400] = { description: 'Invalid request', content: jsonContent('ValidationError') };
+  }
+  if (route.admin) {
+    responses[401] = { description: 'Missing or wrong admin API key', content: jsonContent('Error') };
+  }
+  if (route.idempotent) {
+    responses[409] = { description: 'A request with the same Idempotency-Key is still running', content: jsonContent('Error') };
+    responses[422] = { description: 'Idempotency-Key reused for a different request', content: jsonContent('Error') };
+  }
+  responses[500] = { description: 'Unexpected error', content: jsonContent('Error') };
+
+  const operation = {
+    operationId: route.key.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, ''),
+    summary: definition.summary || route.key,
+    tags: [route.path.split('/')[2] || 'api'],
+    parameters,
+    responses
+  };
+
+  if (definition.body) {
+    operation.requestBody = {
+      required: (definition.body.required || []).length > 0,
+      content: { 'application/json': { schema: definition.body } }
+    };
+  }
+
+  if (route.admin) {
+    operation.security = [{ adminApiKey: [] }];
+  }
+
+  return operation;
+};
+
+const buildOpenApiDocument = ({ routes, definitions, info }) => {
+  const paths = {};
+  routes.forEach(route => {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = buildOperation(route, definitions[route.key]);
+  });
+
+  return {
+    openapi: '3.1.0',
+    info,
+    paths,
+    components
+  };
+};
+
+// Swagger UI page pointed at `specUrl`, loaded from the jsDelivr CDN
+const renderSwaggerUi = ({ title, specUrl }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${title}</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+
+export { listRoutes, buildOpenApiDocument, renderSwaggerUi };
@@ -0,0 +1,83 @@
+// Deduplication rules for Zenoti guests. A guest found by search is the same
+// person when either
+//   - the email matches exactly (case and surrounding spaces ignored), or
+//   - the phone matches and so does the last name.
+// A phone match alone is not enough: households often share one number.
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+const phoneDigits = (phone) => String(phone || '').replace(/\D/g, '');
+
+// Numbers match when one is the other with a country code or trunk digit in
+// front, e.g. 12485550199 and 2485550199. Short fragments never match.
+const phonesMatch = (a, b) => {
+  const digitsA = phoneDigits(a);
+  const digitsB = phoneDigits(b);
+  if (digitsA.length < 7 || digitsB.length < 7) {
+    return false;
+  }
+  const [shorter, longer] = digitsA.length <= digitsB.length ? [digitsA, digitsB] : [digitsB, digitsA];
+  return longer.endsWith(shorter);
+};
+
+const guestPhone = (guest) => {
+  const mobile = guest?.personal_info?.mobile_phone;
+  return typeof mobile === 'object' && mobile !== null ? mobile.number : mobile;
+};
+
+// Pick the candidate that is the same person, preferring an email match that
+// also agrees on the phone. Returns { guest, rule } or null.
+const findMatchingGuest = (candidates, { email, phone, lastName }) => {
+  const wantedEmail = normalizeEmail(email);
+  const wantedLastName = normalizeName(lastName);
+  const withInfo = (candidates || []).filter(guest => guest?.id && guest.personal_info);
+
+  const emailMatches = wantedEmail
+    ? withInfo.filter(guest => normalizeEmail(guest.personal_info.email) === wantedEmail)
+    : [];
+  if (emailMatches.length > 0) {
+    const best = emailMatches.find(guest => phonesMatch(guestPhone(guest), phone)) || emailMatches[0];
+    return { guest: best, rule: 'email' };
+  }
+
+  if (!wantedLastName) {
+    return null;
+  }
+
+  const phoneMatch = withInfo.find(guest =>
+    phonesMatch(guestPhone(guest), phone)
+    && normalizeName(guest.personal_info.last_name) === wantedLastName
+  );
+  return phoneMatch ? { guest: phoneMatch, rule: 'phone_last_name' } : null;
+};
+
+// Fields of `desired` personal info that differ from what Zenoti holds.
+// Blank desired values never overwrite existing data.
+const diffPersonalInfo = (existing = {}, desired = {}) => {
+  const changes = {};
+
+  ['first_name', 'last_name'].forEach(field => {
+    if (desired[field] && desired[field].trim() !== String(existing[field] || '').trim()) {
+      changes[field] = desired[field];
+    }
+  });
+
+  if (desired.email && normalizeEmail(desired.email) !== normalizeEmail(existing.email)) {
+    changes.email = desired.email;
+  }
+
+  const desiredPhone = desired.mobile_phone || {};
+  const existingPhone = existing.mobile_phone || {};
+  if (desiredPhone.number && (
+    phoneDigits(desiredPhone.number) !== phoneDigits(existingPhone.number)
+    || (existingPhone.country_code && phoneDigits(desiredPhone.country_code) !== phoneDigits(existingPhone.country_code))
+  )) {
+    changes.mobile_phone = desiredPhone;
+  }
+
+  return changes;
+};
+
+export { findMatchingGuest, diffPersonalInfo, normalizeEmail, phonesMatch };
@@ -0,0 +1,113 @@
+// Cart pricing against Zenoti catalog data.
+//
+// Zenoti reports prices per center in `price_info`: `sale_price` is the list
+// price, `final_price` what the guest is charged. When `tax_rate` is present it
+// is applied on top of the price, unless `include_tax` says the price already
+// contains it.
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const priceLine = (item, type) => {
+  const priceInfo = item.price_info || {};
+  const salePrice = Number(priceInfo.sale_price ?? priceInfo.final_price ?? 0);
+  const finalPrice = Number(priceInfo.final_price ?? priceInfo.sale_price ?? 0);
+  const taxRate = priceInfo.tax_rate !== undefined && priceInfo.tax_rate !== null
+    ? Number(priceInfo.tax_rate)
+    : null;
+  const taxIncluded = priceInfo.include_tax === true;
+
+  let tax = 0;
+  let preTax = finalPrice;
+  if (taxRate) {
+    if (taxIncluded) {
+      preTax = finalPrice / (1 + taxRate / 100);
+      tax = finalPrice - preTax;
+    } else {
+      tax = finalPrice * taxRate / 100;
+    }
+  }
+
+  return {
+    type,
+    id: item.id,
+    name: item.name,
+    duration: item.duration || 0,
+    sale_price: roundCurrency(salePrice),
+    final_price: roundCurrency(finalPrice),
+    discount: roundCurrency(Math.max(salePrice - finalPrice, 0)),
+    tax_rate: taxRate,
+    tax_included: taxIncluded,
+    subtotal: roundCurrency(preTax),
+    tax: roundCurrency(tax),
+    total: roundCurrency(preTax + tax)
+  };
+};
+
+// Price a cart at one center. `catalog` holds that center's services and
+// add-ons keyed by lower-cased ID.
+const quoteForCenter = ({ centerId, catalog, serviceIds, addOnIds }) => {
+  const lineItems = [];
+  const missingServices = [];
+  const missingAddOns = [];
+  const allowedAddOnIds = new Set();
+
+  serviceIds.forEach(serviceId => {
+    const service = catalog.services.get(String(serviceId).toLowerCase());
+    if (!service) {
+      missingServices.push(serviceId);
+      return;
+    }
+
+    (service.add_ons_info?.add_ons_list || []).forEach(id => allowedAddOnIds.add(String(id).toLowerCase()));
+    lineItems.push(priceLine(service, 'service'));
+  });
+
+  addOnIds.forEach(addOnId => {
+    const key = String(addOnId).toLowerCase();
+    const addOn = catalog.addOns.get(key);
+    if (!addOn || !allowedAddOnIds.has(key)) {
+      missingAddOns.push(addOnId);
+      return;
+    }
+
+    lineItems.push(priceLine(addOn, 'add_on'));
+  });
+
+  const sum = (field) => roundCurrency(lineItems.reduce((total, item) => total + item[field], 0));
+
+  return {
+    center_id: centerId,
+    available: missingServices.length === 0 && missingAddOns.length === 0,
+    line_items: lineItems,
+    missing_services: missingServices,
+    missing_add_ons: missingAddOns,
+    totals: {
+      sale_price: sum('sale_price'),
+      discount: sum('discount'),
+      subtotal: sum('subtotal'),
+      tax: sum('tax'),
+      total: sum('total'),
+      duration: lineItems.reduce((total, item) => total + item.duration, 0)
+    }
+  };
+};
+
+// Quote every candidate center and pick the cheapest one that can fulfil the
+// whole cart. Ties go to the higher-priority provider (lower number).
+const buildQuote = ({ catalogs, serviceIds, addOnIds = [], priorityFor = () => 999 }) => {
+  const centers = catalogs.map(({ centerId, catalog }) =>
+    quoteForCenter({ centerId, catalog, serviceIds, addOnIds })
+  );
+
+  const cheapest = centers
+    .filter(center => center.available)
+    .sort((a, b) => (a.totals.total - b.totals.total) || (priorityFor(a.center_id) - priorityFor(b.center_id)))[0] || null;
+
+  return {
+    centers,
+    cheapest_center_id: cheapest?.center_id || null,
+    cheapest_total: cheapest?.totals.total ?? null
+  };
+};
+
+export { buildQuote, quoteForCenter, priceLine };
@@ -0,0 +1,57 @@
+// Groups a center's slots for display: fixed buckets of 15, 30 or 60 minutes
+// ("09:00", "09:15", ...) or dayparts (morning, afternoon, evening). Times are
+// read from the center-local slot time, see slotMinutes.
+
+import { slotMinutes, formatTimeOfDay } from './slotFilters.js';
+
+const BUCKET_SIZES = [15, 30, 60];
+const DAYPARTS = [
+  { name: 'morning', start: 0, end: 12 * 60 },
+  { name: 'afternoon', start: 12 * 60, end: 17 * 60 },
+  { name: 'evening', start: 17 * 60, end: 24 * 60 }
+];
+
+// Bucket key and start/end minutes for a slot starting `minutes` after midnight
+const bucketFor = (minutes, bucket) => {
+  if (bucket === 'daypart') {
+    const part = DAYPARTS.find(daypart => minutes >= daypart.start && minutes < daypart.end);
+    return { time: part.name, start: part.start, end: part.end };
+  }
+  const start = Math.floor(minutes / bucket) * bucket;
+  return { time: formatTimeOfDay(start), start, end: start + bucket };
+};
+
+// Available slots -> [{ time, start, end, available, count, slots }] in time
+// order. `bucket` is a size in minutes from BUCKET_SIZES or 'daypart'.
+const aggregateSlotsIntoBuckets = (slots, bucket = 60) => {
+  const buckets = new Map();
+
+  (slots || []).forEach(slot => {
+    if (!slot?.Available) {
+      return;
+    }
+    const minutes = slotMinutes(slot);
+    if (minutes === null || minutes >= 24 * 60) {
+      return;
+    }
+
+    const { time, start, end } = bucketFor(minutes, bucket);
+    if (!buckets.has(time)) {
+      buckets.set(time, {
+        time,
+        start: formatTimeOfDay(start),
+        end: formatTimeOfDay(end),
+        available: true,
+        count: 0,
+        slots: []
+      });
+    }
+    const entry = buckets.get(time);
+    entry.count++;
+    entry.slots.push(slot);
+  });
+
+  return Array.from(buckets.values()).sort((a, b) => a.start.localeCompare(b.start));
+};
+
+export { aggregateSlotsIntoBuckets, BUCKET_SIZES, DAYPARTS };
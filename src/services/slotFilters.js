@@ -0,0 +1,136 @@
+// Date-range, weekday and time-of-day filters for the unified slot search.
+// Dates are YYYY-MM-DD strings handled as calendar days (UTC arithmetic);
+// times are minutes after midnight as printed in Zenoti's slot times.
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (dateStr) => new Date(`${dateStr}T00:00:00Z`);
+const toDateString = (date) => date.toISOString().split('T')[0];
+const addDays = (dateStr, days) => toDateString(new Date(parseDate(dateStr).getTime() + days * DAY_MS));
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / DAY_MS);
+
+const isValidDate = (value) => typeof value === 'string'
+  && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && !Number.isNaN(parseDate(value).getTime())
+  && toDateString(parseDate(value)) === value;
+
+// "17:30" -> 1050. "24:00" is allowed so a window can run to midnight.
+const parseTimeOfDay = (value) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(String(value));
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+const formatTimeOfDay = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Minutes after midnight of a Zenoti slot ("2030-01-15T17:30:00" or "17:30:00")
+const slotMinutes = (slot) => {
+  const timeStr = slot?.Time || slot?.time || slot?.start_time || '';
+  const timePart = timeStr.includes('T') ? timeStr.split('T')[1] : timeStr;
+  const [hours, minutes] = (timePart || '').split(':').map(Number);
+  return Number.isInteger(hours) && Number.isInteger(minutes) ? hours * 60 + minutes : null;
+};
+
+// Request options -> { filters } or { errors: [{ field, message }] }.
+//   startDate/endDate - inclusive range; one alone means today..endDate or a
+//                       week from startDate. Must lie between `today` and
+//                       `maxHorizonDays` after it.
+//   daysOfWeek        - e.g. ['sat', 'sun']
+//   timeWindows       - [{ start: '17:00', end: '21:00' }], end exclusive;
+//                       start defaults to 00:00 and end to 24:00
+const parseSlotFilters = ({ startDate, endDate, daysOfWeek, timeWindows } = {}, { today, maxHorizonDays = 28 } = {}) => {
+  const errors = [];
+  let range = null;
+
+  if (startDate !== undefined || endDate !== undefined) {
+    const start = startDate ?? today;
+    const lastDay = addDays(today, maxHorizonDays);
+    if (!isValidDate(start)) {
+      errors.push({ field: 'start_date', message: 'start_date must be a valid date (YYYY-MM-DD)' });
+    }
+    if (endDate !== undefined && !isValidDate(endDate)) {
+      errors.push({ field: 'end_date', message: 'end_date must be a valid date (YYYY-MM-DD)' });
+    }
+
+    if (errors.length === 0) {
+      // The default week is cut short at the horizon rather than rejected
+      const end = endDate ?? [addDays(start, 6), lastDay].sort()[0];
+      if (start < today) {
+        errors.push({ field: 'start_date', message: 'start_date cannot be in the past' });
+      }
+      if (endDate === undefined && start > lastDay) {
+        errors.push({ field: 'start_date', message: `start_date must be within ${maxHorizonDays} days from today (${lastDay} at the latest)` });
+      } else if (end < start) {
+        errors.push({ field: 'end_date', message: 'end_date must not be before start_date' });
+      } else if (daysBetween(today, end) > maxHorizonDays) {
+        errors.push({ field: 'end_date', message: `end_date must be within ${maxHorizonDays} days from today (${lastDay} at the latest)` });
+      }
+      range = { startDate: start, endDate: end };
+    }
+  }
+
+  const days = daysOfWeek ? new Set(daysOfWeek.map(day => DAY_NAMES.indexOf(String(day).toLowerCase()))) : null;
+  if (days?.has(-1)) {
+    errors.push({ field: 'days_of_week', message: `days_of_week must only contain ${DAY_NAMES.join(', ')}` });
+  }
+
+  const windows = (timeWindows || []).map((window, index) => {
+    const start = parseTimeOfDay(window?.start ?? '00:00');
+    const end = parseTimeOfDay(window?.end ?? '24:00');
+    if (start === null || end === null) {
+      errors.push({ field: `time_windows[${index}]`, message: 'start and end must be times such as 09:00 or 17:30' });
+    } else if (end <= start) {
+      errors.push({ field: `time_windows[${index}]`, message: 'end must be after start' });
+    }
+    return { start, end };
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const wantsDate = (dateStr) => (!range || (dateStr >= range.startDate && dateStr <= range.endDate))
+    && (!days || days.has(parseDate(dateStr).getUTCDay()));
+
+  const wantsSlot = (slot) => {
+    if (windows.length === 0) {
+      return true;
+    }
+    const minutes = slotMinutes(slot);
+    return minutes !== null && windows.some(window => minutes >= window.start && minutes < window.end);
+  };
+
+  // One probe booking per 7 days of the range; the future days Zenoti
+  // reports from each probe fill in the rest
+  const probeDates = () => {
+    if (!range) {
+      return null;
+    }
+    const dates = [];
+    for (let date = range.startDate; date <= range.endDate; date = addDays(date, 7)) {
+      dates.push(date);
+    }
+    return dates;
+  };
+
+  const describe = () => ({
+    start_date: range?.startDate ?? null,
+    end_date: range?.endDate ?? null,
+    days_of_week: days ? DAY_NAMES.filter((name, index) => days.has(index)) : null,
+    time_windows: windows.length > 0
+      ? windows.map(window => ({ start: formatTimeOfDay(window.start), end: formatTimeOfDay(window.end) }))
+      : null
+  });
+
+  return { filters: { hasRange: Boolean(range), wantsDate, wantsSlot, probeDates, describe } };
+};
+
+export { parseSlotFilters, slotMinutes, formatTimeOfDay, DAY_NAMES };
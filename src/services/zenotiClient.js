@@ -0,0 +1,356 @@
+import axios from 'axios';
+
+import { createSemaphore, sleep } from '../utils/concurrency.js';
+import { createRateLimiter } from '../utils/rateLimiter.js';
+import { createCircuitBreaker } from '../utils/circuitBreaker.js';
+import { logger, getRequestContext } from '../utils/logger.js';
+import {
+  zenotiRequests,
+  zenotiRequestDuration,
+  zenotiRetries,
+  semaphoreWait,
+  circuitRejections,
+  toEndpointLabel
+} from '../metrics/index.js';
+
+const log = logger.child({ component: 'zenoti' });
+
+const DEFAULT_BASE_URL = 'https://api.zenoti.com/v1';
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Failures worth retrying: Zenoti's gateway errors and calls that never got
+// an answer. They also count towards opening the circuit breaker.
+const TRANSIENT_STATUSES = [502, 503, 504];
+const TRANSIENT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+const isTransientFailure = (error) => (error.response
+  ? TRANSIENT_STATUSES.includes(error.response.status)
+  : TRANSIENT_CODES.includes(error.code));
+
+// Any 5xx or missing response means Zenoti is struggling
+const isUpstreamFailure = (error) => !error.response || error.response.status >= 500;
+
+const retryReason = (error) => {
+  if (error.response) {
+    return `status_${error.response.status}`;
+  }
+  return error.code === 'ECONNABORTED' ? 'timeout' : 'network_error';
+};
+
+// Error thrown for any failed Zenoti call. `response` mirrors the axios shape
+// (status, data, headers) so route handlers can keep reading
+// `error.response?.status` whether the failure came from Zenoti or the network.
+class ZenotiApiError extends Error {
+  constructor(message, { status = null, data = null, headers = {}, method = null, path = null, code = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ZenotiApiError';
+    this.status = status;
+    this.data = data;
+    this.method = method;
+    this.path = path;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+    this.response = status ? { status, data, headers } : undefined;
+  }
+}
+
+const extractZenotiMessage = (data) => {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+  return data.Message || data.message || data.error?.message || data.Error?.Message || null;
+};
+
+const normalizeError = (error, { method, path }) => {
+  if (error instanceof ZenotiApiError) {
+    return error;
+  }
+
+  if (error.response) {
+    const { status, data, headers } = error.response;
+    const upstreamMessage = extractZenotiMessage(data);
+    return new ZenotiApiError(
+      upstreamMessage ? `Request failed with status code ${status}: ${upstreamMessage}` : error.message,
+      { status, data, headers, method, path, code: error.code || null }
+    );
+  }
+
+  const message = error.code === 'ECONNABORTED'
+    ? `Zenoti request timed out (${method} ${path})`
+    : error.message;
+
+  return new ZenotiApiError(message, { method, path, code: error.code || null });
+};
+
+class ZenotiClient {
+  constructor({
+    apiKey,
+    baseUrl = DEFAULT_BASE_URL,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxConcurrency = 8,
+    ratePerSecond = 10,
+    burst = ratePerSecond,
+    retryDelays = [1000, 2000, 5000, 10000], // Progressive backoff for 429s without retry-after
+    maxTransientRetries = 3,
+    retryBaseDelayMs = 250,
+    retryMaxDelayMs = 4000,
+    circuitFailureThreshold = 5,
+    circuitCooldownMs = 30 * 1000
+  } = {}) {
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
+    this.retryDelays = retryDelays;
+    this.maxRetries = retryDelays.length;
+    this.maxTransientRetries = maxTransientRetries;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.retryMaxDelayMs = retryMaxDelayMs;
+    this.semaphore = createSemaphore(maxConcurrency, { onWait: ms => semaphoreWait.observe(ms / 1000) });
+    this.rateLimiter = createRateLimiter({ ratePerSecond, burst });
+    this.circuitBreaker = createCircuitBreaker({ failureThreshold: circuitFailureThreshold, cooldownMs: circuitCooldownMs });
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  getStats() {
+    return {
+      base_url: this.baseUrl,
+      timeout_ms: this.timeoutMs,
+      semaphore: this.semaphore.getStats(),
+      rate_limiter: this.rateLimiter.getStats(),
+      circuit_breaker: this.circuitBreaker.getStats()
+    };
+  }
+
+  // Exponential backoff with full jitter, so retries from parallel calls
+  // don't hit Zenoti in lockstep
+  transientRetryDelay(retryCount) {
+    const cap = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** retryCount);
+    return Math.round(Math.random() * cap);
+  }
+
+  // Every Zenoti call goes through here: auth headers, timeout, the shared
+  // rate limiter and semaphore, the circuit breaker and retries. A 429 slows
+  // the limiter down for every caller (see src/utils/rateLimiter.js);
+  // `priority` decides who goes first while calls wait for it. 429s are
+  // retried for every call since Zenoti did not process them. Gateway errors,
+  // timeouts and dropped connections are only retried for `idempotent` calls
+  // (GETs by default): a POST that timed out may still have gone through.
+  // While the circuit is open calls fail at once with CIRCUIT_OPEN. The
+  // current request ID is forwarded as X-Request-Id so Zenoti-side logs can
+  // be correlated.
+  async request(method, path, {
+    params,
+    data,
+    timeoutMs,
+    priority = 'normal',
+    idempotent = method === 'GET',
+    retries = idempotent ? this.maxTransientRetries : 0
+  } = {}) {
+    if (!this.apiKey) {
+      throw new Error('Zenoti API key not configured');
+    }
+
+    const config = {
+      method,
+      url: `${this.baseUrl}${path}`,
+      params,
+      data,
+      timeout: timeoutMs ?? this.timeoutMs,
+      headers: {
+        'Authorization': `apikey ${this.apiKey}`,
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      }
+    };
+
+    const context = getRequestContext();
+    if (context?.requestId) {
+      config.headers['X-Request-Id'] = context.requestId;
+    }
+
+    const endpoint = toEndpointLabel(path);
+    // Latency is measured from when the call gets a semaphore slot. The
+    // breaker is checked here, right before sending, so calls that queued
+    // while Zenoti went down don't pile onto it.
+    const send = async () => {
+      if (!this.circuitBreaker.canRequest()) {
+        circuitRejections.inc({ endpoint });
+        throw new ZenotiApiError('Zenoti is temporarily unavailable (circuit open)', {
+          method,
+          path,
+          code: 'CIRCUIT_OPEN',
+          retryAfterMs: this.circuitBreaker.retryAfterMs()
+        });
+      }
+      if (context) {
+        context.zenotiCalls = (context.zenotiCalls || 0) + 1;
+      }
+      const endTimer = zenotiRequestDuration.startTimer({ endpoint, method });
+      try {
+        return await axios.request(config);
+      } finally {
+        endTimer();
+      }
+    };
+
+    let transientRetries = 0;
+    let retryCount = 0; // 429 retries
+    for (;;) {
+      const startedAt = Date.now();
+      try {
+        await this.rateLimiter.acquire(priority);
+        log.debug({ method, path, params, payload: data, priority }, 'Zenoti request');
+        const response = await this.semaphore.run(send);
+        this.circuitBreaker.onSuccess();
+        zenotiRequests.inc({ endpoint, method, status: response.status });
+        log.debug({ method, path, status: response.status, durationMs: Date.now() - startedAt }, 'Zenoti response');
+        return response.data;
+      } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN') {
+          log.warn({ method, path, retryAfterMs: error.retryAfterMs }, 'Zenoti circuit open, request refused');
+          throw error;
+        }
+
+        zenotiRequests.inc({
+          endpoint,
+          method,
+          status: error.response?.status || (error.code === 'ECONNABORTED' ? 'timeout' : 'network_error')
+        });
+
+        if (isUpstreamFailure(error)) {
+          this.circuitBreaker.onFailure();
+        } else {
+          this.circuitBreaker.onSuccess();
+        }
+
+        if (isTransientFailure(error) && transientRetries < retries) {
+          const delayMs = this.transientRetryDelay(transientRetries);
+          transientRetries++;
+          log.warn({
+            method,
+            path,
+            status: error.response?.status || null,
+            code: error.code || null,
+            delayMs,
+            attempt: transientRetries,
+            maxRetries: retries
+          }, 'Transient Zenoti failure, retrying');
+          zenotiRetries.inc({ endpoint, reason: retryReason(error) });
+          await sleep(delayMs);
+          continue;
+        }
+
+        if (error.response?.status !== 429) {
+          const normalized = normalizeError(error, { method, path });
+          log.warn({
+            method,
+            path,
+            status: normalized.status,
+            code: normalized.code,
+            durationMs: Date.now() - startedAt,
+            response: normalized.data
+          }, 'Zenoti request failed');
+          throw normalized;
+        }
+
+        // Honour retry-after when Zenoti sends it, otherwise back off progressively
+        const retryAfter = error.response.headers?.['retry-after'];
+        const retryAfterMs = retryAfter ? parseInt(retryAfter) * 1000 : (this.retryDelays[retryCount] || 10000);
+        this.rateLimiter.onRateLimited({ retryAfterMs });
+
+        if (retryCount >= this.maxRetries) {
+          log.error({ method, path, retries: this.maxRetries }, 'Max retries exceeded for rate limited request');
+          throw new ZenotiApiError('Rate limit exceeded. Please try again later.', { method, path, code: 'RATE_LIMITED' });
+        }
+
+        log.warn({ method, path, retryAfterMs, attempt: retryCount + 1, maxRetries: this.maxRetries }, 'Rate limited, retrying');
+        zenotiRetries.inc({ endpoint, reason: 'rate_limited' });
+        retryCount++;
+      }
+    }
+  }
+
+  // Centers
+  listCenters({ timeoutMs, retries } = {}) {
+    return this.request('GET', '/centers', { timeoutMs, retries });
+  }
+
+  // Catalog
+  getCategories(centerId, { showInCatalog = true } = {}) {
+    return this.request('GET', `/centers/${centerId}/categories`, {
+      params: { show_in_catalog: String(showInCatalog) }
+    });
+  }
+
+  getServices(centerId, { page = 1, size = 10, categoryId = null, catalogEnabled = true, expand = 'add_ons_info' } = {}) {
+    return this.request('GET', `/centers/${centerId}/services`, {
+      params: {
+        catalog_enabled: String(catalogEnabled),
+        page: String(page),
+        size: String(size),
+        expand,
+        category_id: categoryId || undefined
+      }
+    });
+  }
+
+  // Guests
+  searchGuests({ centerId = 'null', email, phone } = {}) {
+    return this.request('GET', '/guests/search', {
+      params: {
+        center_id: centerId,
+        email: email || undefined,
+        phone: phone || undefined
+      }
+    });
+  }
+
+  createGuest(payload) {
+    return this.request('POST', '/guests', { data: payload });
+  }
+
+  updateGuest(guestId, payload) {
+    return this.request('PUT', `/guests/${guestId}`, { data: payload });
+  }
+
+  // Bookings
+  createBooking(payload, { doubleBookingEnabled = false, priority, idempotent = false } = {}) {
+    return this.request('POST', '/bookings', {
+      params: { is_double_booking_enabled: String(doubleBookingEnabled) },
+      data: payload,
+      priority,
+      idempotent
+    });
+  }
+
+  getBooking(bookingId) {
+    return this.request('GET', `/bookings/${bookingId}`);
+  }
+
+  getSlots(bookingId, { checkFutureDayAvailability = false, priority } = {}) {
+    return this.request('GET', `/bookings/${bookingId}/slots`, {
+      params: checkFutureDayAvailability ? { check_future_day_availability: 'true' } : undefined,
+      priority
+    });
+  }
+
+  // Reserve, cancel and confirm are the guest's checkout: they go ahead of
+  // availability lookups when the rate limiter is backed up. Releasing a
+  // reservation twice is harmless, so cancel may be retried.
+  reserveSlot(bookingId, payload) {
+    return this.request('POST', `/bookings/${bookingId}/slots/reserve`, { data: payload, priority: 'interactive' });
+  }
+
+  cancelReservation(bookingId) {
+    return this.request('DELETE', `/bookings/${bookingId}/slots/reserve`, { priority: 'interactive', idempotent: true });
+  }
+
+  confirmBooking(bookingId, payload = {}) {
+    return this.request('POST', `/bookings/${bookingId}/slots/confirm`, { data: payload, priority: 'interactive' });
+  }
+}
+
+export { ZenotiClient, ZenotiApiError };
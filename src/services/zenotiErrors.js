@@ -0,0 +1,109 @@
+// Known Zenoti failures and the error codes clients see for them. Zenoti is
+// inconsistent about where it puts the reason (`code`, `Message`,
+// `error.message`), so each entry matches on upstream codes and/or message
+// patterns. Upstream codes are checked before message patterns and the first
+// matching entry wins; anything unmatched falls back to a generic code for the
+// upstream status.
+const ZENOTI_ERROR_MAPPINGS = [
+  {
+    code: 'SLOT_UNAVAILABLE',
+    status: 409,
+    message: 'The selected time slot is no longer available. Please pick another slot.',
+    upstreamCodes: ['SlotNotAvailable', 'SlotAlreadyReserved', 'SlotBooked'],
+    patterns: [/slot .*not available/i, /slot .*(already (taken|booked|reserved)|is taken)/i, /no longer available/i],
+    field: 'slot_time'
+  },
+  {
+    code: 'INVALID_SERVICE',
+    status: 400,
+    message: 'One or more services are not offered at this center.',
+    upstreamCodes: ['InvalidService', 'ServiceNotFound', 'InvalidItem'],
+    patterns: [/invalid service/i, /service .*(not found|does not exist|not available)/i, /invalid item/i],
+    field: 'service_ids'
+  },
+  {
+    code: 'GUEST_EXISTS',
+    status: 409,
+    message: 'A guest with these details already exists.',
+    upstreamCodes: ['GuestAlreadyExists', 'DuplicateGuest'],
+    patterns: [/guest .*already exists/i, /already (registered|exists)/i, /duplicate guest/i],
+    field: 'email'
+  },
+  {
+    code: 'RESERVATION_REQUIRED',
+    status: 409,
+    message: 'Reserve a slot before confirming the booking.',
+    upstreamCodes: ['NoReservation'],
+    patterns: [/must be reserved/i]
+  }
+];
+
+const upstreamMessage = (data) => {
+  if (!data || typeof data !== 'object') {
+    return typeof data === 'string' ? data : null;
+  }
+  return data.Message || data.message || data.error?.message || data.Error?.Message || null;
+};
+
+const upstreamCode = (data) => (data && typeof data === 'object'
+  ? data.code || data.Code || data.error?.code || null
+  : null);
+
+// What clients may see of the Zenoti response: status, Zenoti's own code and
+// a length-capped message. Never the raw payload, headers or request body.
+const sanitizeUpstream = (error) => {
+  const message = upstreamMessage(error.data);
+  return {
+    status: error.status,
+    code: upstreamCode(error.data),
+    message: message ? String(message).slice(0, 200) : null
+  };
+};
+
+// Generic codes when no mapping matches
+const fallbackFor = (error) => {
+  if (error.code === 'RATE_LIMITED' || error.status === 429) {
+    return { code: 'RATE_LIMITED', status: 503, message: 'Rate limit exceeded. Please try again later.', retryable: true };
+  }
+  if (error.code === 'CIRCUIT_OPEN') {
+    return { code: 'UPSTREAM_CIRCUIT_OPEN', status: 503, message: 'Zenoti is temporarily unavailable. Please try again shortly.', retryable: true };
+  }
+  if (!error.status) {
+    return error.code === 'ECONNABORTED'
+      ? { code: 'UPSTREAM_TIMEOUT', status: 504, message: 'Zenoti did not respond in time', retryable: true }
+      : { code: 'UPSTREAM_UNAVAILABLE', status: 502, message: 'Zenoti could not be reached', retryable: true };
+  }
+  if (error.status === 401 || error.status === 403) {
+    return { code: 'UPSTREAM_AUTH_FAILED', status: 502, message: 'Zenoti rejected our credentials', retryable: false };
+  }
+  if (error.status === 404) {
+    return { code: 'NOT_FOUND', status: 404, message: 'The requested Zenoti record was not found', retryable: false };
+  }
+  if (error.status >= 500) {
+    return { code: 'UPSTREAM_ERROR', status: 502, message: 'Zenoti failed to process the request', retryable: true };
+  }
+  return { code: 'UPSTREAM_REJECTED', status: 400, message: 'Zenoti rejected the request', retryable: false };
+};
+
+const findMapping = (error) => {
+  const code = upstreamCode(error.data);
+  const message = upstreamMessage(error.data) || '';
+  return ZENOTI_ERROR_MAPPINGS.find(mapping => code && mapping.upstreamCodes.includes(code))
+    || ZENOTI_ERROR_MAPPINGS.find(mapping => mapping.patterns.some(pattern => pattern.test(message)))
+    || null;
+};
+
+// ZenotiApiError -> { status, code, message, field, retryable, details }
+const mapZenotiError = (error) => {
+  const mapping = error.status && error.status < 500 ? findMapping(error) : null;
+  const { code, status, message, retryable = false, field = null } = mapping || fallbackFor(error);
+
+  let details = error.status ? { upstream: sanitizeUpstream(error) } : null;
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    details = { ...details, retry_after_seconds: Math.ceil(error.retryAfterMs / 1000) };
+  }
+
+  return { status, code, message, field, retryable, details };
+};
+
+export { ZENOTI_ERROR_MAPPINGS, mapZenotiError, sanitizeUpstream };
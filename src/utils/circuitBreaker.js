@@ -0,0 +1,87 @@
+// Circuit breaker for an upstream that may go down. After `failureThreshold`
+// consecutive failures the circuit opens and calls are refused straight away
+// for `cooldownMs`. Then one trial call is let through (half-open): success
+// closes the circuit, failure opens it for another cooldown.
+const createCircuitBreaker = ({
+  failureThreshold = 5,
+  cooldownMs = 30 * 1000,
+  now = () => Date.now()
+} = {}) => {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let openedCount = 0;
+  let rejectedCount = 0;
+
+  const refresh = () => {
+    if (state === 'open' && now() - openedAt >= cooldownMs) {
+      state = 'half_open';
+      trialInFlight = false;
+    }
+  };
+
+  const open = () => {
+    state = 'open';
+    openedAt = now();
+    openedCount++;
+    trialInFlight = false;
+  };
+
+  // Whether a call may go out now. In half-open only the first caller gets
+  // through; everyone else is refused until that trial settles.
+  const canRequest = () => {
+    refresh();
+    if (state === 'closed' || (state === 'half_open' && !trialInFlight)) {
+      trialInFlight = state === 'half_open';
+      return true;
+    }
+    rejectedCount++;
+    return false;
+  };
+
+  const onSuccess = () => {
+    state = 'closed';
+    consecutiveFailures = 0;
+    openedAt = null;
+    trialInFlight = false;
+  };
+
+  const onFailure = () => {
+    consecutiveFailures++;
+    if (state === 'half_open' || (state === 'closed' && consecutiveFailures >= failureThreshold)) {
+      open();
+    }
+  };
+
+  // Milliseconds until the next trial call is allowed (0 unless open)
+  const retryAfterMs = () => {
+    refresh();
+    return state === 'open' ? Math.max(0, openedAt + cooldownMs - now()) : 0;
+  };
+
+  const reset = () => {
+    state = 'closed';
+    consecutiveFailures = 0;
+    openedAt = null;
+    trialInFlight = false;
+  };
+
+  const getStats = () => {
+    refresh();
+    return {
+      state,
+      consecutive_failures: consecutiveFailures,
+      failure_threshold: failureThreshold,
+      cooldown_ms: cooldownMs,
+      opened_at: openedAt === null ? null : new Date(openedAt).toISOString(),
+      retry_after_ms: retryAfterMs(),
+      opened_total: openedCount,
+      rejected_total: rejectedCount
+    };
+  };
+
+  return { canRequest, onSuccess, onFailure, retryAfterMs, reset, getStats };
+};
+
+export { createCircuitBreaker };
@@ -0,0 +1,46 @@
+// Concurrency helpers
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// `onWait(ms)` is called with how long each task queued before it started
+const createSemaphore = (maxConcurrency = 8, { onWait = null } = {}) => {
+  let activeCount = 0;
+  const queue = [];
+
+  const runNext = () => {
+    if (activeCount >= maxConcurrency) {
+      return;
+    }
+    const nextTask = queue.shift();
+    if (!nextTask) {
+      return;
+    }
+    activeCount++;
+    nextTask()
+      .finally(() => {
+        activeCount--;
+        runNext();
+      });
+  };
+
+  const run = (task) => {
+    return new Promise((resolve, reject) => {
+      const queuedAt = Date.now();
+      const execute = () => {
+        onWait?.(Date.now() - queuedAt);
+        return Promise.resolve().then(task).then(resolve).catch(reject);
+      };
+      queue.push(execute);
+      runNext();
+    });
+  };
+
+  const getStats = () => ({
+    active: activeCount,
+    queued: queue.length,
+    max_concurrency: maxConcurrency
+  });
+
+  return { run, getStats };
+};
+
+export { sleep, createSemaphore };
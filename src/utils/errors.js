@@ -0,0 +1,96 @@
+import { ZenotiApiError } from '../services/zenotiClient.js';
+import { mapZenotiError } from '../services/zenotiErrors.js';
+import { logger } from './logger.js';
+
+// Default codes for errors we raise ourselves, by HTTP status
+const CODES_BY_STATUS = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'EXPIRED',
+  422: 'UNPROCESSABLE',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// An error a route raises on purpose. `code` defaults from the status;
+// `field` names the offending input when there is exactly one.
+class ApiValidationError extends Error {
+  constructor(message, statusCode = 400, details = null, { code = null, field = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ApiValidationError';
+    this.statusCode = statusCode;
+    this.details = details;
+    this.code = code || CODES_BY_STATUS[statusCode] || 'ERROR';
+    this.field = field;
+    this.retryable = retryable;
+  }
+}
+
+// { status, body } for any error thrown by a route. Zenoti failures go
+// through the mapping table in src/services/zenotiErrors.js so raw upstream
+// payloads never reach clients; anything unexpected gets a generic message
+// (the error handler logs the real one).
+const toErrorResponse = (error, { requestId = null } = {}) => {
+  let status = 500;
+  let fields = {
+    code: 'INTERNAL_ERROR',
+    message: 'Internal server error',
+    field: null,
+    retryable: false,
+    details: null
+  };
+
+  if (error instanceof ApiValidationError) {
+    status = error.statusCode;
+    fields = {
+      code: error.code,
+      message: error.message,
+      field: error.field,
+      retryable: error.retryable,
+      details: error.details ?? null
+    };
+  } else if (error instanceof ZenotiApiError) {
+    ({ status, ...fields } = mapZenotiError(error));
+  } else if (error?.type === 'entity.parse.failed') {
+    // Malformed JSON body rejected by express.json()
+    status = 400;
+    fields = { ...fields, code: 'INVALID_JSON', message: 'Request body is not valid JSON' };
+  }
+
+  const field = fields.field ?? (fields.details?.errors?.length === 1 ? fields.details.errors[0].field : null);
+
+  return {
+    status,
+    body: {
+      success: false,
+      error: fields.message,
+      code: fields.code,
+      message: fields.message,
+      field: field ?? null,
+      retryable: fields.retryable,
+      requestId,
+      details: fields.details
+    }
+  };
+};
+
+// Express error handler: the last middleware registered on the app
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    next(error);
+    return;
+  }
+
+  const { status, body } = toErrorResponse(error, { requestId: req.id || null });
+  if (status >= 500) {
+    logger.error({ err: error, code: body.code, method: req.method, path: req.path }, 'Request failed');
+  }
+  if (body.details?.retry_after_seconds !== undefined) {
+    res.set('Retry-After', String(body.details.retry_after_seconds));
+  }
+  res.status(status).json(body);
+};
+
+export { ApiValidationError, toErrorResponse, errorHandler };
@@ -0,0 +1,83 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import pino from 'pino';
+
+// Per-request context ({ requestId, zenotiCalls }) that follows the request
+// through every await, so log lines and Zenoti calls can pick it up without
+// threading `req` through each helper.
+const requestContext = new AsyncLocalStorage();
+
+const runWithRequestContext = (context, fn) => requestContext.run(context, fn);
+
+const getRequestContext = () => requestContext.getStore() || null;
+
+const getRequestId = () => getRequestContext()?.requestId || null;
+
+const REDACTED = '[REDACTED]';
+
+// Keys that hold guest PII wherever they appear
+const PII_KEYS = new Set([
+  'email', 'phone', 'mobile_phone', 'home_phone', 'work_phone', 'phone_number',
+  'first_name', 'last_name', 'middle_name', 'firstName', 'lastName', 'guest_name', 'full_name'
+]);
+
+// Keys that are only PII inside a guest record (`name` is also a provider or
+// service name elsewhere)
+const GUEST_KEYS = new Set(['guest', 'guests', 'personal_info']);
+const GUEST_ONLY_PII_KEYS = new Set(['name', 'display_name']);
+
+const EMAIL_IN_TEXT = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[A-Za-z]{2,}/g;
+
+const redactText = (text) => text.replace(EMAIL_IN_TEXT, REDACTED);
+
+// Copy of `value` with guest emails, phones and names masked. Emails are also
+// masked inside free text (error messages, URLs).
+const redact = (value, { inGuest = false, depth = 0 } = {}) => {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (!value || typeof value !== 'object' || depth > 8) {
+    return value;
+  }
+  if (value instanceof Error) {
+    // Left for the `err` serializer, which redacts the serialized form
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, { inGuest, depth: depth + 1 }));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => {
+    if (entry !== null && entry !== undefined && entry !== '' && (PII_KEYS.has(key) || (inGuest && GUEST_ONLY_PII_KEYS.has(key)))) {
+      return [key, REDACTED];
+    }
+    return [key, redact(entry, { inGuest: inGuest || GUEST_KEYS.has(key), depth: depth + 1 })];
+  }));
+};
+
+const DEFAULT_LEVEL = process.env.NODE_ENV === 'test' ? 'silent' : 'info';
+
+// JSON lines on stdout. LOG_LEVEL picks the threshold
+// (trace, debug, info, warn, error, fatal, silent).
+const logger = pino({
+  level: process.env.LOG_LEVEL || DEFAULT_LEVEL,
+  base: { service: 'zenoti-api-layer' },
+  timestamp: pino.stdTimeFunctions.isoTime,
+  serializers: {
+    err: (error) => redact(pino.stdSerializers.err(error))
+  },
+  formatters: {
+    level: (label) => ({ level: label }),
+    log: (object) => redact(object)
+  },
+  mixin: () => {
+    const requestId = getRequestId();
+    return requestId ? { requestId } : {};
+  },
+  hooks: {
+    logMethod(args, method) {
+      method.apply(this, args.map(arg => (typeof arg === 'string' ? redactText(arg) : arg)));
+    }
+  }
+});
+
+export { logger, redact, runWithRequestContext, getRequestContext, getRequestId };
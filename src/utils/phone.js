@@ -0,0 +1,48 @@
+import { parsePhoneNumberFromString, isSupportedCountry } from 'libphonenumber-js';
+
+const DEFAULT_COUNTRY = 'US';
+
+// Parse a guest phone number typed in any common format ("(248) 555-0199",
+// "248.555.0199", "+1 416 555 0123", "+44 20 7946 0958"). Numbers without a
+// leading "+" are read as belonging to `country` (ISO 3166 alpha-2).
+// Returns { phone } on success or { errors: [{ field, message }] }.
+const parsePhone = (input, { country, defaultCountry = DEFAULT_COUNTRY, field = 'phone', countryField = 'phone_country' } = {}) => {
+  const raw = input === undefined || input === null ? '' : String(input).trim();
+  if (!raw) {
+    return { errors: [{ field, message: 'phone number is required' }] };
+  }
+
+  const regionCode = String(country || defaultCountry).trim().toUpperCase();
+  if (!isSupportedCountry(regionCode)) {
+    return {
+      errors: [{ field: countryField, message: `${countryField} must be an ISO 3166 country code such as US or CA` }]
+    };
+  }
+
+  if (!/\d/.test(raw)) {
+    return { errors: [{ field, message: 'phone number must contain digits' }] };
+  }
+
+  if (/[a-z]/i.test(raw.replace(/\s*(?:ext\.?|x)\s*\d+$/i, ''))) {
+    return { errors: [{ field, message: 'phone number may only contain digits, spaces and + ( ) - .' }] };
+  }
+
+  const parsed = parsePhoneNumberFromString(raw, regionCode);
+  if (!parsed || !parsed.isValid()) {
+    const message = raw.startsWith('+')
+      ? 'phone number is not a valid international number'
+      : `phone number is not valid for ${regionCode}; include the country code (e.g. +44 ...) for numbers from other countries`;
+    return { errors: [{ field, message }] };
+  }
+
+  return {
+    phone: {
+      e164: parsed.number,
+      country: parsed.country || regionCode,
+      country_code: `+${parsed.countryCallingCode}`,
+      number: parsed.nationalNumber
+    }
+  };
+};
+
+export { parsePhone, DEFAULT_COUNTRY };
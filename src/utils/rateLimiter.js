@@ -0,0 +1,129 @@
+// Token bucket shared by every Zenoti call. Each call takes one token; tokens
+// refill at `rate` per second up to `burst`. The rate adapts to Zenoti:
+//   - a 429 halves the rate (down to `minRatePerSecond`) and pauses every
+//     call until retry-after has passed,
+//   - each `recoveryIntervalMs` without a 429 adds back a tenth of the
+//     configured rate.
+// Waiting calls are served by priority: interactive (reserve, confirm),
+// then normal, then probe (availability fan-out).
+const PRIORITIES = ['interactive', 'normal', 'probe'];
+
+const createRateLimiter = ({
+  ratePerSecond = 10,
+  burst = ratePerSecond,
+  minRatePerSecond = 1,
+  recoveryIntervalMs = 10 * 1000,
+  defaultPauseMs = 1000,
+  now = () => Date.now()
+} = {}) => {
+  const queues = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+  let rate = ratePerSecond;
+  let tokens = burst;
+  let lastRefillAt = now();
+  let lastSlowdownAt = null;
+  let pausedUntil = 0;
+  let timer = null;
+  let rateLimitedCount = 0;
+  let lastRateLimitedAt = null;
+  let granted = 0;
+
+  const refill = () => {
+    const current = now();
+    tokens = Math.min(burst, tokens + ((current - lastRefillAt) / 1000) * rate);
+    lastRefillAt = current;
+
+    // Additive recovery after a quiet period
+    if (rate < ratePerSecond && lastSlowdownAt !== null && current - lastSlowdownAt >= recoveryIntervalMs) {
+      rate = Math.min(ratePerSecond, rate + ratePerSecond / 10);
+      lastSlowdownAt = rate < ratePerSecond ? current : null;
+    }
+  };
+
+  const nextWaiter = () => {
+    const priority = PRIORITIES.find(name => queues[name].length > 0);
+    return priority ? queues[priority].shift() : null;
+  };
+
+  const hasWaiters = () => PRIORITIES.some(priority => queues[priority].length > 0);
+
+  const schedule = (delayMs) => {
+    if (timer) {
+      return;
+    }
+    timer = setTimeout(() => {
+      timer = null;
+      drain();
+    }, Math.max(0, Math.ceil(delayMs)));
+  };
+
+  const drain = () => {
+    const current = now();
+    if (current < pausedUntil) {
+      if (hasWaiters()) {
+        schedule(pausedUntil - current);
+      }
+      return;
+    }
+
+    refill();
+    while (tokens >= 1 && hasWaiters()) {
+      tokens -= 1;
+      granted++;
+      nextWaiter()();
+    }
+
+    if (hasWaiters()) {
+      schedule(((1 - tokens) / rate) * 1000);
+    }
+  };
+
+  // Resolves once the call may go out
+  const acquire = (priority = 'normal') => new Promise(resolve => {
+    const queue = queues[priority] || queues.normal;
+    queue.push(resolve);
+    drain();
+  });
+
+  // Zenoti answered 429: slow everyone down, not just the caller
+  const onRateLimited = ({ retryAfterMs = null } = {}) => {
+    refill();
+    const current = now();
+    rateLimitedCount++;
+    lastRateLimitedAt = current;
+    rate = Math.max(minRatePerSecond, rate / 2);
+    lastSlowdownAt = current;
+    tokens = 0;
+    pausedUntil = Math.max(pausedUntil, current + (retryAfterMs ?? defaultPauseMs));
+  };
+
+  const reset = () => {
+    rate = ratePerSecond;
+    tokens = burst;
+    lastRefillAt = now();
+    lastSlowdownAt = null;
+    pausedUntil = 0;
+    drain();
+  };
+
+  const getStats = () => {
+    refill();
+    const current = now();
+    return {
+      rate_per_second: Number(rate.toFixed(2)),
+      max_rate_per_second: ratePerSecond,
+      min_rate_per_second: minRatePerSecond,
+      burst,
+      tokens_available: Math.floor(tokens),
+      paused: current < pausedUntil,
+      paused_until: current < pausedUntil ? new Date(pausedUntil).toISOString() : null,
+      queued: Object.fromEntries(PRIORITIES.map(priority => [priority, queues[priority].length])),
+      granted_total: granted,
+      rate_limited_total: rateLimitedCount,
+      last_rate_limited_at: lastRateLimitedAt === null ? null : new Date(lastRateLimitedAt).toISOString()
+    };
+  };
+
+  return { acquire, onRateLimited, reset, getStats };
+};
+
+export { createRateLimiter, PRIORITIES };
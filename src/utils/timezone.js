@@ -0,0 +1,101 @@
+// Center-local times. Zenoti reads and writes slot times as the center's wall
+// clock ("2030-01-15T09:00:00", no offset); clients may also send instants
+// with an offset. These helpers convert between the two for an IANA zone
+// such as America/Detroit using Intl, so DST is handled by the runtime.
+
+const LOCAL_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false;
+  }
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// The wall clock in `timeZone` at an instant: "2030-01-15T09:00:00"
+const wallClock = (date, timeZone) => {
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+// Minutes the zone is ahead of UTC at an instant (-300 for EST)
+const offsetMinutes = (date, timeZone) => {
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((Date.parse(`${wallClock(date, timeZone)}Z`) - wholeSeconds) / 60000);
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+const todayInZone = (timeZone, now = new Date()) => wallClock(now, timeZone).split('T')[0];
+
+// Center-local "2030-01-15T09:00[:00]" -> "2030-01-15T09:00:00-05:00".
+// Returns null for anything unparseable or already carrying an offset.
+const localTimeToInstant = (localTime, timeZone) => {
+  const match = LOCAL_TIME_PATTERN.exec(String(localTime ?? ''));
+  if (!match || match[2] === undefined || match[5]) {
+    return null;
+  }
+  const requested = `${match[1]}T${match[2]}:${match[3]}:${match[4] ?? '00'}`;
+  const asUtc = Date.parse(`${requested}Z`);
+  if (Number.isNaN(asUtc) || new Date(asUtc).toISOString().slice(0, 19) !== requested) {
+    return null;
+  }
+
+  // A DST change within a day either side gives two candidate offsets. A time
+  // repeated by the change resolves to its first occurrence; one skipped by
+  // it is read with the offset from before the change, landing after the jump.
+  const dayMs = 24 * 60 * 60 * 1000;
+  const offsetBefore = offsetMinutes(new Date(asUtc - dayMs), timeZone);
+  const offsetAfter = offsetMinutes(new Date(asUtc + dayMs), timeZone);
+  const instant = [offsetBefore, offsetAfter]
+    .map(offset => new Date(asUtc - offset * 60000))
+    .sort((a, b) => a - b)
+    .find(candidate => wallClock(candidate, timeZone) === requested)
+    ?? new Date(asUtc - offsetBefore * 60000);
+  return `${wallClock(instant, timeZone)}${formatOffset(offsetMinutes(instant, timeZone))}`;
+};
+
+// A client-supplied date or date-time -> the center's wall clock. Values
+// with an offset ("...Z", "...-05:00") are converted; values without one are
+// already center-local and come back unchanged. Returns null when unparseable.
+const instantToLocalTime = (value, timeZone) => {
+  const match = LOCAL_TIME_PATTERN.exec(String(value ?? ''));
+  if (!match) {
+    return null;
+  }
+  if (!match[5]) {
+    const day = new Date(`${match[1]}T00:00:00Z`);
+    return !Number.isNaN(day.getTime()) && day.toISOString().startsWith(match[1]) ? value : null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : wallClock(date, timeZone);
+};
+
+export { isValidTimeZone, todayInZone, localTimeToInstant, instantToLocalTime };
@@ -0,0 +1,398 @@
+// Route definitions keyed by "METHOD /express/path": a `summary` for the docs
+// plus JSON Schemas for the route's `params`, `query` and `body` where it takes
+// input. Query strings and path params arrive as strings and are coerced
+// before validation.
+//
+// Schemas only check shape (required fields, types, formats). Rules that need
+// other data — provider lookups, phone numbers per country, priority
+// conflicts — stay in the handlers.
+
+const id = { type: 'string', minLength: 1 };
+const idList = { type: 'array', minItems: 1, items: id };
+const uuid = {
+  type: 'string',
+  pattern: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$',
+  description: 'a UUID'
+};
+const zipcode = { type: 'string', pattern: '^\\d{5}$', description: 'a 5-digit zipcode' };
+const booleanFlag = { type: 'string', enum: ['true', 'false'] };
+// Comma-separated center IDs, e.g. ?centerIds=a,b
+const centerIdsQuery = { type: 'string', minLength: 1 };
+// YYYY-MM-DD, optionally followed by a time
+const date = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}(T.*)?$', description: 'a date in YYYY-MM-DD format' };
+// Center-local slot time as Zenoti returns it, e.g. 2030-01-15T09:00:00
+const slotTime = {
+  type: 'string',
+  pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2})?',
+  description: 'a center-local date-time such as 2030-01-15T09:00:00, or an instant with an offset such as 2030-01-15T09:00:00-05:00'
+};
+const dateOnly = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'a date in YYYY-MM-DD format' };
+// HH:MM on a 24-hour clock; 24:00 ends a window at midnight
+const timeOfDay = { type: 'string', pattern: '^(([01]\\d|2[0-3]):[0-5]\\d|24:00)$', description: 'a time such as 09:00 or 17:30' };
+const page = { type: 'integer', minimum: 1 };
+const limit = { type: 'integer', minimum: 1, maximum: 100 };
+
+const provider = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    provider_id: uuid,
+    zipCodes: { type: 'array', items: zipcode },
+    imageUrl: { type: ['string', 'null'], pattern: '^https?://', description: 'an http(s) URL' },
+    status: { type: 'string', enum: ['active', 'inactive'] },
+    priority: { type: 'integer', minimum: 1 },
+    timezone: { type: ['string', 'null'], minLength: 1, description: 'an IANA time zone such as America/Detroit' }
+  },
+  additionalProperties: false
+};
+
+const guestFields = {
+  name: { type: 'string' },
+  first_name: { type: 'string' },
+  last_name: { type: 'string' },
+  email: { type: 'string', minLength: 1 },
+  phone: { type: 'string', minLength: 1 },
+  phone_country: { type: 'string', pattern: '^[A-Za-z]{2}$', description: 'a 2-letter ISO country code such as US or CA' }
+};
+
+const guest = {
+  type: 'object',
+  properties: { ...guestFields, provider_id: id },
+  required: ['email', 'phone']
+};
+
+const unifiedSlotsBody = {
+  type: 'object',
+  properties: {
+    centers: idList,
+    services: idList,
+    weeks: { type: 'integer', minimum: 1, maximum: 5 },
+    start_date: dateOnly,
+    end_date: dateOnly,
+    days_of_week: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: 'string', enum: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+    },
+    time_windows: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: { start: timeOfDay, end: timeOfDay },
+        additionalProperties: false
+      }
+    },
+    bucket: { enum: [15, 30, 60, 'daypart'], description: 'slot bucket size in minutes, or daypart (morning/afternoon/evening)' },
+    merge: { type: 'string', enum: ['none', 'any_provider'] }
+  },
+  required: ['centers', 'services']
+};
+
+const providerIdParams = {
+  type: 'object',
+  properties: { providerId: id },
+  required: ['providerId']
+};
+
+const bookingIdParams = {
+  type: 'object',
+  properties: { bookingId: id },
+  required: ['bookingId']
+};
+
+const requestSchemas = {
+  'GET /api/providers': {
+    summary: 'List all providers'
+  },
+  'GET /api/providers/zipcode/:zipcode': {
+    summary: 'Active providers serving a zipcode',
+    params: { type: 'object', properties: { zipcode }, required: ['zipcode'] }
+  },
+  'GET /api/providers/:providerId': {
+    summary: 'Get one provider',
+    params: providerIdParams
+  },
+  'POST /api/providers': {
+    summary: 'Add a provider',
+    body: { ...provider, required: ['name', 'provider_id', 'zipCodes', 'status', 'priority'] }
+  },
+  'PUT /api/providers/:providerId': {
+    summary: 'Replace a provider',
+    params: providerIdParams,
+    body: { ...provider, required: ['name', 'zipCodes', 'status', 'priority'] }
+  },
+  'PATCH /api/providers/:providerId': {
+    summary: 'Update some fields of a provider',
+    params: providerIdParams,
+    body: { ...provider, minProperties: 1 }
+  },
+  'DELETE /api/providers/:providerId': {
+    summary: 'Remove a provider',
+    params: providerIdParams
+  },
+  'GET /api/coverage': {
+    summary: 'Zipcode coverage report',
+    query: {
+      type: 'object',
+      properties: {
+        include_inactive: booleanFlag,
+        gap_window: { type: 'integer', minimum: 0, maximum: 50 }
+      }
+    }
+  },
+  'GET /api/address/suggestions': {
+    summary: 'Address suggestions from Google Places',
+    query: {
+      type: 'object',
+      properties: { input: { type: 'string', minLength: 3 } },
+      required: ['input']
+    }
+  },
+  'POST /api/address/validate': {
+    summary: 'Full address details for a Google place',
+    body: {
+      type: 'object',
+      properties: { placeId: id },
+      required: ['placeId']
+    }
+  },
+  'POST /api/address/validate-zipcode': {
+    summary: 'Providers serving a place or address',
+    body: {
+      type: 'object',
+      properties: {
+        placeId: id,
+        address: {
+          type: 'object',
+          properties: { zipcode: { type: 'string' } },
+          required: ['zipcode']
+        }
+      }
+    }
+  },
+  'POST /api/address/centers': {
+    summary: 'Centers serving an address',
+    body: {
+      type: 'object',
+      properties: {
+        address: {
+          type: 'object',
+          properties: { zipcode: { type: 'string', minLength: 1 } },
+          required: ['zipcode']
+        }
+      },
+      required: ['address']
+    }
+  },
+  'POST /api/bookings': {
+    summary: 'Create guest-less bookings for one or more centers',
+    body: {
+      type: 'object',
+      properties: {
+        centerId: id,
+        centers: idList,
+        date,
+        serviceId: id,
+        serviceIds: idList
+      },
+      required: ['date']
+    }
+  },
+  'GET /api/bookings/:bookingId/slots': {
+    summary: 'Available slots for a booking',
+    params: bookingIdParams,
+    query: {
+      type: 'object',
+      properties: { check_future_day_availability: booleanFlag }
+    }
+  },
+  'POST /api/slots/unified': {
+    summary: 'Availability across centers for the coming weeks',
+    body: unifiedSlotsBody
+  },
+  'POST /api/slots/unified/stream': {
+    summary: 'Availability across centers, streamed as Server-Sent Events',
+    eventStream: true,
+    body: unifiedSlotsBody
+  },
+  'GET /api/categories': {
+    summary: 'Categories with their services across centers',
+    query: {
+      type: 'object',
+      properties: { centerIds: centerIdsQuery, includeAddOns: booleanFlag },
+      required: ['centerIds']
+    }
+  },
+  'GET /api/services': {
+    summary: 'Services across centers (paginated)',
+    query: {
+      type: 'object',
+      properties: { centerIds: centerIdsQuery, page, limit }
+    }
+  },
+  'POST /api/services/common': {
+    summary: 'Services offered by every given center (paginated)',
+    body: {
+      type: 'object',
+      properties: { centerIds: idList, page, limit },
+      required: ['centerIds']
+    }
+  },
+  'POST /api/services/calculate-price': {
+    summary: 'Total price and duration for services',
+    body: {
+      type: 'object',
+      properties: { serviceIds: idList, centerIds: idList },
+      required: ['serviceIds']
+    }
+  },
+  'GET /api/services/categories': {
+    summary: 'Service categories',
+    query: {
+      type: 'object',
+      properties: { centerIds: centerIdsQuery }
+    }
+  },
+  'GET /api/services/category/:category': {
+    summary: 'Services in one category (paginated)',
+    params: {
+      type: 'object',
+      properties: { category: id },
+      required: ['category']
+    },
+    query: {
+      type: 'object',
+      properties: { centerIds: centerIdsQuery, page, limit }
+    }
+  },
+  'POST /api/pricing/quote': {
+    summary: 'Price a cart at one or more centers',
+    body: {
+      type: 'object',
+      properties: {
+        serviceIds: idList,
+        addOnIds: { type: 'array', items: id },
+        centerId: id,
+        centerIds: idList
+      },
+      required: ['serviceIds']
+    }
+  },
+  'GET /api/stats': {
+    summary: 'Provider and coverage statistics'
+  },
+  'POST /api/guests': {
+    summary: 'Create a Zenoti guest',
+    body: { ...guest, required: ['email', 'phone', 'provider_id'] }
+  },
+  'POST /api/guests/upsert': {
+    summary: 'Find or create a Zenoti guest',
+    body: { ...guest, required: ['email', 'phone', 'provider_id'] }
+  },
+  'GET /api/search-guest': {
+    summary: 'Search Zenoti guests by email or phone',
+    query: {
+      type: 'object',
+      properties: {
+        email: guestFields.email,
+        phone: guestFields.phone,
+        phone_country: guestFields.phone_country
+      }
+    }
+  },
+  'POST /api/bookings/:bookingId/reserve': {
+    summary: 'Reserve a slot',
+    params: bookingIdParams,
+    query: {
+      type: 'object',
+      properties: { slot_time: slotTime, create_invoice: booleanFlag }
+    },
+    body: {
+      type: 'object',
+      properties: { slot_time: slotTime, create_invoice: { type: 'boolean' } }
+    }
+  },
+  'POST /api/bookings/:bookingId/confirm': {
+    summary: 'Confirm the reserved slot',
+    params: bookingIdParams,
+    body: {
+      type: 'object',
+      properties: {
+        notes: { type: 'string' },
+        group_name: { type: 'string' }
+      }
+    }
+  },
+  'GET /api/bookings/:bookingId/status': {
+    summary: 'Booking status',
+    params: bookingIdParams
+  },
+  'DELETE /api/bookings/:bookingId/reserve': {
+    summary: 'Release the reservation',
+    params: bookingIdParams
+  },
+  'POST /api/slots/select-provider': {
+    summary: 'Create a booking for a guest at the chosen center, or reserve a slot at any available one',
+    body: {
+      type: 'object',
+      properties: {
+        center_id: id,
+        guest_id: id,
+        service_ids: idList,
+        date,
+        // Without center_id: the slot, optionally narrowed to some centers
+        slot_time: slotTime,
+        centers: idList,
+        zipcode
+      },
+      required: ['guest_id', 'service_ids']
+    }
+  },
+  'POST /api/checkout': {
+    summary: 'Find-or-create guest, book, reserve and confirm in one call',
+    body: {
+      type: 'object',
+      properties: {
+        guest: { type: 'object', properties: guestFields, required: ['email', 'phone'] },
+        center_id: id,
+        service_ids: idList,
+        slot_time: slotTime,
+        notes: { type: 'string' },
+        group_name: { type: 'string' }
+      },
+      required: ['guest', 'center_id', 'service_ids', 'slot_time']
+    }
+  },
+  'GET /api/health': {
+    summary: 'Health check',
+    query: {
+      type: 'object',
+      properties: { deep: booleanFlag }
+    }
+  },
+  'GET /api/rate-limit/status': {
+    summary: 'Cache and rate limit status'
+  },
+  'POST /api/rate-limit/reset': {
+    summary: 'Reset the Zenoti rate limiter and close the circuit breaker (admin)'
+  },
+  'POST /api/cache/clear': {
+    summary: 'Clear the Zenoti response cache'
+  },
+  'GET /api/schemas': {
+    summary: 'Request schemas for every route'
+  },
+  'GET /api/openapi.json': {
+    summary: 'This OpenAPI document'
+  },
+  'GET /api/docs': {
+    summary: 'Swagger UI for the OpenAPI document'
+  },
+  'GET /metrics': {
+    summary: 'Prometheus metrics'
+  }
+};
+
+export { requestSchemas };
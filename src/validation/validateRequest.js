@@ -0,0 +1,86 @@
+import Ajv from 'ajv';
+
+import { ApiValidationError } from '../utils/errors.js';
+import { requestSchemas } from './schemas.js';
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Bodies are validated as sent; params and query strings are coerced first
+// (e.g. "2" -> 2) on a copy, so handlers keep reading the raw values.
+// `verbose` exposes the failing schema so pattern errors can use its description.
+const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+const coercingAjv = new Ajv({ allErrors: true, strict: false, verbose: true, coerceTypes: true });
+
+const compiled = new Map(Object.entries(requestSchemas).map(([routeKey, schemas]) => [
+  routeKey,
+  LOCATIONS
+    .filter(location => schemas[location])
+    .map(location => ({
+      location,
+      validate: (location === 'body' ? ajv : coercingAjv).compile(schemas[location])
+    }))
+]));
+
+// "/guest/email" -> "guest.email", "/service_ids/0" -> "service_ids[0]"
+const toFieldPath = (instancePath, missingProperty) => {
+  const segments = instancePath.split('/').slice(1);
+  if (missingProperty) {
+    segments.push(missingProperty);
+  }
+  return segments.reduce((path, segment) => (
+    /^\d+$/.test(segment) ? `${path}[${segment}]` : (path ? `${path}.${segment}` : segment)
+  ), '');
+};
+
+const toFieldError = (location, error) => {
+  const field = toFieldPath(error.instancePath, error.params?.missingProperty);
+
+  if (error.keyword === 'required') {
+    return { location, field, message: `${field} is required` };
+  }
+  if (error.keyword === 'additionalProperties') {
+    const unknown = toFieldPath(error.instancePath, error.params.additionalProperty);
+    return { location, field: unknown, message: `${unknown} is not allowed` };
+  }
+  if (error.keyword === 'pattern' && error.parentSchema?.description) {
+    return { location, field, message: `${field} must be ${error.parentSchema.description}` };
+  }
+  if (error.keyword === 'enum') {
+    return { location, field, message: `${field} must be one of: ${error.params.allowedValues.join(', ')}` };
+  }
+
+  return { location, field: field || location, message: `${field || location} ${error.message}` };
+};
+
+// Collect every failing field across params, query and body
+const validateInput = (routeKey, { params = {}, query = {}, body }) => {
+  const input = { params: { ...params }, query: { ...query }, body: body ?? {} };
+  return (compiled.get(routeKey) || []).flatMap(({ location, validate }) => (
+    validate(input[location]) ? [] : validate.errors.map(error => toFieldError(location, error))
+  ));
+};
+
+// Express middleware for the route registered as `routeKey`
+// ("POST /api/checkout"). Failing requests get one 400 listing every field.
+const validateRequest = (routeKey) => {
+  if (!compiled.has(routeKey)) {
+    throw new Error(`No request schema registered for ${routeKey}`);
+  }
+
+  return (req, res, next) => {
+    const errors = validateInput(routeKey, req);
+    if (errors.length === 0) {
+      next();
+      return;
+    }
+
+    next(new ApiValidationError(
+      `Invalid request: ${errors.map(error => error.message).join('; ')}`,
+      400,
+      { errors },
+      { code: 'VALIDATION_FAILED' }
+    ));
+  };
+};
+
+export { validateRequest, validateInput };
@@ -0,0 +1,240 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers, daysFromToday, PROVIDER_ID, SECOND_PROVIDER_ID, GUEST_ID, SERVICE_ID } from './helpers.js';
+import { localTimeToInstant } from '../src/utils/timezone.js';
+
+let servers;
+
+before(async () => {
+  process.env.ADMIN_API_KEY = 'test-admin-key';
+  servers = await startTestServers();
+});
+
+after(async () => {
+  await servers.close();
+});
+
+// Returns the booking plus the X-Session-Id headers needed to act on it
+const selectProvider = async (date) => {
+  const { status, headers, body } = await servers.request('POST', '/api/slots/select-provider', {
+    center_id: PROVIDER_ID,
+    guest_id: GUEST_ID,
+    service_ids: [SERVICE_ID],
+    date
+  });
+
+  assert.equal(status, 200);
+  assert.ok(body.data.booking_id);
+  assert.equal(headers.get('x-session-id'), body.data.session_id);
+  assert.ok(body.data.expires_at);
+  return { bookingId: body.data.booking_id, session: { 'X-Session-Id': body.data.session_id } };
+};
+
+test('select provider, reserve, confirm and read status', async () => {
+  const date = daysFromToday(1);
+  const { bookingId, session } = await selectProvider(date);
+
+  const reserve = await servers.request('POST', `/api/bookings/${bookingId}/reserve`, {
+    slot_time: `${date}T09:00:00`
+  }, session);
+  assert.equal(reserve.status, 200);
+  assert.ok(reserve.body.reservation_id);
+
+  const confirm = await servers.request('POST', `/api/bookings/${bookingId}/confirm`, {
+    notes: 'Gate code 1234'
+  }, session);
+  assert.equal(confirm.status, 200);
+  assert.equal(confirm.body.is_confirmed, true);
+  assert.ok(confirm.body.invoice_id);
+  assert.ok(confirm.body.appointment_id);
+
+  const status = await servers.request('GET', `/api/bookings/${bookingId}/status`, undefined, session);
+  assert.equal(status.status, 200);
+  assert.equal(status.body.data.confirmed, true);
+  assert.equal(status.body.session.status, 'confirmed');
+});
+
+test('reserve then cancel the reservation', async () => {
+  const date = daysFromToday(2);
+  const { bookingId, session } = await selectProvider(date);
+
+  const reserve = await servers.request('POST', `/api/bookings/${bookingId}/reserve`, {
+    slot_time: `${date}T13:30:00`
+  }, session);
+  assert.equal(reserve.status, 200);
+
+  const cancel = await servers.request('DELETE', `/api/bookings/${bookingId}/reserve`, undefined, session);
+  assert.equal(cancel.status, 200);
+  assert.equal(cancel.body.success, true);
+
+  // Nothing is reserved any more, so confirming must fail
+  const confirm = await servers.request('POST', `/api/bookings/${bookingId}/confirm`, {}, session);
+  assert.equal(confirm.status, 409);
+  assert.equal(confirm.body.code, 'RESERVATION_REQUIRED');
+});
+
+test('reserving an unavailable slot maps the Zenoti error to SLOT_UNAVAILABLE', async () => {
+  const date = daysFromToday(1);
+  const { bookingId, session } = await selectProvider(date);
+
+  const { status, body } = await servers.request('POST', `/api/bookings/${bookingId}/reserve`, {
+    slot_time: `${date}T10:00:00`
+  }, session);
+
+  assert.equal(status, 409);
+  assert.equal(body.success, false);
+  assert.equal(body.code, 'SLOT_UNAVAILABLE');
+  assert.equal(body.field, 'slot_time');
+  assert.equal(body.retryable, false);
+  assert.deepEqual(body.details, {
+    upstream: { status: 400, code: 'SlotNotAvailable', message: `Slot ${date}T10:00:00 is not available` }
+  });
+});
+
+test('a slot_time with an offset is reserved on the center clock', async () => {
+  const admin = { 'X-API-Key': 'test-admin-key' };
+  const patched = await servers.request('PATCH', `/api/providers/${PROVIDER_ID}`, { timezone: 'America/Detroit' }, admin);
+  assert.equal(patched.status, 200);
+
+  try {
+    const date = daysFromToday(1);
+    const { bookingId, session } = await selectProvider(date);
+    const startsAt = localTimeToInstant(`${date}T09:00:00`, 'America/Detroit');
+
+    const { status, body } = await servers.request('POST', `/api/bookings/${bookingId}/reserve`, {
+      slot_time: new Date(startsAt).toISOString()
+    }, session);
+    assert.equal(status, 200);
+    assert.equal(body.slot_time, `${date}T09:00:00`);
+    assert.equal(body.slot_starts_at, startsAt);
+    assert.equal(body.timezone, 'America/Detroit');
+  } finally {
+    await servers.request('PATCH', `/api/providers/${PROVIDER_ID}`, { timezone: null }, admin);
+  }
+});
+
+// select-provider without center_id: the server picks the center
+const selectAnyProvider = (slotTime) => servers.request('POST', '/api/slots/select-provider', {
+  centers: [SECOND_PROVIDER_ID, PROVIDER_ID],
+  guest_id: GUEST_ID,
+  service_ids: [SERVICE_ID],
+  slot_time: slotTime
+});
+
+test('any available provider reserves the slot at the highest-priority center', async () => {
+  const date = daysFromToday(1);
+  const { status, body } = await selectAnyProvider(`${date}T09:00:00`);
+
+  assert.equal(status, 200);
+  assert.equal(body.data.center_id, PROVIDER_ID);
+  assert.equal(body.data.date, date);
+  assert.equal(body.data.slot_time, `${date}T09:00:00`);
+  assert.ok(body.data.reservation_id);
+  assert.equal(body.data.assignment.is_fallback, false);
+  assert.deepEqual(body.data.assignment.attempts.map(attempt => attempt.status), ['reserved']);
+
+  // The reserved booking belongs to the caller's session and can be confirmed
+  const confirm = await servers.request('POST', `/api/bookings/${body.data.booking_id}/confirm`, {}, { 'X-Session-Id': body.data.session_id });
+  assert.equal(confirm.status, 200);
+});
+
+test('any available provider falls back down the priority list when a reservation fails', async () => {
+  await servers.mockControl('POST', '/__mock/faults', {
+    method: 'POST',
+    path: '/slots/reserve$',
+    status: 400,
+    body: { code: 'SlotNotAvailable', Message: 'Slot was just taken' }
+  });
+
+  const { status, body } = await selectAnyProvider(`${daysFromToday(1)}T13:30:00`);
+
+  assert.equal(status, 200);
+  assert.equal(body.data.center_id, SECOND_PROVIDER_ID);
+  assert.equal(body.data.assignment.is_fallback, true);
+  assert.equal(body.data.assignment.fallback_rank, 1);
+  assert.deepEqual(
+    body.data.assignment.attempts.map(attempt => [attempt.center_id, attempt.status, attempt.code ?? null]),
+    [[PROVIDER_ID, 'failed', 'SLOT_UNAVAILABLE'], [SECOND_PROVIDER_ID, 'reserved', null]]
+  );
+
+  // The skipped center's booking is no longer the caller's; it reserved
+  // nothing, so there was nothing to release
+  const skipped = body.data.assignment.attempts[0];
+  assert.equal(skipped.released, undefined);
+  const { requests } = await servers.mockControl('GET', '/__mock/requests');
+  assert.ok(!requests.some(entry => entry.method === 'DELETE' && entry.path === `/bookings/${skipped.booking_id}/slots/reserve`));
+  const reuse = await servers.request('POST', `/api/bookings/${skipped.booking_id}/reserve`, {
+    slot_time: `${daysFromToday(1)}T13:30:00`
+  }, { 'X-Session-Id': body.data.session_id });
+  assert.equal(reuse.status, 404);
+});
+
+test('any available provider chooses among all active providers when no centers are given', async () => {
+  const { status, body } = await servers.request('POST', '/api/slots/select-provider', {
+    guest_id: GUEST_ID,
+    service_ids: [SERVICE_ID],
+    slot_time: `${daysFromToday(1)}T09:15:00`
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.center_id, PROVIDER_ID);
+  assert.equal(body.data.assignment.is_fallback, false);
+});
+
+test('any available provider answers 409 when no center has the slot', async () => {
+  const { status, body } = await selectAnyProvider(`${daysFromToday(1)}T10:00:00`);
+
+  assert.equal(status, 409);
+  assert.equal(body.code, 'SLOT_UNAVAILABLE');
+  assert.equal(body.field, 'slot_time');
+  assert.deepEqual(body.details.attempts.map(attempt => attempt.status), ['slot_unavailable', 'slot_unavailable']);
+});
+
+test('a booking can only be used by the session it was issued to', async () => {
+  const date = daysFromToday(1);
+  const { bookingId } = await selectProvider(date);
+
+  const otherSession = await servers.request('POST', `/api/bookings/${bookingId}/reserve`, {
+    slot_time: `${date}T09:00:00`
+  }, { 'X-Session-Id': 'another-visitor-session' });
+  assert.equal(otherSession.status, 403);
+
+  const noSession = await servers.request('POST', `/api/bookings/${bookingId}/reserve`, {
+    slot_time: `${date}T09:00:00`
+  });
+  assert.equal(noSession.status, 403);
+});
+
+test('bookings this server never handed out are refused', async () => {
+  const { status, body } = await servers.request('POST', '/api/bookings/booking-nobody-issued/reserve', {
+    slot_time: `${daysFromToday(1)}T09:00:00`
+  }, { 'X-Session-Id': 'some-visitor-session' });
+
+  assert.equal(status, 404);
+  assert.equal(body.details.booking_id, 'booking-nobody-issued');
+});
+
+test('concurrent visitors get their own guest-less bookings', async () => {
+  const payload = { centerId: PROVIDER_ID, date: daysFromToday(1), serviceIds: [SERVICE_ID] };
+
+  const [first, second] = await Promise.all([
+    servers.request('POST', '/api/bookings', payload, { 'X-Session-Id': 'visitor-session-one' }),
+    servers.request('POST', '/api/bookings', payload, { 'X-Session-Id': 'visitor-session-two' })
+  ]);
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(first.body.session_id, 'visitor-session-one');
+  assert.notEqual(first.body.data.id, second.body.data.id);
+});
+
+test('rejects a malformed X-Session-Id', async () => {
+  const { status } = await servers.request('POST', '/api/bookings', {
+    centerId: PROVIDER_ID,
+    date: daysFromToday(1),
+    serviceIds: [SERVICE_ID]
+  }, { 'X-Session-Id': 'bad id!' });
+
+  assert.equal(status, 400);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createBookingSessionStore } from '../src/data/bookingSessionStore.js';
+import { createMemoryCache } from '../src/cache/index.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('tracks bookings with their session, creation time and expiry', () => {
+  const store = createBookingSessionStore({ ttlMs: 60000, sweepIntervalMs: 0 });
+
+  const booking = store.track('session-a', 'booking-1', { centerId: 'center-1', date: '2030-01-01', serviceIds: ['svc'] });
+
+  assert.equal(booking.session_id, 'session-a');
+  assert.equal(booking.status, 'open');
+  assert.equal(booking.expired, false);
+  assert.equal(Date.parse(booking.expires_at) - Date.parse(booking.created_at), 60000);
+  assert.equal(store.get('booking-2'), null);
+});
+
+test('sweep drops abandoned bookings and releases held slots', async () => {
+  const released = [];
+  const store = createBookingSessionStore({
+    ttlMs: 50,
+    sweepIntervalMs: 0,
+    onExpire: async (booking) => {
+      released.push(booking.booking_id);
+    }
+  });
+
+  store.track('session-a', 'open-booking', { centerId: 'center-1', date: '2030-01-01' });
+  store.track('session-b', 'reserved-booking', { centerId: 'center-1', date: '2030-01-01' });
+  store.setStatus('reserved-booking', 'reserved', { slotTime: '2030-01-01T09:00:00' });
+  await wait(60);
+
+  assert.equal(await store.sweep(), 2);
+  assert.deepEqual(released.sort(), ['open-booking', 'reserved-booking']);
+  assert.equal(store.getStats().expired, 2);
+
+  // Still known as expired for a while, and cleaned up only once
+  assert.equal(store.get('reserved-booking').expired, true);
+  assert.equal(await store.sweep(), 0);
+
+  await wait(60);
+  await store.sweep();
+  assert.equal(store.get('reserved-booking'), null);
+  assert.equal(released.length, 2);
+});
+
+test('a shared cache lets another instance find and keep alive a booking', async () => {
+  const shared = createMemoryCache({ maxEntries: 100 });
+  const released = [];
+  const first = createBookingSessionStore({ ttlMs: 50, sweepIntervalMs: 0, cache: shared, onExpire: async booking => released.push(booking.booking_id) });
+  const second = createBookingSessionStore({ ttlMs: 50, sweepIntervalMs: 0, cache: shared });
+
+  first.track('session-a', 'booking-1', { centerId: 'center-1', date: '2030-01-01' });
+  await wait(5);
+
+  assert.equal(second.get('booking-1'), null);
+  const loaded = await second.load('booking-1');
+  assert.equal(loaded.session_id, 'session-a');
+  assert.equal(await second.load('booking-unknown'), null);
+
+  // The second instance moves the booking on; the first must not clean it up
+  await wait(30);
+  second.setStatus('booking-1', 'reserved', { slotTime: '2030-01-01T09:00:00' });
+  await wait(30);
+  assert.equal(await first.sweep(), 0);
+  assert.deepEqual(released, []);
+  assert.equal(first.get('booking-1').status, 'reserved');
+});
+
+test('caps per session and in total drop the oldest unreserved bookings first', () => {
+  const store = createBookingSessionStore({ ttlMs: 60000, sweepIntervalMs: 0, maxPerSession: 3, maxEntries: 4 });
+
+  store.track('session-a', 'a-1');
+  store.setStatus('a-1', 'reserved', { slotTime: '2030-01-01T09:00:00' });
+  store.track('session-a', 'a-2');
+  store.track('session-a', 'a-3');
+  store.track('session-a', 'a-4');
+
+  // a-2 was the oldest booking not holding a reservation
+  assert.equal(store.get('a-2'), null);
+  assert.ok(store.get('a-1'));
+  assert.ok(store.get('a-4'));
+
+  store.track('session-b', 'b-1');
+  store.track('session-b', 'b-2');
+  assert.equal(store.getStats().tracked_bookings, 4);
+  assert.equal(store.get('a-3'), null);
+  assert.equal(store.getStats().evicted, 2);
+});
+
+test('a reserved booking pushed out by a cap has its hold released first', () => {
+  const released = [];
+  const store = createBookingSessionStore({
+    ttlMs: 60000,
+    sweepIntervalMs: 0,
+    maxPerSession: 2,
+    onExpire: async booking => released.push([booking.booking_id, booking.status])
+  });
+
+  ['r-1', 'r-2', 'r-3'].forEach(bookingId => {
+    store.track('session-a', bookingId);
+    store.setStatus(bookingId, 'reserved', { slotTime: '2030-01-01T09:00:00' });
+  });
+
+  assert.equal(store.get('r-1'), null);
+  assert.deepEqual(released, [['r-1', 'reserved']]);
+  assert.equal(store.getStats().by_status.reserved, 2);
+});
+
+test('the overall cap takes from the session holding the most bookings', () => {
+  const store = createBookingSessionStore({ ttlMs: 60000, sweepIntervalMs: 0, maxPerSession: 100, maxEntries: 5 });
+
+  store.track('quiet-session', 'q-1');
+  ['n-1', 'n-2', 'n-3', 'n-4', 'n-5', 'n-6'].forEach(bookingId => store.track('noisy-session', bookingId));
+
+  assert.ok(store.get('q-1'));
+  assert.equal(store.get('n-1'), null);
+  assert.equal(store.get('n-2'), null);
+  assert.equal(store.getStats().tracked_bookings, 5);
+});
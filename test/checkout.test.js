@@ -0,0 +1,94 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers, daysFromToday, PROVIDER_ID, GUEST_ID, SERVICE_ID } from './helpers.js';
+
+let servers;
+
+before(async () => {
+  servers = await startTestServers();
+});
+
+after(async () => {
+  await servers.close();
+});
+
+beforeEach(async () => {
+  await servers.mockControl('POST', '/__mock/reset');
+});
+
+const checkout = (overrides = {}) => servers.request('POST', '/api/checkout', {
+  guest: { name: 'Jane Doe', email: 'jane.doe@example.com', phone: '2485551234' },
+  center_id: PROVIDER_ID,
+  service_ids: [SERVICE_ID],
+  slot_time: `${daysFromToday(1)}T09:00:00`,
+  notes: 'Gate code 1234',
+  ...overrides
+});
+
+test('POST /api/checkout books an existing guest end to end', async () => {
+  const { status, body } = await checkout();
+
+  assert.equal(status, 200);
+  assert.equal(body.data.guest_id, GUEST_ID);
+  assert.equal(body.data.guest_action, 'matched');
+  assert.ok(body.data.appointment_id);
+  assert.ok(body.data.invoice_id);
+  assert.deepEqual(body.data.steps.map(step => step.step), ['guest', 'booking', 'reserve', 'confirm']);
+});
+
+test('POST /api/checkout creates the guest when Zenoti has none', async () => {
+  const { status, body } = await checkout({
+    guest: { first_name: 'Sam', last_name: 'Rivera', email: 'sam.rivera@example.com', phone: '2485550199' }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.guest_action, 'created');
+  assert.notEqual(body.data.guest_id, GUEST_ID);
+});
+
+test('POST /api/checkout stops at an unavailable slot without confirming', async () => {
+  const { status, headers, body } = await checkout({ slot_time: `${daysFromToday(1)}T10:00:00` });
+
+  assert.equal(status, 409);
+  assert.equal(body.code, 'SLOT_UNAVAILABLE');
+  assert.equal(body.failed_step, 'reserve');
+  assert.ok(body.booking_id);
+
+  const { requests } = await servers.mockControl('GET', '/__mock/requests');
+  assert.ok(!requests.some(entry => entry.path.endsWith('/slots/confirm')));
+
+  // The unreserved booking is no longer held for the session
+  const retry = await servers.request('POST', `/api/bookings/${body.booking_id}/reserve`, {
+    slot_time: `${daysFromToday(1)}T09:00:00`
+  }, { 'X-Session-Id': headers.get('x-session-id') });
+  assert.equal(retry.status, 404);
+});
+
+test('POST /api/checkout cancels the reservation when confirm fails', async () => {
+  await servers.mockControl('POST', '/__mock/faults', {
+    method: 'POST',
+    path: '/slots/confirm$',
+    status: 500
+  });
+
+  const { status, body } = await checkout();
+
+  assert.equal(status, 502);
+  assert.equal(body.code, 'UPSTREAM_ERROR');
+  assert.equal(body.failed_step, 'confirm');
+  assert.deepEqual(body.steps.at(-1), { step: 'cancel_reservation', status: 'completed' });
+
+  const { requests } = await servers.mockControl('GET', '/__mock/requests');
+  assert.ok(requests.some(entry => entry.method === 'DELETE' && entry.path === `/bookings/${body.booking_id}/slots/reserve`));
+});
+
+test('POST /api/checkout validates the request before calling Zenoti', async () => {
+  const { status, body } = await checkout({ slot_time: 'tomorrow' });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.details.errors.map(error => error.field), ['slot_time']);
+
+  const { requests } = await servers.mockControl('GET', '/__mock/requests');
+  assert.equal(requests.length, 0);
+});
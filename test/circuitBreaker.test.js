@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCircuitBreaker } from '../src/utils/circuitBreaker.js';
+
+test('the circuit opens after consecutive failures and lets one trial through after the cooldown', () => {
+  let clock = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now: () => clock });
+
+  breaker.onFailure();
+  breaker.onFailure();
+  breaker.onSuccess();
+  breaker.onFailure();
+  breaker.onFailure();
+  assert.equal(breaker.canRequest(), true);
+
+  breaker.onFailure();
+  assert.equal(breaker.getStats().state, 'open');
+  assert.equal(breaker.canRequest(), false);
+  assert.equal(breaker.retryAfterMs(), 1000);
+
+  clock += 1000;
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.canRequest(), false);
+  assert.equal(breaker.getStats().state, 'half_open');
+
+  breaker.onSuccess();
+  assert.equal(breaker.getStats().state, 'closed');
+  assert.equal(breaker.canRequest(), true);
+});
+
+test('a failed trial call reopens the circuit for another cooldown', () => {
+  let clock = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => clock });
+
+  breaker.onFailure();
+  clock += 1000;
+  assert.equal(breaker.canRequest(), true);
+  breaker.onFailure();
+
+  const stats = breaker.getStats();
+  assert.equal(stats.state, 'open');
+  assert.equal(stats.opened_total, 2);
+  assert.equal(stats.rejected_total, 0);
+  assert.equal(breaker.canRequest(), false);
+});
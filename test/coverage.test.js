@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers } from './helpers.js';
+import { createProviderStore } from '../src/data/providerStore.js';
+import { createCoverageIndex } from '../src/data/coverageIndex.js';
+
+const A = 'aaaaaaaa-0000-4000-8000-000000000001';
+const B = 'aaaaaaaa-0000-4000-8000-000000000002';
+const C = 'aaaaaaaa-0000-4000-8000-000000000003';
+
+const seed = [
+  { name: 'Second', provider_id: B, zipCodes: ['48002', '48003', '48006'], status: 'active', priority: 2 },
+  { name: 'First', provider_id: A, zipCodes: ['48001', '48002', '48002', '4800', 48003], status: 'active', priority: 1 },
+  { name: 'Paused', provider_id: C, zipCodes: ['48001', '48002'], status: 'inactive', priority: 3 }
+];
+
+let servers;
+
+before(async () => {
+  servers = await startTestServers();
+});
+
+after(async () => {
+  await servers.close();
+});
+
+test('zipcode lookups come back in priority order without inactive providers', () => {
+  const coverage = createCoverageIndex(createProviderStore({ seed }));
+
+  assert.deepEqual(coverage.getProvidersByZipcode('48002').map(provider => provider.provider_id), [A, B]);
+  assert.deepEqual(coverage.getProvidersByZipcode(' 48002 ', { includeInactive: true }).map(provider => provider.provider_id), [A, B, C]);
+  assert.deepEqual(coverage.getProvidersByZipcode('99999'), []);
+});
+
+test('the report counts overlaps and flags duplicate and malformed entries', () => {
+  const report = createCoverageIndex(createProviderStore({ seed })).getReport({ gapWindow: 2 });
+
+  assert.deepEqual(report.summary, {
+    providers: 2,
+    total_zipcodes: 4,
+    single_covered: 3,
+    double_covered: 1,
+    triple_or_more_covered: 0,
+    duplicate_entries: 1,
+    invalid_entries: 2
+  });
+  assert.deepEqual(report.overlap_matrix.provider_ids, [A, B]);
+  assert.deepEqual(report.overlap_matrix.matrix, [[2, 1], [1, 3]]);
+  assert.deepEqual(report.overlaps.map(pair => [pair.provider_a.provider_id, pair.provider_b.provider_id, pair.shared_zipcodes]), [[A, B, ['48002']]]);
+  assert.deepEqual(report.gaps, [
+    { zipcode: '48004', neighbours: ['48003', '48006'] },
+    { zipcode: '48005', neighbours: ['48003', '48006'] }
+  ]);
+  assert.deepEqual(report.duplicate_entries, [{ provider_id: A, name: 'First', zipcode: '48002', occurrences: 2 }]);
+  assert.deepEqual(report.invalid_entries.map(entry => entry.value), ['4800', 48003]);
+
+  const withInactive = createCoverageIndex(createProviderStore({ seed })).getReport({ includeInactive: true, gapWindow: 1 });
+  assert.equal(withInactive.summary.double_covered, 1);
+  assert.equal(withInactive.summary.triple_or_more_covered, 1);
+  assert.deepEqual(withInactive.gaps, []);
+});
+
+test('the index is rebuilt when the registry changes', () => {
+  const store = createProviderStore({ seed });
+  const coverage = createCoverageIndex(store);
+  assert.equal(coverage.getProvidersByZipcode('48006').length, 1);
+
+  store.update(B, { zipCodes: ['48002'] });
+  assert.equal(coverage.getProvidersByZipcode('48006').length, 0);
+
+  store.update(C, { status: 'active', priority: 3 });
+  assert.deepEqual(coverage.getProvidersByZipcode('48001').map(provider => provider.provider_id), [A, C]);
+});
+
+test('GET /api/coverage reports the registry and checks gap_window', async () => {
+  const { status, body } = await servers.request('GET', '/api/coverage?gap_window=0');
+
+  assert.equal(status, 200);
+  assert.equal(body.gap_window, 0);
+  assert.deepEqual(body.data.gaps, []);
+  assert.equal(body.data.summary.providers, body.data.overlap_matrix.provider_ids.length);
+  assert.ok(body.data.zipcodes.every(entry => entry.provider_count === entry.provider_ids.length));
+
+  const tooWide = await servers.request('GET', '/api/coverage?gap_window=51');
+  assert.equal(tooWide.status, 400);
+});
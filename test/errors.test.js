@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers, PROVIDER_ID, SECOND_PROVIDER_ID } from './helpers.js';
+import { ZenotiApiError } from '../src/services/zenotiClient.js';
+import { mapZenotiError } from '../src/services/zenotiErrors.js';
+import { toErrorResponse } from '../src/utils/errors.js';
+
+let servers;
+
+before(async () => {
+  servers = await startTestServers();
+});
+
+after(async () => {
+  await servers.close();
+});
+
+const zenotiError = (status, data) => new ZenotiApiError(`Request failed with status code ${status}`, { status, data });
+
+test('maps known Zenoti errors by code or message', () => {
+  assert.equal(mapZenotiError(zenotiError(400, { code: 'SlotNotAvailable' })).code, 'SLOT_UNAVAILABLE');
+  assert.equal(mapZenotiError(zenotiError(400, { Message: 'Invalid service id 123' })).code, 'INVALID_SERVICE');
+
+  const guestExists = mapZenotiError(zenotiError(400, { error: { message: 'Guest with this email already exists' } }));
+  assert.equal(guestExists.code, 'GUEST_EXISTS');
+  assert.equal(guestExists.status, 409);
+  assert.equal(guestExists.field, 'email');
+});
+
+test('falls back to generic codes and keeps raw payloads out of details', () => {
+  const serverError = mapZenotiError(zenotiError(500, { Message: 'boom', StackTrace: 'at Zenoti.Internal' }));
+  assert.equal(serverError.code, 'UPSTREAM_ERROR');
+  assert.equal(serverError.status, 502);
+  assert.equal(serverError.retryable, true);
+  assert.deepEqual(serverError.details, { upstream: { status: 500, code: null, message: 'boom' } });
+
+  const timeout = mapZenotiError(new ZenotiApiError('timed out', { code: 'ECONNABORTED' }));
+  assert.equal(timeout.code, 'UPSTREAM_TIMEOUT');
+  assert.equal(timeout.details, null);
+});
+
+test('unexpected errors get a generic message', () => {
+  const { status, body } = toErrorResponse(new TypeError("Cannot read properties of undefined (reading 'id')"));
+
+  assert.equal(status, 500);
+  assert.equal(body.code, 'INTERNAL_ERROR');
+  assert.equal(body.message, 'Internal server error');
+});
+
+test('errors carry the envelope and echo the request ID', async () => {
+  const { status, headers, body } = await servers.request('GET', '/api/providers/does-not-exist', undefined, {
+    'X-Request-Id': 'req-12345678'
+  });
+
+  assert.equal(status, 404);
+  assert.equal(headers.get('x-request-id'), 'req-12345678');
+  assert.deepEqual(body, {
+    success: false,
+    error: 'Provider not found',
+    code: 'NOT_FOUND',
+    message: 'Provider not found',
+    field: null,
+    retryable: false,
+    requestId: 'req-12345678',
+    details: null
+  });
+});
+
+test('validation failures name the field and get a generated request ID', async () => {
+  const { status, headers, body } = await servers.request('GET', '/api/providers/zipcode/abc');
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_FAILED');
+  assert.equal(body.field, 'zipcode');
+  assert.equal(body.requestId, headers.get('x-request-id'));
+  assert.ok(body.requestId);
+});
+
+test('service listings report the upstream error when every center fails', async () => {
+  const path = `/api/services?centerIds=${PROVIDER_ID},${SECOND_PROVIDER_ID}`;
+
+  await servers.mockControl('POST', '/__mock/faults', { method: 'GET', path: '/services$', status: 401, times: 1 });
+  const partial = await servers.request('GET', path);
+  assert.equal(partial.status, 200);
+  assert.equal(partial.body.data.failed_centers.length, 1);
+  const [failed] = partial.body.data.failed_centers;
+  assert.equal(failed.code, 'UPSTREAM_AUTH_FAILED');
+  assert.equal(failed.error, 'Zenoti rejected our credentials');
+
+  // The center that answered is cached now
+  await servers.request('POST', '/api/cache/clear');
+  await servers.mockControl('POST', '/__mock/faults', { method: 'GET', path: '/services$', status: 401, times: 2 });
+  const { status, body } = await servers.request('GET', path);
+  assert.equal(status, 502);
+  assert.equal(body.code, 'UPSTREAM_AUTH_FAILED');
+});
+
+test('category listings report failed centers and the upstream error when all fail', async () => {
+  const centerIds = `${PROVIDER_ID},${SECOND_PROVIDER_ID}`;
+
+  for (const path of [`/api/services/categories?centerIds=${centerIds}`, `/api/categories?centerIds=${centerIds}`]) {
+    await servers.request('POST', '/api/cache/clear');
+    await servers.mockControl('POST', '/__mock/faults', { method: 'GET', path: '/categories$', status: 401, times: 1 });
+    const partial = await servers.request('GET', path);
+    assert.equal(partial.status, 200, path);
+    assert.deepEqual(partial.body.data.failed_centers.map(entry => entry.code), ['UPSTREAM_AUTH_FAILED'], path);
+    assert.ok(partial.body.data.categories.length > 0, path);
+
+    await servers.request('POST', '/api/cache/clear');
+    await servers.mockControl('POST', '/__mock/faults', { method: 'GET', path: '/categories$', status: 401, times: 2 });
+    const { status, body } = await servers.request('GET', path);
+    assert.equal(status, 502, path);
+    assert.equal(body.code, 'UPSTREAM_AUTH_FAILED', path);
+  }
+});
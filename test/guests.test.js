@@ -0,0 +1,140 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers, PROVIDER_ID, GUEST_ID } from './helpers.js';
+
+let servers;
+
+before(async () => {
+  servers = await startTestServers();
+});
+
+after(async () => {
+  await servers.close();
+});
+
+test('POST /api/guests creates the guest in Zenoti', async () => {
+  const { status, body } = await servers.request('POST', '/api/guests', {
+    name: 'Sam Rivera',
+    email: 'sam.rivera@example.com',
+    phone: '(248) 555-0199',
+    provider_id: PROVIDER_ID
+  });
+
+  assert.equal(status, 200);
+  assert.ok(body.data.id);
+
+  const { requests } = await servers.mockControl('GET', '/__mock/requests');
+  const created = requests.find(entry => entry.method === 'POST' && entry.path === '/guests');
+  assert.equal(created.body.center_id, PROVIDER_ID);
+  assert.equal(created.body.personal_info.first_name, 'Sam');
+  assert.equal(created.body.personal_info.last_name, 'Rivera');
+  assert.equal(created.body.personal_info.mobile_phone.country_code, '+1');
+  assert.equal(created.body.personal_info.mobile_phone.number, '2485550199');
+});
+
+test('POST /api/guests accepts international numbers', async () => {
+  const { status } = await servers.request('POST', '/api/guests', {
+    name: 'Olivia Hart',
+    email: 'olivia.hart@example.co.uk',
+    phone: '+44 20 7946 0958',
+    provider_id: PROVIDER_ID
+  });
+
+  assert.equal(status, 200);
+
+  const { requests } = await servers.mockControl('GET', '/__mock/requests');
+  const created = requests.findLast(entry => entry.method === 'POST' && entry.path === '/guests');
+  assert.deepEqual(created.body.personal_info.mobile_phone, { country_code: '+44', number: '2079460958' });
+});
+
+test('POST /api/guests reports every invalid field', async () => {
+  const { status, body } = await servers.request('POST', '/api/guests', {
+    name: 'Sam Rivera',
+    email: 'not-an-email',
+    phone: '555-0199',
+    phone_country: 'CA',
+    provider_id: PROVIDER_ID
+  });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.details.errors.map(error => error.field), ['email', 'phone']);
+  assert.match(body.details.errors[1].message, /not valid for CA/);
+});
+
+test('POST /api/guests rejects a missing email', async () => {
+  const { status, body } = await servers.request('POST', '/api/guests', {
+    name: 'Sam Rivera',
+    phone: '2485550199',
+    provider_id: PROVIDER_ID
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+});
+
+test('GET /api/search-guest finds a fixture guest by email', async () => {
+  const { status, body } = await servers.request('GET', '/api/search-guest?email=jane.doe@example.com');
+
+  assert.equal(status, 200);
+  assert.equal(body.data.guests.length, 1);
+  assert.equal(body.data.guests[0].personal_info.last_name, 'Doe');
+});
+
+test('POST /api/guests/upsert matches an existing guest by email', async () => {
+  const { status, body } = await servers.request('POST', '/api/guests/upsert', {
+    name: 'Jane Doe',
+    email: '  Jane.Doe@Example.com ',
+    phone: '2485551234',
+    provider_id: PROVIDER_ID
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.action, 'matched');
+  assert.equal(body.match_rule, 'email');
+  assert.equal(body.data.id, GUEST_ID);
+});
+
+test('POST /api/guests/upsert matches phone plus last name and updates the email', async () => {
+  const { status, body } = await servers.request('POST', '/api/guests/upsert', {
+    name: 'Jane Doe',
+    email: 'jane.new@example.com',
+    phone: '(248) 555-1234',
+    provider_id: PROVIDER_ID
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.action, 'updated');
+  assert.equal(body.match_rule, 'phone_last_name');
+  assert.deepEqual(body.changed_fields, ['email']);
+  assert.equal(body.data.personal_info.email, 'jane.new@example.com');
+
+  const { requests } = await servers.mockControl('GET', '/__mock/requests');
+  assert.ok(requests.some(entry => entry.method === 'PUT' && entry.path === `/guests/${GUEST_ID}`));
+  assert.ok(!requests.some(entry => entry.method === 'POST' && entry.path === '/guests' && entry.body.personal_info.last_name === 'Doe'));
+});
+
+test('POST /api/guests/upsert creates a new guest when only the phone matches', async () => {
+  const { status, body } = await servers.request('POST', '/api/guests/upsert', {
+    name: 'Max Smith',
+    email: 'max.smith@example.com',
+    phone: '2485551234',
+    provider_id: PROVIDER_ID
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.action, 'created');
+  assert.notEqual(body.data.id, GUEST_ID);
+});
+
+test('POST /api/guests/upsert requires provider_id', async () => {
+  const { status, body } = await servers.request('POST', '/api/guests/upsert', {
+    name: 'Max Smith',
+    email: 'max.smith@example.com',
+    phone: '2485551234'
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_FAILED');
+  assert.equal(body.field, 'provider_id');
+});
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { createMockZenotiServer } from '../mock/zenotiMockServer.js';
+
+const TEST_API_KEY = 'test-zenoti-key';
+
+// Set before any test file imports src/ modules, so the logger starts silent
+process.env.NODE_ENV = 'test';
+
+// Boot the mock Zenoti/Google server, point the API layer at it and listen on
+// a random port. Each test file runs in its own process, so the env set here
+// does not leak between files.
+const startTestServers = async () => {
+  const mock = createMockZenotiServer({ apiKey: TEST_API_KEY });
+  const mockUrl = await mock.start();
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oah-providers-'));
+
+  process.env.ZENOTI_API_KEY = TEST_API_KEY;
+  process.env.ZENOTI_BASE_URL = mockUrl;
+  process.env.GOOGLE_PLACES_API_KEY = 'test-google-key';
+  process.env.GOOGLE_PLACES_BASE_URL = mockUrl;
+  process.env.PROVIDER_STORE_PATH = path.join(storeDir, 'providers.json');
+  // The mock's dates follow the UTC calendar day (see daysFromToday)
+  process.env.DEFAULT_CENTER_TIMEZONE = 'UTC';
+
+  const { default: app } = await import('../simple-server.js');
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, urlPath, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  const mockControl = async (method, urlPath, body) => {
+    const response = await fetch(`${mockUrl}${urlPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return response.json();
+  };
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await mock.stop();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  };
+
+  return { baseUrl, request, mockControl, close };
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const daysFromToday = (days) => {
+  const now = new Date();
+  return toDateString(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + days)));
+};
+
+// Fixture IDs shared by the test files
+const PROVIDER_ID = '5b5034d4-57c2-40d2-b04d-7be72b93c6d5';
+const SECOND_PROVIDER_ID = 'bbbbb51e-a759-4ab0-8f7e-1007a599921a';
+const GUEST_ID = '7c2a0f5e-1b7d-4c55-9a0e-3d4f5a6b7c8d';
+const SERVICE_ID = 'a0b1c2d3-0000-4000-8000-000000000101';
+
+export {
+  startTestServers,
+  daysFromToday,
+  PROVIDER_ID,
+  SECOND_PROVIDER_ID,
+  GUEST_ID,
+  SERVICE_ID
+};
@@ -0,0 +1,104 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers, PROVIDER_ID } from './helpers.js';
+
+let servers;
+
+before(async () => {
+  servers = await startTestServers();
+});
+
+beforeEach(async () => {
+  await servers.mockControl('POST', '/__mock/reset');
+});
+
+after(async () => {
+  await servers.close();
+});
+
+const newGuest = {
+  name: 'Sam Rivera',
+  email: 'sam.rivera@example.com',
+  phone: '(248) 555-0199',
+  provider_id: PROVIDER_ID
+};
+
+const countGuestCreations = async () => {
+  const { requests } = await servers.mockControl('GET', '/__mock/requests');
+  return requests.filter(entry => entry.method === 'POST' && entry.path === '/guests').length;
+};
+
+test('a repeated request with the same Idempotency-Key replays the first response', async () => {
+  const headers = { 'Idempotency-Key': 'guest-create-0001' };
+  const first = await servers.request('POST', '/api/guests', newGuest, headers);
+  const second = await servers.request('POST', '/api/guests', { ...newGuest }, headers);
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.deepEqual(second.body, first.body);
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+  assert.equal(second.headers.get('idempotent-replayed'), 'true');
+  assert.equal(await countGuestCreations(), 1);
+});
+
+test('concurrent duplicates (a double-click) reach Zenoti once', async () => {
+  const headers = { 'Idempotency-Key': 'guest-create-0002' };
+  const [first, second] = await Promise.all([
+    servers.request('POST', '/api/guests', newGuest, headers),
+    servers.request('POST', '/api/guests', newGuest, headers)
+  ]);
+
+  assert.equal(first.status, 200);
+  assert.deepEqual(second.body, first.body);
+  assert.equal(await countGuestCreations(), 1);
+});
+
+test('reusing a key with a different body is rejected with 422', async () => {
+  const headers = { 'Idempotency-Key': 'guest-create-0003' };
+  await servers.request('POST', '/api/guests', newGuest, headers);
+  const { status, body } = await servers.request('POST', '/api/guests', { ...newGuest, name: 'Alex Rivera' }, headers);
+
+  assert.equal(status, 422);
+  assert.equal(body.code, 'IDEMPOTENCY_KEY_MISMATCH');
+  assert.equal(body.field, 'Idempotency-Key');
+  assert.equal(await countGuestCreations(), 1);
+});
+
+test('server errors are not stored, so the same key can be retried', async () => {
+  await servers.mockControl('POST', '/__mock/faults', { method: 'POST', path: '^/guests$', status: 502, times: 1 });
+  const headers = { 'Idempotency-Key': 'guest-create-0004' };
+
+  const failed = await servers.request('POST', '/api/guests', newGuest, headers);
+  const retried = await servers.request('POST', '/api/guests', newGuest, headers);
+
+  assert.equal(failed.status, 502);
+  assert.equal(retried.status, 200);
+  assert.equal(retried.headers.get('idempotent-replayed'), null);
+  assert.equal(await countGuestCreations(), 2);
+});
+
+test('malformed keys are rejected', async () => {
+  const { status, body } = await servers.request('POST', '/api/guests', newGuest, { 'Idempotency-Key': 'has spaces' });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_IDEMPOTENCY_KEY');
+});
+
+test('keys are scoped to the caller session', async () => {
+  const key = { 'Idempotency-Key': 'booking-create-0001' };
+  const payload = { centerId: PROVIDER_ID, date: '2030-01-15', serviceIds: ['a0b1c2d3-0000-4000-8000-000000000101'] };
+
+  const first = await servers.request('POST', '/api/bookings', payload, { ...key, 'X-Session-Id': 'first-visitor-session' });
+  const other = await servers.request('POST', '/api/bookings', payload, { ...key, 'X-Session-Id': 'other-visitor-session' });
+  const repeat = await servers.request('POST', '/api/bookings', payload, { ...key, 'X-Session-Id': 'first-visitor-session' });
+
+  assert.equal(first.status, 200);
+  // Another session with the same key and body gets its own booking
+  assert.equal(other.headers.get('idempotent-replayed'), null);
+  assert.equal(other.headers.get('x-session-id'), 'other-visitor-session');
+  assert.notEqual(other.body.data.id, first.body.data.id);
+
+  assert.equal(repeat.headers.get('idempotent-replayed'), 'true');
+  assert.equal(repeat.body.data.id, first.body.data.id);
+});
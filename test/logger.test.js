@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers } from './helpers.js';
+import { redact } from '../src/utils/logger.js';
+
+let servers;
+
+before(async () => {
+  servers = await startTestServers();
+});
+
+after(async () => {
+  await servers.close();
+});
+
+test('redact masks guest emails, phones and names but keeps IDs and provider names', () => {
+  const payload = {
+    center_id: 'center-1',
+    name: 'Oak Avenue Clinic',
+    personal_info: {
+      first_name: 'Jane',
+      last_name: 'Doe',
+      email: 'jane.doe@example.com',
+      mobile_phone: { country_code: 1, number: '2485551234' }
+    },
+    guests: [{ id: 'guest-1', name: 'Jane Doe' }],
+    note: 'Contact jane.doe@example.com'
+  };
+
+  assert.deepEqual(redact(payload), {
+    center_id: 'center-1',
+    name: 'Oak Avenue Clinic',
+    personal_info: {
+      first_name: '[REDACTED]',
+      last_name: '[REDACTED]',
+      email: '[REDACTED]',
+      mobile_phone: '[REDACTED]'
+    },
+    guests: [{ id: 'guest-1', name: '[REDACTED]' }],
+    note: 'Contact [REDACTED]'
+  });
+});
+
+test('the request ID is forwarded to every Zenoti call made for the request', async () => {
+  await servers.mockControl('POST', '/__mock/reset');
+
+  await servers.request('GET', '/api/search-guest?email=jane.doe@example.com', undefined, {
+    'X-Request-Id': 'trace-0001'
+  });
+
+  const { requests } = await servers.mockControl('GET', '/__mock/requests');
+  const searches = requests.filter(entry => entry.path === '/guests/search');
+  assert.ok(searches.length > 0);
+  assert.ok(searches.every(entry => entry.requestId === 'trace-0001'));
+});
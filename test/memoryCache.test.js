@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createMemoryCache } from '../src/cache/memoryCache.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('honours the TTL passed to set', async () => {
+  const cache = createMemoryCache({ sweepIntervalMs: 0 });
+
+  await cache.set('slots-1', { slots: [] }, 20);
+  await cache.set('catalog-1', { services: [] }, 60 * 60 * 1000);
+  assert.deepEqual(await cache.get('slots-1'), { slots: [] });
+
+  await wait(30);
+  assert.equal(await cache.get('slots-1'), null);
+  assert.deepEqual(await cache.get('catalog-1'), { services: [] });
+});
+
+test('evicts the least recently used entry beyond maxEntries', async () => {
+  const cache = createMemoryCache({ maxEntries: 2, sweepIntervalMs: 0 });
+
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.get('a');
+  await cache.set('c', 3);
+
+  assert.equal(await cache.get('b'), null);
+  assert.equal(await cache.get('a'), 1);
+  assert.equal(await cache.get('c'), 3);
+  assert.equal(cache.getStats().evictions, 1);
+});
+
+test('sweep removes expired entries without a read', async () => {
+  const cache = createMemoryCache({ sweepIntervalMs: 0 });
+
+  await cache.set('short', 1, 10);
+  await cache.set('long', 2, 10000);
+  await wait(20);
+
+  assert.equal(cache.sweep(), 1);
+  assert.equal(await cache.size(), 1);
+});
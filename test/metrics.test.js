@@ -0,0 +1,48 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers, PROVIDER_ID, SERVICE_ID } from './helpers.js';
+
+let servers;
+
+before(async () => {
+  servers = await startTestServers();
+});
+
+after(async () => {
+  await servers.close();
+});
+
+const scrape = async () => {
+  const response = await fetch(`${servers.baseUrl}/metrics`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain/);
+  return response.text();
+};
+
+// Value of one sample, e.g. metricValue(text, 'cache_lookups_total{prefix="catalog",result="hit"}')
+const metricValue = (text, sample) => {
+  const line = text.split('\n').find(entry => entry.startsWith(`${sample} `));
+  return line ? Number(line.slice(sample.length + 1)) : 0;
+};
+
+test('GET /metrics counts Zenoti calls by endpoint and status, and cache hits by prefix', async () => {
+  const before = await scrape();
+
+  await servers.request('GET', `/api/services?centerIds=${PROVIDER_ID}`);
+  await servers.request('GET', `/api/services?centerIds=${PROVIDER_ID}`);
+
+  const after = await scrape();
+  const hits = 'cache_lookups_total{prefix="catalog",result="hit"}';
+  assert.ok(metricValue(after, hits) > metricValue(before, hits));
+  assert.match(after, /zenoti_requests_total\{endpoint="\/centers\/:id\/services",method="GET",status="200"\} \d+/);
+  assert.match(after, /zenoti_semaphore_queue_depth 0/);
+});
+
+test('GET /metrics records unified slot search timing and fan-out', async () => {
+  await servers.request('POST', '/api/slots/unified', { centers: [PROVIDER_ID], services: [SERVICE_ID], weeks: 1 });
+
+  const text = await scrape();
+  assert.ok(metricValue(text, 'unified_slots_duration_seconds_count') >= 1);
+  assert.ok(metricValue(text, 'unified_slots_zenoti_calls_sum') > 0);
+});
@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers } from './helpers.js';
+
+let servers;
+
+before(async () => {
+  servers = await startTestServers();
+});
+
+after(async () => {
+  await servers.close();
+});
+
+test('GET /api/openapi.json documents every registered route', async () => {
+  const { status, body } = await servers.request('GET', '/api/openapi.json');
+
+  assert.equal(status, 200);
+  assert.equal(body.openapi, '3.1.0');
+
+  const operations = Object.entries(body.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({ key: `${method.toUpperCase()} ${path}`, operation }))
+  );
+  // A summary equal to the route key means the route has no entry in src/validation/schemas.js
+  const undocumented = operations.filter(({ key, operation }) => operation.summary === key.replace(/\{(\w+)\}/g, ':$1'));
+  assert.deepEqual(undocumented.map(({ key }) => key), []);
+
+  const checkout = body.paths['/api/checkout'].post;
+  assert.deepEqual(checkout.requestBody.content['application/json'].schema.required, ['guest', 'center_id', 'service_ids', 'slot_time']);
+  assert.ok(checkout.responses[400]);
+  assert.ok(checkout.parameters.some(parameter => parameter.in === 'header' && parameter.name === 'Idempotency-Key'));
+  assert.ok(checkout.responses[422]);
+
+  const replaceProvider = body.paths['/api/providers/{providerId}'].put;
+  assert.deepEqual(replaceProvider.security, [{ adminApiKey: [] }]);
+  assert.equal(replaceProvider.parameters[0].in, 'path');
+});
+
+test('the 404 handler lists the same routes', async () => {
+  const { status, body } = await servers.request('GET', '/api/nope');
+
+  assert.equal(status, 404);
+  assert.ok(body.availableEndpoints.includes('POST /api/checkout'));
+  assert.ok(body.availableEndpoints.includes('DELETE /api/providers/:providerId (admin)'));
+  assert.ok(!body.availableEndpoints.some(endpoint => endpoint.includes('test-provider-selection')));
+});
+
+test('GET /api/docs serves Swagger UI', async () => {
+  const response = await fetch(`${servers.baseUrl}/api/docs`);
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/html/);
+  assert.match(await response.text(), /url: '\/api\/openapi\.json'/);
+});
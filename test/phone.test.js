@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parsePhone } from '../src/utils/phone.js';
+
+test('parses formatted and E.164 numbers into Zenoti parts', () => {
+  assert.deepEqual(parsePhone('(248) 555-0199').phone, {
+    e164: '+12485550199',
+    country: 'US',
+    country_code: '+1',
+    number: '2485550199'
+  });
+  assert.equal(parsePhone('1-248-555-0199').phone.number, '2485550199');
+  assert.equal(parsePhone('416.555.0123', { country: 'ca' }).phone.country, 'CA');
+  assert.equal(parsePhone('+33 6 12 34 56 78').phone.country_code, '+33');
+});
+
+test('returns per-field errors instead of throwing', () => {
+  assert.deepEqual(parsePhone(''), { errors: [{ field: 'phone', message: 'phone number is required' }] });
+  assert.equal(parsePhone('2485550199', { country: 'ZZ' }).errors[0].field, 'phone_country');
+  assert.equal(parsePhone('call me').errors[0].field, 'phone');
+  assert.match(parsePhone('+999 123').errors[0].message, /international/);
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers, PROVIDER_ID, SECOND_PROVIDER_ID, SERVICE_ID } from './helpers.js';
+import { buildQuote, priceLine } from '../src/services/pricing.js';
+
+const ADD_ON_ID = 'a0b1c2d3-0000-4000-8000-000000000201';
+
+let servers;
+
+before(async () => {
+  servers = await startTestServers();
+});
+
+after(async () => {
+  await servers.close();
+});
+
+const item = (id, priceInfo, extra = {}) => ({ id, name: id, duration: 30, price_info: priceInfo, ...extra });
+
+test('tax is added on top of the final price', () => {
+  const line = priceLine(item('svc', { sale_price: 120, final_price: 100, tax_rate: 6, include_tax: false }), 'service');
+
+  assert.equal(line.discount, 20);
+  assert.equal(line.tax_rate, 6);
+  assert.equal(line.tax_included, false);
+  assert.equal(line.subtotal, 100);
+  assert.equal(line.tax, 6);
+  assert.equal(line.total, 106);
+});
+
+test('tax already included in the price is split out, not added again', () => {
+  const line = priceLine(item('svc', { sale_price: 106, final_price: 106, tax_rate: 6, include_tax: true }), 'service');
+
+  assert.equal(line.tax_included, true);
+  assert.equal(line.subtotal, 100);
+  assert.equal(line.tax, 6);
+  assert.equal(line.total, 106);
+});
+
+test('prices without a tax rate carry no tax', () => {
+  const line = priceLine(item('svc', { final_price: 49.99 }), 'service');
+
+  assert.equal(line.tax_rate, null);
+  assert.equal(line.sale_price, 49.99);
+  assert.equal(line.tax, 0);
+  assert.equal(line.total, 49.99);
+});
+
+test('the cheapest center is chosen on the taxed total among centers offering the whole cart', () => {
+  const catalog = (services, addOns = []) => ({
+    services: new Map(services.map(service => [service.id, service])),
+    addOns: new Map(addOns.map(addOn => [addOn.id, addOn]))
+  });
+  const withAddOn = { add_ons_info: { add_ons_list: ['addon'] } };
+
+  const quote = buildQuote({
+    catalogs: [
+      // Lower list price, but 10% tax on top
+      { centerId: 'taxed', catalog: catalog([item('svc', { final_price: 100, tax_rate: 10 }, withAddOn)], [item('addon', { final_price: 10 })]) },
+      { centerId: 'flat', catalog: catalog([item('svc', { final_price: 105, tax_rate: 0 }, withAddOn)], [item('addon', { final_price: 10 })]) },
+      { centerId: 'no-add-on', catalog: catalog([item('svc', { final_price: 50 })], [item('addon', { final_price: 10 })]) }
+    ],
+    serviceIds: ['svc'],
+    addOnIds: ['addon']
+  });
+
+  const [taxed, flat, noAddOn] = quote.centers;
+  assert.deepEqual(taxed.totals, { sale_price: 110, discount: 0, subtotal: 110, tax: 10, total: 120, duration: 60 });
+  assert.equal(flat.totals.total, 115);
+  assert.equal(noAddOn.available, false);
+  assert.deepEqual(noAddOn.missing_add_ons, ['addon']);
+  assert.equal(quote.cheapest_center_id, 'flat');
+  assert.equal(quote.cheapest_total, 115);
+});
+
+test('POST /api/pricing/quote prices a cart across candidate centers', async () => {
+  const { status, body } = await servers.request('POST', '/api/pricing/quote', {
+    centerIds: [SECOND_PROVIDER_ID, PROVIDER_ID],
+    serviceIds: [SERVICE_ID],
+    addOnIds: [ADD_ON_ID]
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.centers.length, 2);
+  assert.deepEqual(body.data.centers[0].line_items.map(line => [line.type, line.final_price, line.discount, line.tax]), [
+    ['service', 179, 20, 0],
+    ['add_on', 40, 0, 0]
+  ]);
+  // Both centers charge the same, so the higher-priority one wins
+  assert.equal(body.data.cheapest_center_id, PROVIDER_ID);
+  assert.equal(body.data.cheapest_total, 219);
+
+  const missing = await servers.request('POST', '/api/pricing/quote', { serviceIds: [SERVICE_ID] });
+  assert.equal(missing.status, 400);
+});
@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers, PROVIDER_ID } from './helpers.js';
+
+const NEW_PROVIDER_ID = 'c0ffee00-1234-4abc-8def-000000000001';
+const admin = { 'X-API-Key': 'test-admin-key' };
+
+let servers;
+
+before(async () => {
+  process.env.ADMIN_API_KEY = 'test-admin-key';
+  servers = await startTestServers();
+});
+
+after(async () => {
+  await servers.close();
+});
+
+const newProvider = (overrides = {}) => ({
+  name: 'Test Provider',
+  provider_id: NEW_PROVIDER_ID,
+  zipCodes: ['49999'],
+  status: 'active',
+  priority: 90,
+  ...overrides
+});
+
+test('provider writes require the admin key', async () => {
+  const { status } = await servers.request('POST', '/api/providers', newProvider());
+  assert.equal(status, 401);
+
+  const wrongKey = await servers.request('POST', '/api/providers', newProvider(), { 'X-API-Key': 'not-the-key' });
+  assert.equal(wrongKey.status, 401);
+});
+
+test('provider_id must be a UUID and zipcodes 5 digits', async () => {
+  const badId = await servers.request('POST', '/api/providers', newProvider({ provider_id: 'center-1' }), admin);
+  assert.equal(badId.status, 400);
+  assert.ok(badId.body.details.errors.some(error => error.field === 'provider_id'));
+
+  const badZips = await servers.request('POST', '/api/providers', newProvider({ zipCodes: ['48326', '4832', '48326-1234'] }), admin);
+  assert.equal(badZips.status, 400);
+  assert.deepEqual(badZips.body.details.errors.map(error => error.field), ['zipCodes[1]', 'zipCodes[2]']);
+
+  const { status } = await servers.request('GET', `/api/providers/${NEW_PROVIDER_ID}`);
+  assert.equal(status, 404);
+});
+
+test('an active provider cannot take a priority already in use', async () => {
+  const { status, body } = await servers.request('POST', '/api/providers', newProvider({ priority: 1 }), admin);
+
+  assert.equal(status, 409);
+  assert.equal(body.details.field, 'priority');
+  assert.equal(body.details.conflicting_provider_id, PROVIDER_ID);
+
+  // Inactive providers are left out of allocation, so they may share one
+  const inactive = await servers.request('POST', '/api/providers', newProvider({ priority: 1, status: 'inactive' }), admin);
+  assert.equal(inactive.status, 201);
+
+  const activate = await servers.request('PATCH', `/api/providers/${NEW_PROVIDER_ID}`, { status: 'active' }, admin);
+  assert.equal(activate.status, 409);
+
+  const removed = await servers.request('DELETE', `/api/providers/${NEW_PROVIDER_ID}`, undefined, admin);
+  assert.equal(removed.status, 200);
+});
+
+test('created, updated and deleted providers take effect immediately', async () => {
+  const created = await servers.request('POST', '/api/providers', newProvider(), admin);
+  assert.equal(created.status, 201);
+
+  const duplicate = await servers.request('POST', '/api/providers', newProvider({ priority: 91 }), admin);
+  assert.equal(duplicate.status, 409);
+
+  let byZip = await servers.request('GET', '/api/providers/zipcode/49999');
+  assert.deepEqual(byZip.body.data.map(provider => provider.provider_id), [NEW_PROVIDER_ID]);
+
+  const paused = await servers.request('PATCH', `/api/providers/${NEW_PROVIDER_ID}`, { status: 'inactive' }, admin);
+  assert.equal(paused.status, 200);
+  assert.equal(paused.body.data.status, 'inactive');
+  byZip = await servers.request('GET', '/api/providers/zipcode/49999');
+  assert.equal(byZip.body.count, 0);
+
+  const mismatch = await servers.request('PUT', `/api/providers/${NEW_PROVIDER_ID}`, newProvider({ provider_id: PROVIDER_ID }), admin);
+  assert.equal(mismatch.status, 400);
+
+  const removed = await servers.request('DELETE', `/api/providers/${NEW_PROVIDER_ID}`, undefined, admin);
+  assert.equal(removed.status, 200);
+  const gone = await servers.request('GET', `/api/providers/${NEW_PROVIDER_ID}`);
+  assert.equal(gone.status, 404);
+});
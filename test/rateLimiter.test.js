@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRateLimiter } from '../src/utils/rateLimiter.js';
+
+test('waiting calls are granted interactive first, probes last', async () => {
+  const limiter = createRateLimiter({ ratePerSecond: 20, burst: 1 });
+  const order = [];
+
+  await limiter.acquire('probe');
+  await Promise.all([
+    limiter.acquire('probe').then(() => order.push('probe')),
+    limiter.acquire('normal').then(() => order.push('normal')),
+    limiter.acquire('interactive').then(() => order.push('interactive'))
+  ]);
+
+  assert.deepEqual(order, ['interactive', 'normal', 'probe']);
+});
+
+test('a 429 halves the rate and pauses every caller for retry-after', async () => {
+  const limiter = createRateLimiter({ ratePerSecond: 50 });
+
+  limiter.onRateLimited({ retryAfterMs: 100 });
+  const stats = limiter.getStats();
+  assert.equal(stats.rate_per_second, 25);
+  assert.equal(stats.paused, true);
+  assert.equal(stats.rate_limited_total, 1);
+
+  const startedAt = Date.now();
+  await limiter.acquire('interactive');
+  assert.ok(Date.now() - startedAt >= 90);
+});
+
+test('the rate recovers step by step once Zenoti stops returning 429s', () => {
+  let clock = 0;
+  const limiter = createRateLimiter({ ratePerSecond: 10, minRatePerSecond: 2, recoveryIntervalMs: 1000, now: () => clock });
+
+  limiter.onRateLimited({ retryAfterMs: 0 });
+  limiter.onRateLimited({ retryAfterMs: 0 });
+  limiter.onRateLimited({ retryAfterMs: 0 });
+  assert.equal(limiter.getStats().rate_per_second, 2);
+
+  clock += 1000;
+  assert.equal(limiter.getStats().rate_per_second, 3);
+  clock += 1000;
+  assert.equal(limiter.getStats().rate_per_second, 4);
+
+  limiter.reset();
+  assert.equal(limiter.getStats().rate_per_second, 10);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { aggregateSlotsIntoBuckets } from '../src/services/slotBuckets.js';
+
+const slots = ['08:55', '09:00', '09:20', '11:59', '12:00', '16:45', '17:00', '23:45']
+  .map(time => ({ Time: `2030-01-15T${time}:00`, Available: true }))
+  .concat({ Time: '2030-01-15T09:10:00', Available: false });
+
+test('fixed-size buckets start on the bucket boundary and skip unavailable slots', () => {
+  const quarterHours = aggregateSlotsIntoBuckets(slots, 15);
+  assert.deepEqual(quarterHours.slice(0, 3).map(bucket => [bucket.time, bucket.count]), [['08:45', 1], ['09:00', 1], ['09:15', 1]]);
+
+  const hours = aggregateSlotsIntoBuckets(slots, 60);
+  assert.deepEqual(hours.find(bucket => bucket.time === '09:00'), {
+    time: '09:00',
+    start: '09:00',
+    end: '10:00',
+    available: true,
+    count: 2,
+    slots: [slots[1], slots[2]]
+  });
+  assert.equal(hours.at(-1).end, '24:00');
+});
+
+test('dayparts split at noon and 5pm', () => {
+  const dayparts = aggregateSlotsIntoBuckets(slots, 'daypart');
+  assert.deepEqual(dayparts.map(bucket => [bucket.time, bucket.start, bucket.end, bucket.count]), [
+    ['morning', '00:00', '12:00', 4],
+    ['afternoon', '12:00', '17:00', 2],
+    ['evening', '17:00', '24:00', 2]
+  ]);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSlotFilters } from '../src/services/slotFilters.js';
+
+const today = '2030-01-15'; // a Tuesday
+
+test('a start date alone searches one week, probing once per 7 days', () => {
+  const { filters } = parseSlotFilters({ startDate: '2030-01-20' }, { today });
+
+  assert.deepEqual(filters.describe(), { start_date: '2030-01-20', end_date: '2030-01-26', days_of_week: null, time_windows: null });
+  assert.deepEqual(filters.probeDates(), ['2030-01-20']);
+  assert.equal(filters.wantsDate('2030-01-26'), true);
+  assert.equal(filters.wantsDate('2030-01-27'), false);
+
+  const { filters: longRange } = parseSlotFilters({ startDate: '2030-01-15', endDate: '2030-01-31' }, { today });
+  assert.deepEqual(longRange.probeDates(), ['2030-01-15', '2030-01-22', '2030-01-29']);
+});
+
+test('weekday sets and time windows filter dates and slots', () => {
+  const { filters } = parseSlotFilters({
+    daysOfWeek: ['sat', 'sun'],
+    timeWindows: [{ start: '09:00', end: '12:00' }, { start: '17:00' }]
+  }, { today });
+
+  assert.equal(filters.wantsDate('2030-01-19'), true);
+  assert.equal(filters.wantsDate('2030-01-21'), false);
+  assert.equal(filters.wantsSlot({ Time: '2030-01-19T11:45:00' }), true);
+  assert.equal(filters.wantsSlot({ Time: '2030-01-19T12:00:00' }), false);
+  assert.equal(filters.wantsSlot({ Time: '17:30:00' }), true);
+});
+
+test('invalid ranges and windows come back as per-field errors', () => {
+  const { errors } = parseSlotFilters({
+    startDate: '2030-01-20',
+    endDate: '2030-01-18',
+    timeWindows: [{ start: '18:00', end: '09:00' }]
+  }, { today });
+
+  assert.deepEqual(errors.map(error => error.field), ['end_date', 'time_windows[0]']);
+  assert.equal(parseSlotFilters({ startDate: '2030-02-30' }, { today }).errors[0].field, 'start_date');
+  assert.equal(parseSlotFilters({ endDate: '2030-03-01' }, { today, maxHorizonDays: 28 }).errors[0].field, 'end_date');
+  assert.equal(parseSlotFilters({ startDate: '2030-03-01' }, { today, maxHorizonDays: 28 }).errors[0].field, 'start_date');
+});
@@ -0,0 +1,204 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers, daysFromToday, PROVIDER_ID, SECOND_PROVIDER_ID, SERVICE_ID } from './helpers.js';
+
+let servers;
+
+before(async () => {
+  servers = await startTestServers();
+});
+
+after(async () => {
+  await servers.close();
+});
+
+test('POST /api/slots/unified requires centers and services', async () => {
+  const { status, body } = await servers.request('POST', '/api/slots/unified', { services: [SERVICE_ID] });
+
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+});
+
+test('POST /api/slots/unified aggregates week-start and discovered future days', async () => {
+  const { status, body } = await servers.request('POST', '/api/slots/unified', {
+    centers: [PROVIDER_ID, SECOND_PROVIDER_ID],
+    services: [SERVICE_ID],
+    weeks: 2
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+
+  const { available_dates: availableDates, date_availability: dateAvailability } = body.data;
+
+  // future_days fixture marks today+1, +2, +5 and +9 as available
+  [1, 2, 5, 9].forEach(offset => {
+    assert.ok(availableDates.includes(daysFromToday(offset)), `expected ${daysFromToday(offset)} to be available`);
+  });
+  assert.ok(!availableDates.includes(daysFromToday(3)));
+
+  const day = dateAvailability[daysFromToday(1)];
+  assert.equal(day.hasSlots, true);
+  assert.equal(day.centersWithAvailability, 2);
+  // Centers come back in provider priority order (Madeline = 1, Dalia = 3)
+  assert.deepEqual(day.center_ids.map(center => center.id), [PROVIDER_ID, SECOND_PROVIDER_ID]);
+
+  const center = day.center_ids[0];
+  assert.equal(center.no_of_slots, 4);
+  assert.deepEqual(center.hourly_slots.map(bucket => bucket.time), ['09:00', '13:00', '17:00']);
+  assert.ok(center.booking_id);
+  // Slot times come back on the center's clock and as instants
+  assert.equal(center.timezone, 'UTC');
+  assert.deepEqual(center.slots[0], { time: `${daysFromToday(1)}T09:00:00`, starts_at: `${daysFromToday(1)}T09:00:00+00:00` });
+});
+
+test('POST /api/slots/unified limits results to an explicit date range and time window', async () => {
+  const { status, body } = await servers.request('POST', '/api/slots/unified', {
+    centers: [PROVIDER_ID],
+    services: [SERVICE_ID],
+    start_date: daysFromToday(1),
+    end_date: daysFromToday(6),
+    time_windows: [{ start: '17:00' }]
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.available_dates, [daysFromToday(1), daysFromToday(2), daysFromToday(5)]);
+  assert.deepEqual(body.data.filters, {
+    start_date: daysFromToday(1),
+    end_date: daysFromToday(6),
+    days_of_week: null,
+    time_windows: [{ start: '17:00', end: '24:00' }]
+  });
+
+  // Only the 17:45 slot is after 5pm
+  const center = body.data.date_availability[daysFromToday(1)].center_ids[0];
+  assert.equal(center.no_of_slots, 1);
+  assert.deepEqual(center.hourly_slots.map(bucket => bucket.time), ['17:00']);
+});
+
+test('POST /api/slots/unified groups slots by the requested bucket and merges them across providers', async () => {
+  const { status, body } = await servers.request('POST', '/api/slots/unified', {
+    centers: [PROVIDER_ID, SECOND_PROVIDER_ID],
+    services: [SERVICE_ID],
+    start_date: daysFromToday(1),
+    end_date: daysFromToday(1),
+    bucket: 30,
+    merge: 'any_provider'
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.data.bucket, 30);
+  const day = body.data.date_availability[daysFromToday(1)];
+
+  // 09:00 and 09:15 share a bucket; 17:45 falls in 17:30-18:00
+  assert.deepEqual(day.center_ids[0].buckets, [
+    { time: '09:00', start: '09:00', end: '09:30', count: 2 },
+    { time: '13:30', start: '13:30', end: '14:00', count: 1 },
+    { time: '17:30', start: '17:30', end: '18:00', count: 1 }
+  ]);
+  // hourly_slots keeps its one-hour grouping
+  assert.deepEqual(day.center_ids[0].hourly_slots.map(bucket => bucket.time), ['09:00', '13:00', '17:00']);
+
+  assert.deepEqual(day.any_provider.map(bucket => bucket.time), ['09:00', '13:30', '17:30']);
+  const [morning] = day.any_provider;
+  assert.equal(morning.count, 4);
+  assert.equal(morning.available_providers, 2);
+  assert.deepEqual(morning.center_ids, [PROVIDER_ID, SECOND_PROVIDER_ID]);
+  assert.equal(morning.selected_provider.center_id, PROVIDER_ID);
+  assert.equal(morning.selected_provider.priority, 1);
+});
+
+test('POST /api/slots/unified groups slots into dayparts', async () => {
+  const { status, body } = await servers.request('POST', '/api/slots/unified', {
+    centers: [PROVIDER_ID],
+    services: [SERVICE_ID],
+    start_date: daysFromToday(1),
+    end_date: daysFromToday(1),
+    bucket: 'daypart'
+  });
+
+  assert.equal(status, 200);
+  const day = body.data.date_availability[daysFromToday(1)];
+  assert.deepEqual(day.center_ids[0].buckets.map(bucket => [bucket.time, bucket.count]), [['morning', 2], ['afternoon', 1], ['evening', 1]]);
+  assert.equal(day.any_provider, undefined);
+});
+
+test('POST /api/slots/unified keeps only the requested days of the week', async () => {
+  const wanted = daysFromToday(2);
+  const dayName = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][new Date(`${wanted}T00:00:00Z`).getUTCDay()];
+
+  const { status, body } = await servers.request('POST', '/api/slots/unified', {
+    centers: [PROVIDER_ID],
+    services: [SERVICE_ID],
+    start_date: daysFromToday(1),
+    end_date: daysFromToday(6),
+    days_of_week: [dayName]
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(Object.keys(body.data.date_availability), [wanted]);
+  assert.deepEqual(body.data.available_dates, [wanted]);
+});
+
+test('POST /api/slots/unified rejects ranges beyond the horizon or in the past', async () => {
+  const tooFar = await servers.request('POST', '/api/slots/unified', {
+    centers: [PROVIDER_ID],
+    services: [SERVICE_ID],
+    start_date: daysFromToday(1),
+    end_date: daysFromToday(40)
+  });
+  assert.equal(tooFar.status, 400);
+  assert.equal(tooFar.body.field, 'end_date');
+  assert.match(tooFar.body.details.errors[0].message, /within 28 days/);
+
+  const past = await servers.request('POST', '/api/slots/unified', {
+    centers: [PROVIDER_ID],
+    services: [SERVICE_ID],
+    start_date: daysFromToday(-1)
+  });
+  assert.equal(past.status, 400);
+  assert.equal(past.body.field, 'start_date');
+});
+
+// Splits a Server-Sent Events body into [{ event, data }]
+const parseEvents = (text) => text.split('\n\n')
+  .filter(Boolean)
+  .map(block => {
+    const lines = block.split('\n');
+    const field = (name) => lines.find(line => line.startsWith(`${name}: `))?.slice(name.length + 2);
+    return { event: field('event'), data: JSON.parse(field('data')) };
+  });
+
+test('POST /api/slots/unified/stream sends center and date events as slots arrive, then a summary', async () => {
+  const response = await fetch(`${servers.baseUrl}/api/slots/unified/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ centers: [PROVIDER_ID, SECOND_PROVIDER_ID], services: [SERVICE_ID], weeks: 2 })
+  });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = parseEvents(await response.text());
+  const summary = events.at(-1);
+  assert.equal(summary.event, 'summary');
+  assert.ok(summary.data.available_dates.includes(daysFromToday(9)));
+
+  // Every center/date result was announced before the summary
+  const centerEvents = events.filter(({ event }) => event === 'center');
+  const tomorrow = centerEvents.filter(({ data }) => data.date === daysFromToday(1));
+  assert.deepEqual(tomorrow.map(({ data }) => data.id).sort(), [PROVIDER_ID, SECOND_PROVIDER_ID].sort());
+
+  // The last date event for a day matches that day in the summary
+  const lastDateEvent = events.filter(({ event, data }) => event === 'date' && data.date === daysFromToday(1)).at(-1);
+  const { date, ...availability } = lastDateEvent.data;
+  assert.deepEqual(availability, summary.data.date_availability[date]);
+});
+
+test('POST /api/slots/unified/stream rejects invalid bodies before streaming', async () => {
+  const { status, body } = await servers.request('POST', '/api/slots/unified/stream', { centers: [PROVIDER_ID] });
+
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_FAILED');
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isValidTimeZone, todayInZone, localTimeToInstant, instantToLocalTime } from '../src/utils/timezone.js';
+
+test('todayInZone follows the center calendar, not UTC', () => {
+  // 22:30 in Michigan is already the next day in UTC
+  const lateEvening = new Date('2030-01-16T03:30:00Z');
+  assert.equal(todayInZone('America/Detroit', lateEvening), '2030-01-15');
+  assert.equal(todayInZone('UTC', lateEvening), '2030-01-16');
+  assert.equal(isValidTimeZone('America/Detroit'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('localTimeToInstant adds the offset in force at that time', () => {
+  assert.equal(localTimeToInstant('2030-01-15T09:00:00', 'America/Detroit'), '2030-01-15T09:00:00-05:00');
+  assert.equal(localTimeToInstant('2030-07-15T09:00', 'America/Detroit'), '2030-07-15T09:00:00-04:00');
+  // Skipped by the spring-forward change, so it lands after the jump
+  assert.equal(localTimeToInstant('2030-03-10T02:30:00', 'America/Detroit'), '2030-03-10T03:30:00-04:00');
+  // Repeated by the fall-back change; the first occurrence wins
+  assert.equal(localTimeToInstant('2030-11-03T01:30:00', 'America/Detroit'), '2030-11-03T01:30:00-04:00');
+  assert.equal(localTimeToInstant('2030-02-30T09:00:00', 'America/Detroit'), null);
+  assert.equal(localTimeToInstant('2030-01-15T09:00:00Z', 'America/Detroit'), null);
+});
+
+test('instantToLocalTime converts instants and leaves center-local values alone', () => {
+  assert.equal(instantToLocalTime('2030-01-16T02:30:00Z', 'America/Detroit'), '2030-01-15T21:30:00');
+  assert.equal(instantToLocalTime('2030-07-15T09:00:00-04:00', 'America/Detroit'), '2030-07-15T09:00:00');
+  assert.equal(instantToLocalTime('2030-01-15T09:00', 'America/Detroit'), '2030-01-15T09:00');
+  assert.equal(instantToLocalTime('2030-01-15', 'America/Detroit'), '2030-01-15');
+  assert.equal(instantToLocalTime('next tuesday', 'America/Detroit'), null);
+});
@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers } from './helpers.js';
+
+let servers;
+
+before(async () => {
+  servers = await startTestServers();
+});
+
+after(async () => {
+  await servers.close();
+});
+
+test('lists every failing field in one 400', async () => {
+  const { status, body } = await servers.request('POST', '/api/slots/select-provider', {
+    center_id: '',
+    service_ids: [],
+    date: '15/01/2030'
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+  assert.deepEqual(
+    body.details.errors.map(error => error.field).sort(),
+    ['center_id', 'date', 'guest_id', 'service_ids']
+  );
+  assert.ok(body.details.errors.every(error => error.location === 'body' && error.message));
+});
+
+test('coerces query strings before validating them', async () => {
+  const valid = await servers.request('GET', '/api/coverage?gap_window=3');
+  assert.equal(valid.status, 200);
+
+  const invalid = await servers.request('GET', '/api/coverage?gap_window=lots&include_inactive=yes');
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.details.errors.map(error => `${error.location}:${error.field}`).sort(), [
+    'query:gap_window',
+    'query:include_inactive'
+  ]);
+});
+
+test('reports nested fields with their full path', async () => {
+  const { status, body } = await servers.request('POST', '/api/checkout', {
+    guest: { name: 'Jane Doe', phone: 2485551234 },
+    center_id: 'center',
+    service_ids: ['svc', 7],
+    slot_time: '2030-01-15T09:00:00'
+  });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.details.errors.map(error => error.field).sort(), ['guest.email', 'guest.phone', 'service_ids[1]']);
+});
+
+test('GET /api/schemas publishes the request schemas', async () => {
+  const { status, body } = await servers.request('GET', '/api/schemas');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.data['POST /api/checkout'].body.required, ['guest', 'center_id', 'service_ids', 'slot_time']);
+});
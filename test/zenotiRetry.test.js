@@ -0,0 +1,176 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startTestServers, PROVIDER_ID } from './helpers.js';
+
+// Short backoff and cooldown so the breaker tests run quickly
+process.env.ZENOTI_RETRY_BASE_DELAY_MS = '5';
+process.env.ZENOTI_CIRCUIT_COOLDOWN_MS = '300';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+let servers;
+
+before(async () => {
+  servers = await startTestServers();
+});
+
+beforeEach(async () => {
+  await servers.mockControl('POST', '/__mock/reset');
+  // The shared rate limiter and circuit breaker are reset by the admin route
+  await servers.request('POST', '/api/cache/clear');
+  await servers.request('POST', '/api/rate-limit/reset', undefined, { 'X-API-Key': 'test-admin-key' });
+});
+
+after(async () => {
+  await servers.close();
+});
+
+const countCalls = async (method, path) => {
+  const { requests } = await servers.mockControl('GET', '/__mock/requests');
+  return requests.filter(entry => entry.method === method && entry.path === path).length;
+};
+
+const countSearchCalls = () => countCalls('GET', '/guests/search');
+
+test('makeZenotiRequest retries 429 responses and then succeeds', async () => {
+  await servers.mockControl('POST', '/__mock/faults', {
+    method: 'GET',
+    path: '^/guests/search$',
+    status: 429,
+    times: 2,
+    headers: { 'retry-after': '0' }
+  });
+
+  const { status, body } = await servers.request('GET', '/api/search-guest?email=jane.doe@example.com');
+
+  assert.equal(status, 200);
+  assert.equal(body.data.guests.length, 1);
+  assert.equal(await countSearchCalls(), 3);
+});
+
+test('makeZenotiRequest gives up after the maximum number of retries', async () => {
+  await servers.mockControl('POST', '/__mock/faults', {
+    method: 'GET',
+    path: '^/guests/search$',
+    status: 429,
+    times: 10,
+    headers: { 'retry-after': '0' }
+  });
+
+  const { status, body } = await servers.request('GET', '/api/search-guest?email=jane.doe@example.com');
+
+  assert.equal(status, 503);
+  assert.equal(body.code, 'RATE_LIMITED');
+  assert.equal(body.retryable, true);
+  assert.match(body.error, /Rate limit exceeded/);
+  // One initial attempt plus four retries
+  assert.equal(await countSearchCalls(), 5);
+
+  // Every 429 slowed the shared limiter down
+  const { body: limiterStatus } = await servers.request('GET', '/api/rate-limit/status');
+  assert.ok(limiterStatus.data.rate_limiter.rate_limited_total >= 5);
+  assert.ok(limiterStatus.data.rate_limiter.rate_per_second < limiterStatus.data.rate_limiter.max_rate_per_second);
+
+  // Clearing the cache keeps the slow-down; only the admin reset drops it
+  const { body: cleared } = await servers.request('POST', '/api/cache/clear');
+  assert.equal(cleared.rate_limit_reset, undefined);
+  const { body: afterClear } = await servers.request('GET', '/api/rate-limit/status');
+  assert.ok(afterClear.data.rate_limiter.rate_per_second < afterClear.data.rate_limiter.max_rate_per_second);
+
+  const reset = await servers.request('POST', '/api/rate-limit/reset', undefined, { 'X-API-Key': 'test-admin-key' });
+  assert.equal(reset.body.data.rate_limiter.rate_per_second, reset.body.data.rate_limiter.max_rate_per_second);
+});
+
+test('GET calls are retried after gateway errors', async () => {
+  await servers.mockControl('POST', '/__mock/faults', {
+    method: 'GET',
+    path: '^/guests/search$',
+    status: 503,
+    times: 2
+  });
+
+  const { status, body } = await servers.request('GET', '/api/search-guest?email=jane.doe@example.com');
+
+  assert.equal(status, 200);
+  assert.equal(body.data.guests.length, 1);
+  assert.equal(await countSearchCalls(), 3);
+});
+
+test('non-idempotent calls are not retried after a gateway error', async () => {
+  await servers.mockControl('POST', '/__mock/faults', {
+    method: 'POST',
+    path: '^/guests$',
+    status: 504,
+    times: 1
+  });
+
+  const { status, body } = await servers.request('POST', '/api/guests', {
+    name: 'Sam Rivera',
+    email: 'sam.rivera@example.com',
+    phone: '(248) 555-0199',
+    provider_id: PROVIDER_ID
+  });
+
+  assert.equal(status, 502);
+  assert.equal(body.code, 'UPSTREAM_ERROR');
+  assert.equal(await countCalls('POST', '/guests'), 1);
+});
+
+test('the circuit opens after repeated failures and closes once Zenoti recovers', async () => {
+  await servers.mockControl('POST', '/__mock/faults', {
+    method: 'GET',
+    path: '^/guests/search$',
+    status: 503,
+    times: 100
+  });
+
+  // First request: one attempt plus three retries, all failing
+  const first = await servers.request('GET', '/api/search-guest?email=jane.doe@example.com');
+  assert.equal(first.status, 502);
+  assert.equal(await countSearchCalls(), 4);
+
+  // The fifth consecutive failure opens the circuit mid-request
+  const second = await servers.request('GET', '/api/search-guest?email=jane.doe@example.com');
+  assert.equal(second.status, 503);
+  assert.equal(second.body.code, 'UPSTREAM_CIRCUIT_OPEN');
+  assert.equal(second.body.retryable, true);
+  assert.ok(second.headers.get('retry-after'));
+  assert.equal(await countSearchCalls(), 5);
+
+  // While open, nothing reaches Zenoti
+  const third = await servers.request('GET', '/api/search-guest?email=jane.doe@example.com');
+  assert.equal(third.body.code, 'UPSTREAM_CIRCUIT_OPEN');
+  assert.equal(await countSearchCalls(), 5);
+
+  // After the cooldown a trial call goes through and closes the circuit
+  await servers.mockControl('POST', '/__mock/reset');
+  await new Promise(resolve => setTimeout(resolve, 350));
+  const recovered = await servers.request('GET', '/api/search-guest?email=jane.doe@example.com');
+  assert.equal(recovered.status, 200);
+
+  const { body: limiterStatus } = await servers.request('GET', '/api/rate-limit/status');
+  assert.equal(limiterStatus.data.circuit_breaker.state, 'closed');
+  assert.equal(limiterStatus.data.circuit_breaker.opened_total, 1);
+});
+
+test('only an admin can close an open circuit early', async () => {
+  await servers.mockControl('POST', '/__mock/faults', {
+    method: 'GET',
+    path: '^/guests/search$',
+    status: 503,
+    times: 100
+  });
+  await servers.request('GET', '/api/search-guest?email=jane.doe@example.com');
+  await servers.request('GET', '/api/search-guest?email=jane.doe@example.com');
+
+  // Clearing the cache leaves the limiter and breaker alone, and the reset needs the key
+  await servers.request('POST', '/api/cache/clear');
+  const anonymous = await servers.request('POST', '/api/rate-limit/reset');
+  assert.equal(anonymous.status, 401);
+  const { body: openStatus } = await servers.request('GET', '/api/rate-limit/status');
+  assert.equal(openStatus.data.circuit_breaker.state, 'open');
+
+  const admin = await servers.request('POST', '/api/rate-limit/reset', undefined, { 'X-API-Key': 'test-admin-key' });
+  assert.equal(admin.status, 200);
+  assert.equal(admin.body.data.circuit_breaker.state, 'closed');
+});